@@ -18,7 +18,7 @@ CREATE TABLE `category` (
   KEY `idx_category_department_id` (`department_id`)
 ) ENGINE=MyISAM;
 
--- Create product table
+-- Create product table (InnoDB with product_category and product_attribute for transactional admin changes)
 CREATE TABLE `product` (
   `product_id`       INT           NOT NULL  AUTO_INCREMENT,
   `name`             VARCHAR(100)  NOT NULL,
@@ -31,14 +31,14 @@ CREATE TABLE `product` (
   `display`          SMALLINT(6)   NOT NULL  DEFAULT '0',
   PRIMARY KEY  (`product_id`),
   FULLTEXT KEY `idx_ft_product_name_description` (`name`, `description`)
-) ENGINE=MyISAM;
+) ENGINE=InnoDB;
 
 -- Create product_category table
 CREATE TABLE `product_category` (
   `product_id`  INT NOT NULL,
   `category_id` INT NOT NULL,
   PRIMARY KEY (`product_id`, `category_id`)
-) ENGINE=MyISAM;
+) ENGINE=InnoDB;
 
 -- Create attribute table (stores attributes such as Size and Color)
 CREATE TABLE `attribute` (
@@ -62,10 +62,10 @@ CREATE TABLE `product_attribute` (
   `product_id`         INT NOT NULL,
   `attribute_value_id` INT NOT NULL,
   PRIMARY KEY (`product_id`, `attribute_value_id`)
-) ENGINE=MyISAM;
+) ENGINE=InnoDB;
 
 
--- Create shopping_cart table
+-- Create shopping_cart table (InnoDB like orders and order_detail for transactional orders)
 CREATE TABLE `shopping_cart` (
   `item_id`     INT           NOT NULL  AUTO_INCREMENT,
   `cart_id`     CHAR(32)      NOT NULL,
@@ -74,9 +74,11 @@ CREATE TABLE `shopping_cart` (
   `quantity`    INT           NOT NULL,
   `buy_now`     BOOL          NOT NULL  DEFAULT true,
   `added_on`    DATETIME      NOT NULL,
+  `modified_on` DATETIME      NOT NULL  DEFAULT CURRENT_TIMESTAMP  ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`item_id`),
-  KEY `idx_shopping_cart_cart_id` (`cart_id`)
-) ENGINE=MyISAM;
+  KEY `idx_shopping_cart_cart_id` (`cart_id`),
+  UNIQUE KEY `idx_shopping_cart_line` (`cart_id`, `product_id`, `attributes`(255))
+) ENGINE=InnoDB;
 
 -- Create orders table
 CREATE TABLE `orders` (
@@ -95,7 +97,7 @@ CREATE TABLE `orders` (
   KEY `idx_orders_customer_id` (`customer_id`),
   KEY `idx_orders_shipping_id` (`shipping_id`),
   KEY `idx_orders_tax_id` (`tax_id`)
-) ENGINE=MyISAM;
+) ENGINE=InnoDB;
 
 -- Create order_details table
 CREATE TABLE `order_detail` (
@@ -108,7 +110,7 @@ CREATE TABLE `order_detail` (
   `unit_cost`    DECIMAL(10,2) NOT NULL,
   PRIMARY KEY  (`item_id`),
   KEY `idx_order_detail_order_id` (`order_id`)
-) ENGINE=MyISAM;
+) ENGINE=InnoDB;
 
 -- Create shipping_region table
 CREATE TABLE `shipping_region` (
@@ -134,6 +136,8 @@ CREATE TABLE `customer` (
   `day_phone`          varchar(100),
   `eve_phone`          varchar(100),
   `mob_phone`          varchar(100),
+  `email_verified`     BOOL          NOT NULL default false,
+  `role`               ENUM('customer', 'catalog_manager', 'order_manager', 'admin') NOT NULL default 'customer',
   PRIMARY KEY  (`customer_id`),
   UNIQUE KEY `idx_customer_email` (`email`),
   KEY `idx_customer_shipping_region_id` (`shipping_region_id`)
@@ -157,7 +161,7 @@ CREATE TABLE `tax` (
   PRIMARY KEY (`tax_id`)
 ) ENGINE=MyISAM;
 
--- Create audit table
+-- Create audit table (InnoDB so entries roll back with the order changes they describe)
 CREATE TABLE `audit` (
   `audit_id`       INT      NOT NULL AUTO_INCREMENT,
   `order_id`       INT      NOT NULL,
@@ -166,7 +170,7 @@ CREATE TABLE `audit` (
   `code`           INT      NOT NULL,
   PRIMARY KEY (`audit_id`),
   KEY `idx_audit_order_id` (`order_id`)
-) ENGINE=MyISAM;
+) ENGINE=InnoDB;
 
 -- Create review table
 CREATE TABLE `review` (
@@ -181,6 +185,93 @@ CREATE TABLE `review` (
   KEY `idx_review_product_id` (`product_id`)
 ) ENGINE=MyISAM;
 
+-- Create customer_session table (one row per login, holds the hashed rotating refresh token)
+CREATE TABLE `customer_session` (
+  `session_id`    INT          NOT NULL  AUTO_INCREMENT,
+  `customer_id`   INT          NOT NULL,
+  `refresh_token` CHAR(64)     NOT NULL,
+  `user_agent`    VARCHAR(255),
+  `ip_address`    VARCHAR(45),
+  `created_on`    DATETIME     NOT NULL,
+  `expires_on`    DATETIME     NOT NULL,
+  `revoked_on`    DATETIME,
+  PRIMARY KEY (`session_id`),
+  UNIQUE KEY `idx_customer_session_refresh_token` (`refresh_token`),
+  KEY `idx_customer_session_customer_id` (`customer_id`)
+) ENGINE=MyISAM;
+
+-- Create customer_token table (single-use password reset and email verification tokens)
+CREATE TABLE `customer_token` (
+  `token_id`    INT                                          NOT NULL  AUTO_INCREMENT,
+  `customer_id` INT                                          NOT NULL,
+  `type`        ENUM('password_reset', 'email_verification') NOT NULL,
+  `token`       CHAR(64)                                     NOT NULL,
+  `created_on`  DATETIME                                     NOT NULL,
+  `expires_on`  DATETIME                                     NOT NULL,
+  `used_on`     DATETIME,
+  PRIMARY KEY (`token_id`),
+  UNIQUE KEY `idx_customer_token_token` (`token`),
+  KEY `idx_customer_token_customer_id` (`customer_id`)
+) ENGINE=MyISAM;
+
+-- Create customer_identity table (links social login accounts to customers)
+CREATE TABLE `customer_identity` (
+  `identity_id`      INT          NOT NULL  AUTO_INCREMENT,
+  `customer_id`      INT          NOT NULL,
+  `provider`         VARCHAR(20)  NOT NULL,
+  `provider_user_id` VARCHAR(100) NOT NULL,
+  `email`            VARCHAR(100),
+  `created_on`       DATETIME     NOT NULL,
+  PRIMARY KEY (`identity_id`),
+  UNIQUE KEY `idx_customer_identity_provider_user` (`provider`, `provider_user_id`),
+  KEY `idx_customer_identity_customer_id` (`customer_id`)
+) ENGINE=MyISAM;
+
+-- Create customer_cart table (the persisted cart of each customer)
+CREATE TABLE `customer_cart` (
+  `customer_id` INT      NOT NULL,
+  `cart_id`     CHAR(32) NOT NULL,
+  `created_on`  DATETIME NOT NULL,
+  `reminded_on` DATETIME,
+  PRIMARY KEY (`customer_id`),
+  UNIQUE KEY `idx_customer_cart_cart_id` (`cart_id`)
+) ENGINE=MyISAM;
+
+-- Create refund table (refunds of an order, of a single order_detail line when item_id is set)
+CREATE TABLE `refund` (
+  `refund_id`  INT           NOT NULL  AUTO_INCREMENT,
+  `order_id`   INT           NOT NULL,
+  `item_id`    INT,
+  `amount`     DECIMAL(10,2) NOT NULL,
+  `reason`     VARCHAR(255),
+  `reference`  VARCHAR(50),
+  `created_by` INT,
+  `created_on` DATETIME      NOT NULL,
+  PRIMARY KEY (`refund_id`),
+  KEY `idx_refund_order_id` (`order_id`)
+) ENGINE=InnoDB;
+
+-- Create idempotency_key table (responses replayed for retried requests)
+CREATE TABLE `idempotency_key` (
+  `key_hash`    CHAR(64) NOT NULL,
+  `fingerprint` CHAR(64) NOT NULL,
+  `status_code` INT,
+  `response`    MEDIUMTEXT,
+  `created_on`  DATETIME NOT NULL,
+  `expires_on`  DATETIME NOT NULL,
+  PRIMARY KEY (`key_hash`),
+  KEY `idx_idempotency_key_expires_on` (`expires_on`)
+) ENGINE=InnoDB;
+
+-- Create search_synonym table (words suggested together in the product search box)
+CREATE TABLE `search_synonym` (
+  `synonym_id` INT          NOT NULL  AUTO_INCREMENT,
+  `term`       VARCHAR(50)  NOT NULL,
+  `synonyms`   VARCHAR(500) NOT NULL,
+  PRIMARY KEY (`synonym_id`),
+  UNIQUE KEY `idx_search_synonym_term` (`term`)
+) ENGINE=MyISAM;
+
 -- Populate department table
 INSERT INTO `department` (`department_id`, `name`, `description`) VALUES
        (1, 'Regional', 'Proud of your country? Wear a T-shirt with a national symbol stamp!'),
@@ -1,60 +1,112 @@
 module.exports = {
-    AuthenticationError: {
-        AUT_01: "Authorization code is empty.",
-        AUT_02: "Access Unauthorized."
-    },
-    PaginationError: {
-        PAG_01: "The order is not matched 'field,(DESC|ASC)'.",
-        PAG_02: "The field of order is not allow sorting."
-    },
-    UsersError: {
-        USR_01: "Email or Password is invalid.",
-        USR_02: "The field(s) are/is required.",
-        USR_03: "The email is invalid.",
-        USR_04: "The email already exists.",
-        USR_05: "The email doesn't exist.",
-        USR_06: "this is an invalid phone number.",
-        USR_07: "this is too long <FIELD NAME>.",
-        USR_08: "this is an invalid Credit Card.",
-        USR_09: "The Shipping Region ID is not number",
-        USR_10: "Field is required"
-    },
-    CategoryError: {
-        CAT_01: "Don't exist category with this ID.",
-        CAT_02: "Category with this product ID does not exists "
-    },
-    DepartmentError: {
-        DEP_01: "The ID is not a number.",
-        DEP_02: "Don'exist department with this ID "
-    },
-    ProductError: {
-        PRD_01: "Product with this ID does not exists",
-        PRD_02: "Product with this category does not exists",
-        PRD_03: "Product in this Department with this department ID does not exists ",
-    },
-    AttributeError: {
-        ATR_01: "Attribute with this ID does not exists",
-        ATR_02: "Attribute with this Product ID does not exists",
-    },
-    ReviewError: {
-        REV_01: "Review of this product is not avaialble with product ID ",
-    },
-    CustomerError: {
-        CUS_01: "Record could not be updated",
-        CUS_02: "Credit Card could not be updated",
-    },
-    OrderError: {
-        ORD_01: "Order cannot be placed",
-        ORD_02: "Cannot find the order with order ID ",
-    },
-    CartError:{
-        CRT_01:"Cant update any record with cart ID ",
-        CRT_02:"No record found based on the Cart ID ",
-    },
-    TaxError:{
-        TAX_01:"Cannot find Tax with Tax ID ",
-    },
-    ShippingError:{
-        SHP_01:"Shipping region does not exists with Shipping Region ID ",
-    },
-}
\ No newline at end of file
+  AuthenticationError: {
+    AUT_01: 'Authorization code is empty.',
+    AUT_02: 'Access Unauthorized.',
+    AUT_03: 'Refresh token is invalid or expired.',
+    AUT_04: 'The access token could not be verified with the provider.',
+    AUT_05: 'The login provider is not supported.',
+    AUT_06: 'The provider account does not share an email.',
+    AUT_07: 'You are not allowed to perform this action.',
+    AUT_08: 'An account already uses this email, log in and link the provider to it.',
+    AUT_09: 'The provider account is linked to another customer.',
+  },
+  PaginationError: {
+    PAG_01: "The order is not matched 'field,(DESC|ASC)'.",
+    PAG_02: 'The field of order is not allow sorting.',
+  },
+  UsersError: {
+    USR_01: 'Email or Password is invalid.',
+    USR_02: 'The field(s) are/is required.',
+    USR_03: 'The email is invalid.',
+    USR_04: 'The email already exists.',
+    USR_05: "The email doesn't exist.",
+    USR_06: 'this is an invalid phone number.',
+    USR_07: 'this is too long <FIELD NAME>.',
+    USR_08: 'this is an invalid Credit Card.',
+    USR_09: 'The Shipping Region ID is not number',
+    USR_10: 'Field is required',
+    USR_11: 'Too many failed login attempts, please try again later.',
+    USR_12: 'The token is invalid or has expired.',
+    USR_13: 'The email is already verified.',
+    USR_14: 'The role is invalid.',
+  },
+  CategoryError: {
+    CAT_01: "Don't exist category with this ID.",
+    CAT_02: 'Category with this product ID does not exists ',
+    CAT_03: 'The category still has products and cannot be deleted.',
+    CAT_04: 'The category field is invalid.',
+  },
+  DepartmentError: {
+    DEP_01: 'The ID is not a number.',
+    DEP_02: "Don'exist department with this ID ",
+    DEP_03: 'The department still has categories and cannot be deleted.',
+    DEP_04: 'The department field is invalid.',
+  },
+  ProductError: {
+    PRD_01: 'Product with this ID does not exists',
+    PRD_02: 'Product with this category does not exists',
+    PRD_03: 'Product in this Department with this department ID does not exists ',
+    PRD_04: 'The product field is invalid.',
+    PRD_05: 'The product is already in this category.',
+    PRD_06: 'The product is not in this category.',
+    PRD_07: 'The attribute value is already assigned to this product.',
+    PRD_08: 'The attribute value is not assigned to this product.',
+    PRD_09: 'The product filter is invalid.',
+  },
+  AttributeError: {
+    ATR_01: 'Attribute with this ID does not exists',
+    ATR_02: 'Attribute with this Product ID does not exists',
+    ATR_03: 'Attribute value with this ID does not exists',
+    ATR_04: 'The attribute still has values and cannot be deleted.',
+    ATR_05: 'The attribute value is assigned to products and cannot be deleted.',
+    ATR_06: 'The attribute field is invalid.',
+  },
+  SynonymError: {
+    SYN_01: 'Synonym with this ID does not exists',
+    SYN_02: 'The synonym field is invalid.',
+    SYN_03: 'The term already has synonyms.',
+  },
+  IdempotencyError: {
+    IDM_01: 'The Idempotency-Key header must be 1 to 255 characters.',
+    IDM_02: 'The Idempotency-Key was already used with a different request.',
+    IDM_03: 'A request with this Idempotency-Key is still in progress.',
+  },
+  ReviewError: {
+    REV_01: 'Review of this product is not avaialble with product ID ',
+  },
+  CustomerError: {
+    CUS_01: 'Record could not be updated',
+    CUS_02: 'Credit Card could not be updated',
+  },
+  OrderError: {
+    ORD_01: 'Order cannot be placed',
+    ORD_02: 'Cannot find the order with order ID ',
+    ORD_03: 'The cart has no items to buy now.',
+    ORD_04: 'The order status is invalid.',
+    ORD_05: 'The order cannot move to this status.',
+    ORD_06: 'The date is invalid.',
+  },
+  PaymentError: {
+    PAY_01: 'The order has not been paid.',
+    PAY_02: 'The refund exceeds the amount left to refund.',
+    PAY_03: 'The payment request is invalid.',
+    PAY_04: 'The payment provider could not process the request.',
+    PAY_05: 'The card was declined.',
+    PAY_06: 'The order has already been paid.',
+    PAY_07: 'The stripeToken is required.',
+  },
+  CartError: {
+    CRT_01: 'Cant update any record with cart ID ',
+    CRT_02: 'No record found based on the Cart ID ',
+    CRT_03: 'The quantity must be a whole number between 1 and ',
+    CRT_04: 'The attributes are not valid for this product.',
+    CRT_05: 'The cart ID is invalid.',
+    CRT_06: 'The cart token is missing or invalid.',
+  },
+  TaxError: {
+    TAX_01: 'Cannot find Tax with Tax ID ',
+  },
+  ShippingError: {
+    SHP_01: 'Shipping region does not exists with Shipping Region ID ',
+  },
+};
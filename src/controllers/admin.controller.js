@@ -0,0 +1,140 @@
+/**
+ * Admin controller handles the back-office requests about staff and customer accounts
+ *
+ * - getCustomers - list customer accounts, optionally filtered by role
+ * - updateCustomerRole - grant a role to a customer account
+ * - getOldCarts - preview how many carts the cart cleanup would purge
+ * - getIdleCarts - preview which customers the cart cleanup would remind
+ */
+import { Customer } from '../database/models';
+import Permissions from '../helpers/permissions';
+import Cart from '../helpers/cart';
+import CartCleanup from '../jobs/cartCleanup';
+
+const error = require('../Error/error');
+
+/**
+ * @class AdminController
+ */
+class AdminController {
+  /**
+   * list customer accounts
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the customers
+   * @memberof AdminController
+   */
+  static async getCustomers(req, res, next) {
+    const { role } = req.query;
+    try {
+      const customers = await Customer.findAll({
+        where: role ? { role } : {},
+        attributes: { exclude: ['password', 'credit_card'] },
+        order: [['customer_id', 'ASC']],
+      });
+      return res.status(200).json(customers);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * grant a role to a customer account
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated customer
+   * @memberof AdminController
+   */
+  static async updateCustomerRole(req, res, next) {
+    const { customer_id: customerId } = req.params;
+    const { role } = req.body;
+    if (!Object.values(Permissions.ROLES).includes(role)) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_14',
+          message: error.UsersError.USR_14,
+          field: 'role',
+        },
+      });
+    }
+
+    try {
+      const customer = await Customer.findByPk(customerId);
+      if (!customer) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'USR_05',
+            message: error.UsersError.USR_05,
+            field: 'customer_id',
+          },
+        });
+      }
+
+      await customer.update({ role });
+      return res.status(200).json({ customer: customer.getSafeDataValues() });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * count the carts idle for more than the days query value, CART_EXPIRES_DAYS by default
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with days and old_shopping_carts_count
+   * @memberof AdminController
+   */
+  static async getOldCarts(req, res, next) {
+    const days = parseInt(req.query.days, 10) || Cart.EXPIRES_DAYS;
+    try {
+      const count = await CartCleanup.countOldCarts(days);
+      return res.status(200).json({ days, old_shopping_carts_count: count });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * list the customer carts idle for more than the hours query value whose owner would be reminded,
+   * CART_REMINDER_HOURS by default
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with hours, count and carts
+   * @memberof AdminController
+   */
+  static async getIdleCarts(req, res, next) {
+    const hours = parseInt(req.query.hours, 10) || CartCleanup.REMINDER_HOURS;
+    try {
+      const customerCarts = await CartCleanup.findCartsToRemind(hours);
+      return res.status(200).json({
+        hours,
+        count: customerCarts.length,
+        carts: customerCarts.map(customerCart => ({
+          cart_id: customerCart.cart_id,
+          customer_id: customerCart.customer_id,
+          email: customerCart.Customer.email,
+          last_change: customerCart.last_change,
+          reminded_on: customerCart.reminded_on,
+        })),
+      });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+}
+
+export default AdminController;
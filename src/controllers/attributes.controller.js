@@ -7,6 +7,7 @@
  * - getSingleAttribute - This method should return a single attribute using the attribute_id in the request parameter
  * - getAttributeValues - This method should return an array of all attribute values of a single attribute using the attribute id
  * - getProductAttributes - This method should return an array of all the product attributes
+ * - getAttributesNotAssignedToProduct - This method returns the attribute values a product doesn't have yet
  * NB: Check the BACKEND CHALLENGE TEMPLATE DOCUMENTATION in the readme of this repository to see our recommended
  *  endpoints, request body/param, and response object for each of these method
  */
@@ -20,8 +21,13 @@ import {
   Category,
   Sequelize,
 } from '../database/models';
+import Listing from '../helpers/listing';
 
 const error = require('../Error/error')
+const { Op } = Sequelize;
+
+const ATTRIBUTE_SORTABLE = ['attribute_id', 'name'];
+const ATTRIBUTE_VALUE_SORTABLE = ['attribute_value_id', 'value'];
 class AttributeController {
   /**
    * This method get all attributes
@@ -30,18 +36,16 @@ class AttributeController {
    * @param {*} next
    */
   static async getAllAttributes(req, res, next) {
-    // write code to get all attributes from the database here
-    //return res.status(200).json({ message: 'this works' });
-    const { query } = req;
-    const { page, limit, offset } = query
-    const sqlQueryMap = {
-      limit,
-      offset,
-    };
+    const listing = Listing.parse(req.query, { sortable: ATTRIBUTE_SORTABLE });
+    if (Listing.failed(res, listing)) return undefined;
+
     try {
-      const attributes = await Attribute.findAndCountAll(sqlQueryMap);
-      if (attributes)
-        return res.status(200).json(attributes.rows);
+      const attributes = await Attribute.findAndCountAll({
+        order: listing.order,
+        limit: listing.limit,
+        offset: listing.offset,
+      });
+      return Listing.respond(res, listing, attributes);
     } catch (error) {
       return next(error);
     }
@@ -104,16 +108,10 @@ class AttributeController {
    * @param {*} next
    */
   static async getAttributeValues(req, res, next) {
-    // Write code to get all attribute values for an attribute using the attribute id provided in the request param
-    // This function takes the param: attribute_id
-    // return res.status(200).json({ message: 'this works' });
-    const { query } = req;
-    const { page, limit, offset } = query
+    const listing = Listing.parse(req.query, { sortable: ATTRIBUTE_VALUE_SORTABLE });
+    if (Listing.failed(res, listing)) return undefined;
+
     const { attribute_id } = req.params;  // eslint-disable-line
-    const sqlQueryMap = {
-      limit,
-      offset,
-    };
     try {
       let attribute = await AttributeValue.findAndCountAll({
         include: [
@@ -126,8 +124,9 @@ class AttributeController {
             },
           },
         ],
-        limit,
-        offset,
+        order: listing.order,
+        limit: listing.limit,
+        offset: listing.offset,
       });
       if ( attribute.count === 0){
         return res.status(404).json({
@@ -139,8 +138,7 @@ class AttributeController {
           }
         });
       }
-      if (attribute)
-        return res.status(200).json(attribute.rows);
+      return Listing.respond(res, listing, attribute);
     } catch (error) {
       return next(error);
     }
@@ -153,16 +151,10 @@ class AttributeController {
    * @param {*} next
    */
   static async getProductAttributes(req, res, next) {
-    // Write code to get all attribute values for a product using the product id provided in the request param
-    //return res.status(200).json({ message: 'this works' });
+    const listing = Listing.parse(req.query, { sortable: ATTRIBUTE_VALUE_SORTABLE });
+    if (Listing.failed(res, listing)) return undefined;
 
-    const { query } = req;
-    const { page, limit, offset } = query
     const { product_id } = req.params;  // eslint-disable-line
-    const sqlQueryMap = {
-      limit,
-      offset,
-    };
     try {
       let attribute = await AttributeValue.findAndCountAll({
         include: [
@@ -170,13 +162,16 @@ class AttributeController {
             model: Product,
 
             attributes: [],
+            through: { attributes: [] },
             where: {
               product_id,
             },
           },
         ],
-        limit,
-        offset,
+        distinct: true,
+        order: listing.order,
+        limit: listing.limit,
+        offset: listing.offset,
       });
       if ( attribute.count === 0){
         return res.status(404).json({
@@ -188,14 +183,59 @@ class AttributeController {
           }
         });
       }
-      if (attribute)
-        return res.status(200).json(attribute.rows);
-
-
+      return Listing.respond(res, listing, attribute);
     } catch (error) {
       return next(error);
     }
   }
+
+  /**
+   * This method gets the attribute values that are not assigned to a product,
+   * like catalog_get_attributes_not_assigned_to_product
+   * @param {*} req
+   * @param {*} res
+   * @param {*} next
+   */
+  static async getAttributesNotAssignedToProduct(req, res, next) {
+    const { product_id: productId } = req.params;
+    try {
+      const product = await Product.findByPk(productId);
+      if (!product) {
+        return res.status(404).json({
+          error: {
+            status: 404,
+            code: 'PRD_01',
+            message: `${error.ProductError.PRD_01} ${productId}`,
+            field: 'product_id',
+          },
+        });
+      }
+
+      const assigned = await ProductAttribute.findAll({
+        where: { product_id: productId },
+        attributes: ['attribute_value_id'],
+      });
+      const attributeValues = await AttributeValue.findAll({
+        where: {
+          attribute_value_id: { [Op.notIn]: assigned.map(row => row.attribute_value_id) },
+        },
+        include: [{ model: Attribute, as: 'attribute_type' }],
+        order: [
+          [{ model: Attribute, as: 'attribute_type' }, 'name', 'ASC'],
+          ['attribute_value_id', 'ASC'],
+        ],
+      });
+      return res.status(200).json(
+        attributeValues.map(attributeValue => ({
+          attribute_name: attributeValue.attribute_type.name,
+          attribute_value_id: attributeValue.attribute_value_id,
+          attribute_value: attributeValue.value,
+        }))
+      );
+    } catch (_error) {
+      return next(_error);
+    }
+  }
 }
 
 export default AttributeController;
@@ -0,0 +1,536 @@
+/**
+ * The catalog admin controller handles the back-office requests that change departments, categories,
+ * attributes and attribute values, with the same referential checks as the catalog_* stored procedures
+ *
+ * - createDepartment, updateDepartment, deleteDepartment - a department with categories can't be deleted
+ * - createCategory, updateCategory, deleteCategory - a category with products can't be deleted
+ * - createAttribute, updateAttribute, deleteAttribute - an attribute with values can't be deleted
+ * - createAttributeValue, updateAttributeValue, deleteAttributeValue - a value assigned to products
+ *   can't be deleted
+ * - getSynonyms, createSynonym, updateSynonym, deleteSynonym - words suggested together by
+ *   GET /products/suggest
+ */
+import {
+  Department,
+  Category,
+  Attribute,
+  AttributeValue,
+  ProductCategory,
+  ProductAttribute,
+  SearchSynonym,
+} from '../database/models';
+import Validation from '../helpers/validation';
+
+const error = require('../Error/error');
+
+const { validationFailed, notFound } = Validation;
+
+/**
+ * send a 409 error for a record that is still referenced
+ *
+ * @param {object} res express response object
+ * @param {string} code error code of the response
+ * @param {string} message error message
+ * @param {string} field name of the id field
+ * @returns {object} the sent response
+ */
+const conflict = (res, code, message, field) =>
+  res.status(409).json({
+    error: {
+      status: 409,
+      code,
+      message,
+      field,
+    },
+  });
+
+/**
+ * validate the name and description of a department or category
+ *
+ * @param {object} req express request object
+ * @returns {void}
+ */
+const checkNameAndDescription = req => {
+  req
+    .checkBody('name', 'name is required and at most 100 characters')
+    .isLength({ min: 1, max: 100 });
+  req
+    .checkBody('description', 'description must be at most 1000 characters')
+    .optional()
+    .isLength({ max: 1000 });
+};
+
+/**
+ * validate a name or value of an attribute
+ *
+ * @param {object} req express request object
+ * @param {string} field field name
+ * @returns {void}
+ */
+const checkAttributeField = (req, field) =>
+  req
+    .checkBody(field, `${field} is required and at most 100 characters`)
+    .isLength({ min: 1, max: 100 });
+
+/**
+ * validate the term and comma separated synonyms of a synonym entry
+ *
+ * @param {object} req express request object
+ * @returns {void}
+ */
+const checkSynonym = req => {
+  req.checkBody('term', 'term is required and at most 50 characters').isLength({ min: 1, max: 50 });
+  req
+    .checkBody('synonyms', 'synonyms are required and at most 500 characters')
+    .isLength({ min: 1, max: 500 });
+};
+
+/**
+ * @class CatalogAdminController
+ */
+class CatalogAdminController {
+  /**
+   * create a department
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the created department
+   * @memberof CatalogAdminController
+   */
+  static async createDepartment(req, res, next) {
+    checkNameAndDescription(req);
+    if (validationFailed(req, res, 'DEP_04')) return undefined;
+
+    const { name, description } = req.body;
+    try {
+      const department = await Department.create({ name, description });
+      return res.status(201).json(department);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * update the name and description of a department
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated department
+   * @memberof CatalogAdminController
+   */
+  static async updateDepartment(req, res, next) {
+    checkNameAndDescription(req);
+    if (validationFailed(req, res, 'DEP_04')) return undefined;
+
+    const { department_id: departmentId } = req.params;
+    const { name, description } = req.body;
+    try {
+      const department = await Department.findByPk(departmentId);
+      if (!department) {
+        const message = `${error.DepartmentError.DEP_02}${departmentId}`;
+        return notFound(res, 'DEP_02', message, 'department_id');
+      }
+
+      await department.update({ name, description });
+      return res.status(200).json(department);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * delete a department that has no categories
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the deleted department id
+   * @memberof CatalogAdminController
+   */
+  static async deleteDepartment(req, res, next) {
+    const { department_id: departmentId } = req.params;
+    try {
+      const department = await Department.findByPk(departmentId);
+      if (!department) {
+        const message = `${error.DepartmentError.DEP_02}${departmentId}`;
+        return notFound(res, 'DEP_02', message, 'department_id');
+      }
+      if (await Category.count({ where: { department_id: departmentId } })) {
+        return conflict(res, 'DEP_03', error.DepartmentError.DEP_03, 'department_id');
+      }
+
+      await department.destroy();
+      return res.status(200).json({ department_id: department.department_id, deleted: true });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * create a category in a department
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the created category
+   * @memberof CatalogAdminController
+   */
+  static async createCategory(req, res, next) {
+    checkNameAndDescription(req);
+    req.checkBody('department_id', 'department_id must be a number').isInt();
+    if (validationFailed(req, res, 'CAT_04')) return undefined;
+
+    const { department_id: departmentId, name, description } = req.body;
+    try {
+      if (!(await Department.findByPk(departmentId))) {
+        const message = `${error.DepartmentError.DEP_02}${departmentId}`;
+        return notFound(res, 'DEP_02', message, 'department_id');
+      }
+
+      const category = await Category.create({ department_id: departmentId, name, description });
+      return res.status(201).json(category);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * update the name and description of a category
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated category
+   * @memberof CatalogAdminController
+   */
+  static async updateCategory(req, res, next) {
+    checkNameAndDescription(req);
+    if (validationFailed(req, res, 'CAT_04')) return undefined;
+
+    const { category_id: categoryId } = req.params;
+    const { name, description } = req.body;
+    try {
+      const category = await Category.findByPk(categoryId);
+      if (!category) return notFound(res, 'CAT_01', error.CategoryError.CAT_01, 'category_id');
+
+      await category.update({ name, description });
+      return res.status(200).json(category);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * delete a category that has no products
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the deleted category id
+   * @memberof CatalogAdminController
+   */
+  static async deleteCategory(req, res, next) {
+    const { category_id: categoryId } = req.params;
+    try {
+      const category = await Category.findByPk(categoryId);
+      if (!category) return notFound(res, 'CAT_01', error.CategoryError.CAT_01, 'category_id');
+      if (await ProductCategory.count({ where: { category_id: categoryId } })) {
+        return conflict(res, 'CAT_03', error.CategoryError.CAT_03, 'category_id');
+      }
+
+      await category.destroy();
+      return res.status(200).json({ category_id: category.category_id, deleted: true });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * create an attribute
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the created attribute
+   * @memberof CatalogAdminController
+   */
+  static async createAttribute(req, res, next) {
+    checkAttributeField(req, 'name');
+    if (validationFailed(req, res, 'ATR_06')) return undefined;
+
+    try {
+      const attribute = await Attribute.create({ name: req.body.name });
+      return res.status(201).json(attribute);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * rename an attribute
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated attribute
+   * @memberof CatalogAdminController
+   */
+  static async updateAttribute(req, res, next) {
+    checkAttributeField(req, 'name');
+    if (validationFailed(req, res, 'ATR_06')) return undefined;
+
+    const { attribute_id: attributeId } = req.params;
+    try {
+      const attribute = await Attribute.findByPk(attributeId);
+      if (!attribute) {
+        const message = `${error.AttributeError.ATR_01} ${attributeId}`;
+        return notFound(res, 'ATR_01', message, 'attribute_id');
+      }
+
+      await attribute.update({ name: req.body.name });
+      return res.status(200).json(attribute);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * delete an attribute that has no values
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the deleted attribute id
+   * @memberof CatalogAdminController
+   */
+  static async deleteAttribute(req, res, next) {
+    const { attribute_id: attributeId } = req.params;
+    try {
+      const attribute = await Attribute.findByPk(attributeId);
+      if (!attribute) {
+        const message = `${error.AttributeError.ATR_01} ${attributeId}`;
+        return notFound(res, 'ATR_01', message, 'attribute_id');
+      }
+      if (await AttributeValue.count({ where: { attribute_id: attributeId } })) {
+        return conflict(res, 'ATR_04', error.AttributeError.ATR_04, 'attribute_id');
+      }
+
+      await attribute.destroy();
+      return res.status(200).json({ attribute_id: attribute.attribute_id, deleted: true });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * add a value to an attribute
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the created attribute value
+   * @memberof CatalogAdminController
+   */
+  static async createAttributeValue(req, res, next) {
+    checkAttributeField(req, 'value');
+    if (validationFailed(req, res, 'ATR_06')) return undefined;
+
+    const { attribute_id: attributeId } = req.params;
+    try {
+      if (!(await Attribute.findByPk(attributeId))) {
+        const message = `${error.AttributeError.ATR_01} ${attributeId}`;
+        return notFound(res, 'ATR_01', message, 'attribute_id');
+      }
+
+      const attributeValue = await AttributeValue.create({
+        attribute_id: attributeId,
+        value: req.body.value,
+      });
+      return res.status(201).json(attributeValue);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * change an attribute value
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated attribute value
+   * @memberof CatalogAdminController
+   */
+  static async updateAttributeValue(req, res, next) {
+    checkAttributeField(req, 'value');
+    if (validationFailed(req, res, 'ATR_06')) return undefined;
+
+    const { attribute_value_id: valueId } = req.params;
+    try {
+      const attributeValue = await AttributeValue.findByPk(valueId);
+      if (!attributeValue) {
+        const message = `${error.AttributeError.ATR_03} ${valueId}`;
+        return notFound(res, 'ATR_03', message, 'attribute_value_id');
+      }
+
+      await attributeValue.update({ value: req.body.value });
+      return res.status(200).json(attributeValue);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * delete an attribute value that is not assigned to any product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the deleted attribute value id
+   * @memberof CatalogAdminController
+   */
+  static async deleteAttributeValue(req, res, next) {
+    const { attribute_value_id: valueId } = req.params;
+    try {
+      const attributeValue = await AttributeValue.findByPk(valueId);
+      if (!attributeValue) {
+        const message = `${error.AttributeError.ATR_03} ${valueId}`;
+        return notFound(res, 'ATR_03', message, 'attribute_value_id');
+      }
+      if (await ProductAttribute.count({ where: { attribute_value_id: valueId } })) {
+        return conflict(res, 'ATR_05', error.AttributeError.ATR_05, 'attribute_value_id');
+      }
+
+      await attributeValue.destroy();
+      return res
+        .status(200)
+        .json({ attribute_value_id: attributeValue.attribute_value_id, deleted: true });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * get all synonym entries
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the synonym entries
+   * @memberof CatalogAdminController
+   */
+  static async getSynonyms(req, res, next) {
+    try {
+      const synonyms = await SearchSynonym.findAll({ order: [['term', 'ASC']] });
+      return res.status(200).json(synonyms);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * create the synonyms of a term
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the created synonym entry
+   * @memberof CatalogAdminController
+   */
+  static async createSynonym(req, res, next) {
+    checkSynonym(req);
+    if (validationFailed(req, res, 'SYN_02')) return undefined;
+
+    const term = req.body.term.trim().toLowerCase();
+    const { synonyms } = req.body;
+    try {
+      if (await SearchSynonym.count({ where: { term } })) {
+        return conflict(res, 'SYN_03', error.SynonymError.SYN_03, 'term');
+      }
+
+      const synonym = await SearchSynonym.create({ term, synonyms });
+      return res.status(201).json(synonym);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * update the synonyms of a term
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated synonym entry
+   * @memberof CatalogAdminController
+   */
+  static async updateSynonym(req, res, next) {
+    checkSynonym(req);
+    if (validationFailed(req, res, 'SYN_02')) return undefined;
+
+    const { synonym_id: synonymId } = req.params;
+    const term = req.body.term.trim().toLowerCase();
+    const { synonyms } = req.body;
+    try {
+      const synonym = await SearchSynonym.findByPk(synonymId);
+      if (!synonym) {
+        const message = `${error.SynonymError.SYN_01} ${synonymId}`;
+        return notFound(res, 'SYN_01', message, 'synonym_id');
+      }
+      const sameTerm = await SearchSynonym.findOne({ where: { term } });
+      if (sameTerm && sameTerm.synonym_id !== synonym.synonym_id) {
+        return conflict(res, 'SYN_03', error.SynonymError.SYN_03, 'term');
+      }
+
+      await synonym.update({ term, synonyms });
+      return res.status(200).json(synonym);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * delete the synonyms of a term
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the deleted synonym id
+   * @memberof CatalogAdminController
+   */
+  static async deleteSynonym(req, res, next) {
+    const { synonym_id: synonymId } = req.params;
+    try {
+      const synonym = await SearchSynonym.findByPk(synonymId);
+      if (!synonym) {
+        const message = `${error.SynonymError.SYN_01} ${synonymId}`;
+        return notFound(res, 'SYN_01', message, 'synonym_id');
+      }
+
+      await synonym.destroy();
+      return res.status(200).json({ synonym_id: synonym.synonym_id, deleted: true });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+}
+
+export default CatalogAdminController;
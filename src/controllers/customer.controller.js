@@ -3,7 +3,17 @@
  * Some methods needs to be implemented from scratch while others may contain one or two bugs
  *
  * - create - allow customers to create a new account
- * - login - allow customers to login to their account
+ * - login - allow customers to login to their account, merging their guest cart
+ * - attachGuestCart - merge a guest cart into the customer's persisted cart
+ * - refreshToken - exchange a refresh token for a new access token and refresh token
+ * - logout - revoke the session of the current access token
+ * - logoutAll - revoke every session of the customer, logging out all devices
+ * - forgotPassword - email a single-use password reset token
+ * - resetPassword - choose a new password with a password reset token
+ * - verifyEmail - confirm the email address with the token sent after sign up
+ * - resendVerification - send a new email verification token
+ * - socialLogin - login with a Facebook, Google or GitHub token
+ * - linkSocialAccount - link a provider account to the logged in customer
  * - getCustomerProfile - allow customers to view their profile info
  * - updateCustomerProfile - allow customers to update their profile info like name, email, password, day_phone, eve_phone and mob_phone
  * - updateCustomerAddress - allow customers to update their address info
@@ -12,10 +22,33 @@
  *  NB: Check the BACKEND CHALLENGE TEMPLATE DOCUMENTATION in the readme of this repository to see our recommended
  *  endpoints, request body/param, and response object for each of these method
  */
-import { Customer } from '../database/models';
-const config = require('../jwtSecret')
-const jwt = require('jsonwebtoken')
+import crypto from 'crypto';
+import log from 'fancy-log';
+import { Customer, CustomerIdentity, Sequelize } from '../database/models';
+import LoginThrottle from '../helpers/loginThrottle';
+import Cart from '../helpers/cart';
+import Token from '../helpers/token';
+import Mailer from '../mailer';
+import SocialLogin from '../social';
+
 const error = require('../Error/error')
+
+const PASSWORD_RESET_EXPIRES_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_EXPIRES_MINUTES = 24 * 60;
+
+/**
+ * send the 404 error of a customer record that could not be updated
+ *
+ * @param {object} res express response object
+ * @param {string} code CUS_01 or CUS_02
+ * @returns {json} the sent response
+ */
+const notUpdated = (res, code) =>
+  res.status(404).json({
+    error: { status: 404, code, message: error.CustomerError[code], field: 'customer_id' },
+  });
+
 /**
  * @class CustomerController
  */
@@ -40,18 +73,15 @@ class CustomerController {
       })
 
       if ( customer){
-        let accessToken = jwt.sign({ username: req.body.email },
-          config.secret,
-          {
-            expiresIn: '24h' // expires in 24 hours
-          }
-        )
-        let Bearer = `Bearer ${accessToken}`;
-        return res.status(201).json({ customer: customer,accessToken: Bearer, expiresIn: '24h' });
+        const tokens = await Token.createSession(customer, req);
+        await CustomerController.sendVerification(customer);
+        return res.status(201).json({ customer: customer.getSafeDataValues(), ...tokens });
       }
 
 
     } catch (_error) {
+      // only a duplicate email means the account exists, anything else is a server error
+      if (!(_error instanceof Sequelize.UniqueConstraintError)) return next(_error);
       return res.status(404).json({
         error: {
           status: 404,
@@ -60,7 +90,6 @@ class CustomerController {
           field: 'email'
         }
       });
-      //return next(error);
     }
   }
 
@@ -75,27 +104,343 @@ class CustomerController {
    * @memberof CustomerController
    */
   static async login(req, res, next) {
-    // implement function to login to user account
+    const { email, password } = req.body;
+    const { ip } = req;
     try {
-      let credentials = {
-        email: req.body.email,
-        password: req.body.password
+      if (!email || !password) {
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'USR_02',
+            message: error.UsersError.USR_02,
+            field: !email ? 'email' : 'password',
+          },
+        });
       }
-      const _customer = await Customer.findAndCountAll(credentials);
-      let accessToken
-      if (_customer) {
-        accessToken = jwt.sign({ username: credentials.email },
-          config.secret, { expiresIn: config.expiresIn } // expires in 24 hours
-        )
+
+      if (req.body.cart_id !== undefined && !Cart.isValidId(req.body.cart_id)) {
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'CRT_05',
+            message: error.CartError.CRT_05,
+            field: 'cart_id',
+          },
+        });
       }
+
+      const retryAfter = LoginThrottle.isLocked(email, ip);
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: {
+            status: 429,
+            code: 'USR_11',
+            message: error.UsersError.USR_11,
+            field: 'email',
+          },
+        });
+      }
+
+      const customer = await Customer.findOne({ where: { email } });
+      if (!customer) {
+        LoginThrottle.recordFailure(email, ip);
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'USR_05',
+            message: error.UsersError.USR_05,
+            field: 'email',
+          },
+        });
+      }
+
+      const isValid = await customer.validatePassword(password);
+      if (!isValid) {
+        LoginThrottle.recordFailure(email, ip);
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'USR_01',
+            message: error.UsersError.USR_01,
+            field: 'password',
+          },
+        });
+      }
+
+      LoginThrottle.reset(email, ip);
+      const cart = await CustomerController.attachGuestCart(customer, req.body);
+      const tokens = await Token.createSession(customer, req);
       return res.status(200).json({
-        customer: _customer.rows,
-        accessToken,
-        expiresIn: config.expiresIn
+        customer: customer.getSafeDataValues(),
+        ...tokens,
+        ...(cart && { cart }),
+      });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * merge the guest cart sent with a login into the customer's persisted cart. The guest cart is
+   * left alone when cart tokens are required and cart_token doesn't match it, or when the merge
+   * fails: the login goes on without it.
+   *
+   * @static
+   * @param {object} customer customer instance
+   * @param {object} body login request body with the optional cart_id, checked by login, and
+   * cart_token
+   * @returns {object|null} cart_id and cart_token of the customer's cart, null without a guest cart
+   * @memberof CustomerController
+   */
+  static async attachGuestCart(customer, body) {
+    const { cart_id: guestCartId, cart_token: cartToken } = body;
+    if (guestCartId === undefined) return null;
+    if (Cart.tokenRequired() && !Cart.verifyToken(guestCartId, cartToken)) return null;
+
+    try {
+      const cartId = await Cart.attachGuestCart(customer.customer_id, guestCartId);
+      return { cart_id: cartId, cart_token: Cart.signToken(cartId) };
+    } catch (mergeError) {
+      log.error(`Merging guest cart ${guestCartId} on login failed: ${mergeError.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * exchange a refresh token for a new access token and refresh token
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the new access token and refresh token
+   * @memberof CustomerController
+   */
+  static async refreshToken(req, res, next) {
+    try {
+      const tokens = await Token.refreshSession(req.body.refresh_token);
+      if (!tokens) {
+        return res.status(401).json({
+          error: {
+            status: 401,
+            code: 'AUT_03',
+            message: error.AuthenticationError.AUT_03,
+            field: 'refresh_token',
+          },
+        });
+      }
+      return res.status(200).json(tokens);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * log out of the session the access token belongs to
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the number of revoked sessions
+   * @memberof CustomerController
+   */
+  static async logout(req, res, next) {
+    try {
+      const revoked = await Token.revokeSession(req.session_id);
+      return res.status(200).json({ revoked });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * log out of every device by revoking all sessions of the customer
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the number of revoked sessions
+   * @memberof CustomerController
+   */
+  static async logoutAll(req, res, next) {
+    try {
+      const revoked = await Token.revokeAllSessions(req.customer_id);
+      return res.status(200).json({ revoked });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * issue an email verification token and mail it to the customer
+   *
+   * @static
+   * @param {object} customer customer instance
+   * @returns {Promise} resolves once the email was handed to the mailer
+   * @memberof CustomerController
+   */
+  static async sendVerification(customer) {
+    const token = await Token.createOneTimeToken(
+      customer,
+      'email_verification',
+      EMAIL_VERIFICATION_EXPIRES_MINUTES
+    );
+    return Mailer.sendQuietly(customer.email, 'emailVerification', { name: customer.name, token });
+  }
+
+  /**
+   * email a password reset token, the response is the same whether the email exists or not
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CustomerController
+   */
+  static async forgotPassword(req, res, next) {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_02',
+          message: error.UsersError.USR_02,
+          field: 'email',
+        },
+      });
+    }
+
+    try {
+      const customer = await Customer.findOne({ where: { email } });
+      if (customer) {
+        const token = await Token.createOneTimeToken(
+          customer,
+          'password_reset',
+          PASSWORD_RESET_EXPIRES_MINUTES
+        );
+        await Mailer.sendQuietly(customer.email, 'passwordReset', {
+          name: customer.name,
+          token,
+          expiresInMinutes: PASSWORD_RESET_EXPIRES_MINUTES,
+        });
+      }
+      return res.status(200).json({
+        message: 'If an account exists for this email, a password reset link has been sent.',
+      });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * set a new password with a password reset token and log out every session
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CustomerController
+   */
+  static async resetPassword(req, res, next) {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_02',
+          message: error.UsersError.USR_02,
+          field: !token ? 'token' : 'password',
+        },
+      });
+    }
+
+    try {
+      const customer = await Token.consumeOneTimeToken(token, 'password_reset');
+      if (!customer) {
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'USR_12',
+            message: error.UsersError.USR_12,
+            field: 'token',
+          },
+        });
+      }
+
+      await customer.update({ password });
+      await Token.revokeAllSessions(customer.customer_id);
+      return res
+        .status(200)
+        .json({ message: 'Your password has been reset, please log in again.' });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * mark the customer's email as verified with the token sent after sign up
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the customer
+   * @memberof CustomerController
+   */
+  static async verifyEmail(req, res, next) {
+    try {
+      const customer = await Token.consumeOneTimeToken(req.body.token, 'email_verification');
+      if (!customer) {
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'USR_12',
+            message: error.UsersError.USR_12,
+            field: 'token',
+          },
+        });
+      }
+
+      await customer.update({ email_verified: true });
+      return res.status(200).json({ customer: customer.getSafeDataValues() });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * send a new email verification token to the authenticated customer
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with a message
+   * @memberof CustomerController
+   */
+  static async resendVerification(req, res, next) {
+    const { customer } = req;
+    if (customer.email_verified) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_13',
+          message: error.UsersError.USR_13,
+          field: 'email',
+        },
       });
     }
-    catch (error) {
-      next(error)
+
+    try {
+      await CustomerController.sendVerification(customer);
+      return res.status(200).json({ message: 'A verification email has been sent.' });
+    } catch (_error) {
+      return next(_error);
     }
   }
 
@@ -114,9 +459,9 @@ class CustomerController {
     const { customer_id } = req;  // eslint-disable-line
     try {
       const customer = await Customer.findByPk(customer_id);
-      return res.status(400).json({
+      return res.status(200).json({
         status: true,
-        customer,
+        customer: customer.getSafeDataValues(),
       });
     } catch (error) {
       return next(error);
@@ -139,34 +484,185 @@ class CustomerController {
   }
 
   /**
-     * Login using Facebook accesstoken
-     *
-     * @static
-     * @param {object} req express request object
-     * @param {object} res express response object
-     * @param {object} next next middleware
-     * @returns {json} json object with status customer profile data
-     * @memberof CustomerController
-     */
+   * Login using a social provider token, Facebook by default
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with customer data, access token and refresh token
+   * @memberof CustomerController
+   */
   static async facebook(req, res, next) {
-    // Implement function to update customer profile like name, day_phone, eve_phone and mob_phone
-    //return res.status(200).json({ message: 'Facebook Login this works' });
-    let accessToken = req.body.access_token
-    let jwtToken = jwt.decode(accessToken)
-    if (jwtToken) {
-      //const customer = Customer.findAndCountAll({
-      //   email: jwtToken.username
-      // });
-      const customer = Customer.findAndCountAll({
-
-        where: { email: jwtToken.username }
+    req.params.provider = 'facebook';
+    return CustomerController.socialLogin(req, res, next);
+  }
+
+  /**
+   * verify the provider token of a social login request. Sends a 400 or 401 error when the
+   * provider is unknown or not configured, or the token is missing or invalid.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @returns {object|null} the provider profile, null when an error was sent
+   * @memberof CustomerController
+   */
+  static async getSocialProfile(req, res) {
+    const provider = SocialLogin.get(req.params.provider);
+    if (!provider) {
+      res.status(400).json({
+        error: {
+          status: 400,
+          code: 'AUT_05',
+          message: error.AuthenticationError.AUT_05,
+          field: 'provider',
+        },
+      });
+      return null;
+    }
+    const accessToken = req.body.access_token;
+    if (!accessToken) {
+      res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_02',
+          message: error.UsersError.USR_02,
+          field: 'access_token',
+        },
+      });
+      return null;
+    }
+
+    const profile = await provider.getProfile(accessToken);
+    if (!profile) {
+      res.status(401).json({
+        error: {
+          status: 401,
+          code: 'AUT_04',
+          message: error.AuthenticationError.AUT_04,
+          field: 'access_token',
+        },
       });
-      console.log(customer.rows)
+    }
+    return profile;
+  }
+
+  /**
+   * Login with a token of the provider in the request param. The customer is found through a linked
+   * identity. Without one, a new customer is created for the provider's email, unverified and sent a
+   * verification email unless the provider vouches for it; an existing account with that email must
+   * log in and link the provider with linkSocialAccount.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with customer data, access token and refresh token
+   * @memberof CustomerController
+   */
+  static async socialLogin(req, res, next) {
+    const { provider: providerName } = req.params;
+    try {
+      const profile = await CustomerController.getSocialProfile(req, res);
+      if (!profile) return undefined;
+
+      let customer;
+      const identity = await CustomerIdentity.findOne({
+        where: { provider: providerName, provider_user_id: profile.id },
+        include: [{ model: Customer }],
+      });
+      if (identity) {
+        customer = identity.Customer;
+      } else {
+        if (!profile.email) {
+          return res.status(400).json({
+            error: {
+              status: 400,
+              code: 'AUT_06',
+              message: error.AuthenticationError.AUT_06,
+              field: 'email',
+            },
+          });
+        }
+
+        const [created, isNew] = await Customer.findOrCreate({
+          where: { email: profile.email },
+          defaults: {
+            name: (profile.name || profile.email).slice(0, 50),
+            password: crypto.randomBytes(32).toString('hex'),
+            email_verified: profile.emailVerified,
+          },
+        });
+        if (!isNew) {
+          return res.status(409).json({
+            error: {
+              status: 409,
+              code: 'AUT_08',
+              message: error.AuthenticationError.AUT_08,
+              field: 'email',
+            },
+          });
+        }
+        customer = created;
+        await CustomerIdentity.create({
+          customer_id: customer.customer_id,
+          provider: providerName,
+          provider_user_id: profile.id,
+          email: profile.email,
+        });
+        if (!profile.emailVerified) await CustomerController.sendVerification(customer);
+      }
+
+      const tokens = await Token.createSession(customer, req);
       return res.status(200).json({
-        jwtToken: jwtToken.username,
-        customer: customer,
-        //message: 'Facebook Login this works'
+        customer: customer.getSafeDataValues(),
+        ...tokens,
       });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * Link the provider account of the token in the request body to the logged in customer, so they
+   * can log in with it. The provider email doesn't need to match or be verified.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the linked provider
+   * @memberof CustomerController
+   */
+  static async linkSocialAccount(req, res, next) {
+    const { provider: providerName } = req.params;
+    try {
+      const profile = await CustomerController.getSocialProfile(req, res);
+      if (!profile) return undefined;
+
+      const [identity] = await CustomerIdentity.findOrCreate({
+        where: { provider: providerName, provider_user_id: profile.id },
+        defaults: { customer_id: req.customer_id, email: profile.email },
+      });
+      if (identity.customer_id !== req.customer_id) {
+        return res.status(409).json({
+          error: {
+            status: 409,
+            code: 'AUT_09',
+            message: error.AuthenticationError.AUT_09,
+            field: 'access_token',
+          },
+        });
+      }
+
+      return res.status(200).json({
+        provider: identity.provider,
+        provider_user_id: identity.provider_user_id,
+        email: identity.email,
+      });
+    } catch (_error) {
+      return next(_error);
     }
   }
 
@@ -182,10 +678,7 @@ class CustomerController {
    * @memberof CustomerController
    */
   static async updateCustomerAddress(req, res, next) {
-    // write code to update customer address info such as address_1, address_2, city, region, postal_code, country
-    // and shipping_region_id
-
-    const  customer_id = req.body.customer_id;  // eslint-disable-line
+    const customerId = req.customer_id;
     const metaData = {
       address_1: req.body.address_1,
       address_2: req.body.address_2,
@@ -195,29 +688,13 @@ class CustomerController {
       shipping_region_id: req.body.shipping_region_id,
     };
     try {
-      const customer = await Customer.update(metaData, {
-        where: { customer_id, },
-      });
-      if (customer[0] == '1') {
-        const customerData = await Customer.findByPk(customer_id);
-        if (customerData) {
-          return res.status(200).json({
-            customerData
-          });
-        }
-      }
-      else {
-        return res.status(404).json({
-          error: {
-            status: 404,
-            code: 'CUS_01',
-            message: `${error.CustomerError.CUS_01} `,  // eslint-disable-line
-            field: 'customer_id'
-          }
-        });
-      }
-    } catch (error) {
-      return next(error);
+      const [updated] = await Customer.update(metaData, { where: { customer_id: customerId } });
+      if (updated !== 1) return notUpdated(res, 'CUS_01');
+
+      const customerData = await Customer.findByPk(customerId);
+      return res.status(200).json({ customerData: customerData.getSafeDataValues() });
+    } catch (_error) {
+      return next(_error);
     }
   }
 
@@ -232,40 +709,23 @@ class CustomerController {
    * @memberof CustomerController
    */
   static async updateCreditCard(req, res, next) {
-    // write code to update customer credit card number
-    const  customer_id  = req.body.customer_id;  // eslint-disable-line
-    const metaData = {
-      credit_card: req.body.credit_card
-    };
+    const customerId = req.customer_id;
     try {
-      const customer = await Customer.update(metaData, {
-        where: { customer_id, },
-      });
-      if (customer[0] == '1') {
-        const customerData = await Customer.findByPk(customer_id);
-        return res.status(200).json({
-          customerData
-        });
-      }
-      else {
-        return res.status(404).json({
-          error: {
-            status: 404,
-            code: 'CUS_02',
-            message: `${error.CustomerError.CUS_02} `,  // eslint-disable-line
-            field: 'customer_id'
-          }
-        });
-      }
+      const [updated] = await Customer.update(
+        { credit_card: req.body.credit_card },
+        { where: { customer_id: customerId } }
+      );
+      if (updated !== 1) return notUpdated(res, 'CUS_02');
 
-    } catch (error) {
-      return next(error);
+      const customerData = await Customer.findByPk(customerId);
+      return res.status(200).json({ customerData: customerData.getSafeDataValues() });
+    } catch (_error) {
+      return next(_error);
     }
   }
 
-
   /**
-   * get customer by their id provided in header
+   * get the authenticated customer by the id set on the request by AuthMiddleware.verifyToken
    *
    * @static
    * @param {object} req express request object
@@ -276,71 +736,57 @@ class CustomerController {
    */
 
   static async getCustomerById(req, res, next) {
-    const { customer_id } = req.headers;  // eslint-disable-line
     try {
-      const customer = await Customer.findByPk(customer_id);
-      return res.status(200).json({
-        customer
-      });
-    } catch (error) {
-      return next(error);
+      const customer = await Customer.findByPk(req.customer_id);
+      return res.status(200).json({ customer: customer.getSafeDataValues() });
+    } catch (_error) {
+      return next(_error);
     }
   }
 
-
   /**
-     * Update customer Details by their id provided in header
-     *
-     * @static
-     * @param {object} req express request object
-     * @param {object} res express response object
-     * @param {object} next next middleware
-     * @returns {json} json object with status customer profile data
-     * @memberof CustomerController
-     */
+   * Update the authenticated customer's details. A new email address has to be verified again,
+   * a verification email is sent to it.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with status customer profile data
+   * @memberof CustomerController
+   */
   static async updateCustomerDetails(req, res, next) {
-    const customer_id  = req.body.customer_id;  // eslint-disable-line
-
+    const customerId = req.customer_id;
     const metaData = {
       email: req.body.email,
       name: req.body.name,
       day_phone: req.body.day_phone,
       eve_phone: req.body.eve_phone,
-      mob_phone: req.body.mob_phone
+      mob_phone: req.body.mob_phone,
     };
+    const emailChanged = !!req.body.email && req.body.email !== req.customer.email;
+    if (emailChanged) metaData.email_verified = false;
     try {
-      const customer = await Customer.update(metaData, {
-        where: { customer_id, },
-      });
-      if (customer[0] == '1') {
-        const customerData = await Customer.findByPk(customer_id);
-        return res.status(200).json({
-          customerData
-        });
-      }
-      else {
+      const [updated] = await Customer.update(metaData, { where: { customer_id: customerId } });
+      if (updated !== 1) return notUpdated(res, 'CUS_01');
+
+      const customerData = await Customer.findByPk(customerId);
+      if (emailChanged) await CustomerController.sendVerification(customerData);
+      return res.status(200).json({ customerData: customerData.getSafeDataValues() });
+    } catch (_error) {
+      if (_error instanceof Sequelize.UniqueConstraintError) {
         return res.status(404).json({
           error: {
             status: 404,
-            code: 'CUS_01',
-            message: `${error.CustomerError.CUS_01}`,  // eslint-disable-line
-            field: 'customer_id'
-          }
+            code: 'USR_04',
+            message: `${error.UsersError.USR_04} with Email: ${req.body.email}`,
+            field: 'email',
+          },
         });
       }
-    } catch (_error) {
-
-      return res.status(404).json({
-        error: {
-          status: 404,
-          code: 'CUS_01',
-          message: `${error.CustomerError.CUS_01}`,  // eslint-disable-line
-          field: 'customer_id'
-        }
-      });
+      return next(_error);
     }
   }
-
 }
 
 export default CustomerController;
@@ -0,0 +1,134 @@
+/**
+ * The order admin controller handles the back-office requests that move orders through their
+ * lifecycle
+ *
+ * - updateOrderStatus - move an order to a status allowed from its current one
+ * - refundOrder - refund a paid order in full, by amount or by order line
+ */
+import { sequelize, Order } from '../database/models';
+import OrderStatus from '../helpers/orderStatus';
+import Refunds from '../helpers/refunds';
+import Validation from '../helpers/validation';
+
+const error = require('../Error/error');
+
+const { notFound } = Validation;
+
+/**
+ * @class OrderAdminController
+ */
+class OrderAdminController {
+  /**
+   * move an order to the status of the request body, a status name or value
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated order
+   * @memberof OrderAdminController
+   */
+  static async updateOrderStatus(req, res, next) {
+    const status = OrderStatus.parse(req.body.status);
+    if (status === undefined) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'ORD_04',
+          message: error.OrderError.ORD_04,
+          field: 'status',
+        },
+      });
+    }
+
+    const { order_id: orderId } = req.params;
+    try {
+      const result = await sequelize.transaction(async transaction => {
+        const order = await Order.findByPk(orderId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        if (!order) return null;
+        return OrderStatus.transition(order, status, {
+          comments: req.body.comments,
+          message: req.body.message,
+          transaction,
+        });
+      });
+
+      if (!result) {
+        return notFound(res, 'ORD_02', `${error.OrderError.ORD_02}${orderId}`, 'order_id');
+      }
+      if (result.error) return res.status(result.error.status).json({ error: result.error });
+
+      const { order } = result;
+      return res.status(200).json({
+        ...order.get({ plain: true }),
+        status_name: OrderStatus.nameOf(order.status),
+      });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * refund a paid order. The body lists the refunded lines as items, each with an item_id and an
+   * optional amount, or gives the refunded amount. Without either the whole remaining amount is
+   * refunded.
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the refunds and the amount left to refund
+   * @memberof OrderAdminController
+   */
+  static async refundOrder(req, res, next) {
+    const { items, amount, reason } = req.body;
+    try {
+      const result = await sequelize.transaction(async transaction => {
+        const order = await Order.findByPk(req.params.order_id, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        if (!order) return null;
+        const refund = await Refunds.issue(order, {
+          items,
+          amount,
+          reason,
+          createdBy: req.customer_id,
+          transaction,
+        });
+        return { ...refund, order };
+      });
+
+      if (!result) {
+        return notFound(
+          res,
+          'ORD_02',
+          `${error.OrderError.ORD_02}${req.params.order_id}`,
+          'order_id'
+        );
+      }
+      if (result.error) return res.status(result.error.status).json({ error: result.error });
+
+      // Stripe is called once the refunds are committed and the order is unlocked
+      const { order, refunds, ...amounts } = result;
+      const settled = await Refunds.settle(order);
+      if (settled.error) return res.status(settled.error.status).json({ error: settled.error });
+
+      const issued = refunds.map(refund => refund.refund_id);
+      return res.status(201).json({
+        order_id: order.order_id,
+        status: order.status,
+        status_name: OrderStatus.nameOf(order.status),
+        ...amounts,
+        refunds: settled.refunds.filter(refund => issued.includes(refund.refund_id)),
+      });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+}
+
+export default OrderAdminController;
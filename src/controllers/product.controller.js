@@ -3,8 +3,9 @@
  * Some methods work fine, some needs to be implemented from scratch while others may contain one or two bugs
  * The static methods and their function include:
  *
- * - getAllProducts - Return a paginated list of products
+ * - getAllProducts - Return a paginated, filtered list of products with facet counts
  * - searchProducts - Returns a list of product that matches the search query string
+ * - suggestProducts - Returns product and category names completing a partial query
  * - getProductsByCategory - Returns all products in a product category
  * - getProductsByDepartment - Returns a list of products in a particular department
  * - getProduct - Returns a single product with a matched id in the request params
@@ -27,11 +28,25 @@ import {
   ProductCategory,
   Review
 } from '../database/models';
+import Listing from '../helpers/listing';
+import ProductSearch from '../search';
+import ProductFilter from '../search/filter';
+import Facets from '../search/facets';
 
 const error = require('../Error/error')
 
 const { Op } = Sequelize;
 
+const PRODUCT_SORTABLE = ['product_id', 'name', 'price', 'discounted_price'];
+const PRODUCT_LIST_ATTRIBUTES = [
+  'product_id', 'name', 'description', 'price', 'discounted_price', 'thumbnail',
+];
+const CATEGORY_SORTABLE = ['category_id', 'name', 'department_id'];
+const SUGGEST_LIMIT = 10;
+const SUGGEST_MAX_LIMIT = 20;
+// every query word is compared to the whole vocabulary by edit distance, keep queries short
+const SUGGEST_MAX_QUERY_LENGTH = 50;
+
 /**
  *
  *
@@ -39,7 +54,8 @@ const { Op } = Sequelize;
  */
 class ProductController {
   /**
-   * get all products
+   * get all products, filtered by attribute values, price, sale, category and department, with
+   * facet counts
    *
    * @static
    * @param {object} req express request object
@@ -49,39 +65,18 @@ class ProductController {
    * @memberof ProductController
    */
   static async getAllProducts(req, res, next) {
+    const listing = Listing.parse(req.query, { sortable: PRODUCT_SORTABLE });
+    if (Listing.failed(res, listing)) return undefined;
+    const { filters, error: filterError } = ProductFilter.parse(req.query);
+    if (filterError) return res.status(400).json({ error: { status: 400, ...filterError } });
 
-    /**
-      "paginationMeta" : {
-"currentPage" : integer , // Current page number
-"currentPageSize" : integer , // The page limit
-"totalPages" : integer , // The total number of pages for all products
-"totalRecords" : integer , // The total number of product in the database
-},
-     */
-    const { query } = req;
-    const { page, limit, offset } = query
-    const sqlQueryMap = {
-      description_length: 200,
-      page: 1,
-      limit: 1,
-      offset,
-      totalPages: 20
-    };
     try {
-      const products = await Product.findAndCountAll(sqlQueryMap);
-
-      let _products = JSON.stringify(products)
-      return res.status(200).json(
-        {
-          "paginationMeta": {
-            currentPage: sqlQueryMap.page,
-            currentPageSize: sqlQueryMap.limit,
-            totalPages: sqlQueryMap.totalPages,
-            totalRecords: products.count,
-          },
-          "rows": products.rows
-        }
-      );
+      const conditions = await ProductFilter.conditions(filters);
+      const [products, facets] = await Promise.all([
+        ProductFilter.findProducts(conditions, listing, PRODUCT_LIST_ATTRIBUTES),
+        Facets.count(conditions),
+      ]);
+      return Listing.respond(res, listing, products, { facets });
     } catch (error) {
       return next(error);
     }
@@ -100,10 +95,6 @@ class ProductController {
   static async searchProduct(req, res, next) {
     const { query_string, all_words } = req.query;  // eslint-disable-line
     // all_words should either be on or off
-    // implement code to search product
-    const sqlQueryMap = {
-      description_length: 200,
-    };
 
     if (all_words == undefined) {
       return res.status(404).json({
@@ -126,24 +117,68 @@ class ProductController {
       });
     }
 
+    // search results are always ordered by relevance
+    const listing = Listing.parse({ ...req.query, order: undefined }, { sortable: PRODUCT_SORTABLE });
+
     try {
-      const product = await Product.findAndCountAll(sqlQueryMap);
-
-      // 'All words on' will find from all fields
-      if (all_words.toLowerCase() === 'on') {
-        let data = product.rows.filter((data) =>
-          JSON.stringify(data).toLowerCase().indexOf(query_string.toLowerCase()) !== -1
-        );
-        return res.status(200).json(data);
-      }
+      const { count, rows } = await ProductSearch.search(query_string, {
+        allWords: String(all_words).toLowerCase() === 'on',
+        limit: listing.limit,
+        offset: listing.offset,
+      });
+      return res.status(200).json({
+        count,
+        paginationMeta: Listing.paginationMeta(listing, count),
+        rows: rows.map(row => ({
+          ...row,
+          description: Listing.truncate(row.description, listing.descriptionLength),
+        })),
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
 
-      // 'All Words OFF' will find only from name field which is the product name
-      if (all_words.toLowerCase() === 'off') {
-        let dataWithAllWordsOff = product.rows.filter((data) =>
-          data.name.indexOf(query_string) !== -1
-        )
-        return res.status(200).json(dataWithAllWordsOff);
-      }
+  /**
+   * suggest product and category names completing the q query string
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with completions and didYouMean
+   * @memberof ProductController
+   */
+  static async suggestProducts(req, res, next) {
+    const { q } = req.query;
+    if (q === undefined || !String(q).trim()) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_10',
+          message: `q ${error.UsersError.USR_10}`,
+          field: 'q',
+        },
+      });
+    }
+    if (String(q).length > SUGGEST_MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'USR_07',
+          message: error.UsersError.USR_07.replace('<FIELD NAME>', 'q'),
+          field: 'q',
+        },
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || SUGGEST_LIMIT, 1),
+      SUGGEST_MAX_LIMIT
+    );
+    try {
+      const { completions, didYouMean } = await ProductSearch.suggest(String(q), { limit });
+      return res.status(200).json({ query: q, completions, didYouMean });
     } catch (error) {
       return next(error);
     }
@@ -160,20 +195,13 @@ class ProductController {
    * @memberof ProductController
    */
   static async getProductsByCategory(req, res, next) {
+    const listing = Listing.parse(req.query, { sortable: PRODUCT_SORTABLE });
+    if (Listing.failed(res, listing)) return undefined;
+
     try {
       const { category_id } = req.params; // eslint-disable-line
-      const sqlQueryMap = {
-        page: 1,
-        limit: 20,
-        description_length: 200,
-        offset: 0
-      };
-      let page = sqlQueryMap.page
-      let limit = sqlQueryMap.limit
-      let description_length = sqlQueryMap.description_length
-      let offset = sqlQueryMap.offset
-
       const products = await Product.findAndCountAll({
+        attributes: PRODUCT_LIST_ATTRIBUTES,
         include: [
           {
             model: Category,
@@ -181,10 +209,13 @@ class ProductController {
               category_id,
             },
             attributes: [],
+            through: { attributes: [] },
           },
         ],
-        limit,
-        offset,
+        distinct: true,
+        order: listing.order,
+        limit: listing.limit,
+        offset: listing.offset,
       });
       if (products.count === 0)
         return res.status(404).json({
@@ -196,12 +227,7 @@ class ProductController {
           }
         });
 
-      if (products)
-        return res.status(200).json(
-          products.rows
-        );
-
-
+      return Listing.respond(res, listing, products);
     } catch (error) {
       return next(error);
     }
@@ -218,21 +244,13 @@ class ProductController {
    * @memberof ProductController
    */
   static async getProductsByDepartment(req, res, next) {
-    // implement the method to get products by department
+    const listing = Listing.parse(req.query, { sortable: PRODUCT_SORTABLE });
+    if (Listing.failed(res, listing)) return undefined;
+
     try {
       const { department_id } = req.params; // eslint-disable-line
-      const sqlQueryMap = {
-        page: 1,
-        limit: 20,
-        description_length: 200,
-        offset: 0
-      };
-      let page = sqlQueryMap.page
-      let limit = sqlQueryMap.limit
-      let description_length = sqlQueryMap.description_length
-      let offset = sqlQueryMap.offset
-
       const products = await Product.findAndCountAll({
+        attributes: PRODUCT_LIST_ATTRIBUTES,
         include: [
           {
             model: Category,
@@ -240,13 +258,15 @@ class ProductController {
               department_id,
             },
             attributes: [],
+            through: { attributes: [] },
           },
         ],
-        limit,
-        offset,
+        distinct: true,
+        order: listing.order,
+        limit: listing.limit,
+        offset: listing.offset,
       });
 
-
       if (products.count === 0)
         return res.status(404).json({
           error: {
@@ -257,12 +277,7 @@ class ProductController {
           }
         });
 
-      if (products)
-        return res.status(200).json(
-          products.rows
-        );
-
-
+      return Listing.respond(res, listing, products);
     } catch (error) {
       return next(error);
     }
@@ -469,16 +484,19 @@ class ProductController {
    * @param {*} next
    */
   static async getAllCategories(req, res, next) {
-    // Implement code to get all categories here
+    const listing = Listing.parse(req.query, { sortable: CATEGORY_SORTABLE });
+    if (Listing.failed(res, listing)) return undefined;
 
     try {
-      const categories = await Category.findAll();
-      if (categories)
-        return res.status(200).json(categories);
+      const categories = await Category.findAndCountAll({
+        order: listing.order,
+        limit: listing.limit,
+        offset: listing.offset,
+      });
+      return Listing.respond(res, listing, categories);
     } catch (error) {
       return next(error);
     }
-    //return res.status(200).json({ message: 'this works' });
   }
 
   /**
@@ -516,26 +534,20 @@ class ProductController {
    * @param {*} next
    */
   static async getDepartmentCategories(req, res, next) {
-    //const { department_id } = req.params;  // eslint-disable-line
-    // implement code to get categories in a department here
+    const listing = Listing.parse(req.query, { sortable: CATEGORY_SORTABLE });
+    if (Listing.failed(res, listing)) return undefined;
+
     try {
-      const { query } = req;
-      const { page, limit, offset } = query
       const { department_id } = req.params;  // eslint-disable-line
-      const products = await Category.findAndCountAll({
-        include: [
-          {
-            model: Department,
-            where: {
-              department_id,
-            },
-            attributes: [],
-          },
-        ],
-        limit,
-        offset,
+      const categories = await Category.findAndCountAll({
+        where: {
+          department_id,
+        },
+        order: listing.order,
+        limit: listing.limit,
+        offset: listing.offset,
       });
-      if (products.count ===0){
+      if (categories.count ===0){
         return res.status(404).json({
           error: {
             status: 404,
@@ -545,17 +557,12 @@ class ProductController {
           }
         });
       }
-      if (products)
-        return res.status(200).json( products.rows );
-
-
+      return Listing.respond(res, listing, categories);
     } catch (error) {
       return next(error);
     }
   }
 
-
-
   /**
   * get the category of a product
   *
@@ -0,0 +1,476 @@
+/**
+ * The product admin controller handles the back-office requests that change products, mirroring
+ * the catalog_* stored procedures of the database dump
+ *
+ * - createProduct - add a product to a category (catalog_add_product_to_category)
+ * - updateProduct - update name, description and prices (catalog_update_product)
+ * - deleteProduct - delete a product with its links and cart lines (catalog_delete_product)
+ * - setDisplayOption - set where the product is displayed (catalog_set_product_display_option)
+ * - setImages - set image, image_2 and thumbnail (catalog_set_image, _image_2, _thumbnail)
+ * - assignCategory - add the product to another category (catalog_assign_product_to_category)
+ * - moveCategory - move the product between categories (catalog_move_product_to_category)
+ * - removeCategory - remove the product from a category, deleting it when it was its last one
+ *   (catalog_remove_product_from_category)
+ * - assignAttributeValue - assign an attribute value (catalog_assign_attribute_value_to_product)
+ * - removeAttributeValue - remove an attribute value (catalog_remove_product_attribute_value)
+ */
+import {
+  Product,
+  Category,
+  AttributeValue,
+  ProductCategory,
+  ProductAttribute,
+  ShoppingCart,
+  sequelize,
+} from '../database/models';
+import Validation from '../helpers/validation';
+
+const error = require('../Error/error');
+
+const { validationFailed, notFound } = Validation;
+
+/**
+ * find the product of the product_id request param
+ *
+ * @param {object} req express request object
+ * @param {object} res express response object
+ * @returns {object|null} the product, null when a 404 response was sent
+ */
+const findProduct = async (req, res) => {
+  const productId = req.params.product_id;
+  const product = await Product.findByPk(productId);
+  if (!product) {
+    notFound(res, 'PRD_01', `${error.ProductError.PRD_01} ${productId}`, 'product_id');
+    return null;
+  }
+  return product;
+};
+
+/**
+ * find a category, sending a 404 response when it does not exist
+ *
+ * @param {object} res express response object
+ * @param {number} categoryId category id
+ * @param {string} field name of the request field holding the id
+ * @returns {object|null} the category, null when a 404 response was sent
+ */
+const findCategory = async (res, categoryId, field = 'category_id') => {
+  const category = await Category.findByPk(categoryId);
+  if (!category) {
+    notFound(res, 'CAT_01', `${error.CategoryError.CAT_01} ${categoryId}`, field);
+    return null;
+  }
+  return category;
+};
+
+/**
+ * validate the product fields of the request body
+ *
+ * @param {object} req express request object
+ * @param {boolean} [partial] whether fields may be left out, as in an update
+ * @returns {void}
+ */
+const checkProductFields = (req, partial = false) => {
+  const check = (field, message) =>
+    partial ? req.checkBody(field, message).optional() : req.checkBody(field, message);
+  check('name', 'name is required and at most 100 characters').isLength({ min: 1, max: 100 });
+  check('description', 'description is required and at most 1000 characters').isLength({
+    min: 1,
+    max: 1000,
+  });
+  check('price', 'price must be a positive amount').isFloat({ min: 0.01 });
+  req
+    .checkBody('discounted_price', 'discounted_price must be an amount below price')
+    .optional()
+    .isFloat({ min: 0 });
+};
+
+/**
+ * @class ProductAdminController
+ */
+class ProductAdminController {
+  /**
+   * create a product in a category
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the created product
+   * @memberof ProductAdminController
+   */
+  static async createProduct(req, res, next) {
+    checkProductFields(req);
+    req
+      .checkBody('discounted_price', 'discounted_price must be an amount below price')
+      .optional()
+      .isFloat({ max: parseFloat(req.body.price) || 0 });
+    req.checkBody('category_id', 'category_id must be a number').isInt();
+    if (validationFailed(req, res, 'PRD_04')) return undefined;
+
+    const { name, description, price, category_id: categoryId } = req.body;
+    try {
+      if (!(await findCategory(res, categoryId))) return undefined;
+
+      const product = await sequelize.transaction(async transaction => {
+        const created = await Product.create(
+          { name, description, price, discounted_price: req.body.discounted_price || 0 },
+          { transaction }
+        );
+        await ProductCategory.create(
+          { product_id: created.product_id, category_id: categoryId },
+          { transaction }
+        );
+        return created;
+      });
+      return res.status(201).json(product);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * update the name, description and prices of a product, fields left out of the request keep
+   * their value
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated product
+   * @memberof ProductAdminController
+   */
+  static async updateProduct(req, res, next) {
+    checkProductFields(req, true);
+    if (validationFailed(req, res, 'PRD_04')) return undefined;
+
+    const changes = {};
+    ['name', 'description', 'price', 'discounted_price'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    try {
+      const product = await findProduct(req, res);
+      if (!product) return undefined;
+
+      const price = changes.price !== undefined ? changes.price : product.price;
+      const discountedPrice =
+        changes.discounted_price !== undefined
+          ? changes.discounted_price
+          : product.discounted_price;
+      if (parseFloat(discountedPrice) > parseFloat(price)) {
+        return res.status(400).json({
+          error: {
+            status: 400,
+            code: 'PRD_04',
+            message: 'discounted_price must be an amount below price',
+            field: 'discounted_price',
+          },
+        });
+      }
+
+      await product.update(changes);
+      return res.status(200).json(product);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * delete a product together with its categories, attribute values and cart lines
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the deleted product id
+   * @memberof ProductAdminController
+   */
+  static async deleteProduct(req, res, next) {
+    try {
+      const product = await findProduct(req, res);
+      if (!product) return undefined;
+
+      await ProductAdminController.destroyProduct(product.product_id);
+      return res.status(200).json({ product_id: product.product_id, deleted: true });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * delete a product and every row that references it
+   *
+   * @static
+   * @param {number} productId product id
+   * @returns {Promise} resolves once the product is deleted
+   * @memberof ProductAdminController
+   */
+  static destroyProduct(productId) {
+    const where = { product_id: productId };
+    return sequelize.transaction(async transaction => {
+      await ProductAttribute.destroy({ where, transaction });
+      await ProductCategory.destroy({ where, transaction });
+      await ShoppingCart.destroy({ where, transaction });
+      await Product.destroy({ where, transaction });
+    });
+  }
+
+  /**
+   * set the display option of a product
+   * 0 - default, 1 - on catalog, 2 - on department, 3 - on catalog and department
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated product
+   * @memberof ProductAdminController
+   */
+  static async setDisplayOption(req, res, next) {
+    req.checkBody('display', 'display must be one of 0, 1, 2 or 3').isInt({ min: 0, max: 3 });
+    if (validationFailed(req, res, 'PRD_04')) return undefined;
+
+    try {
+      const product = await findProduct(req, res);
+      if (!product) return undefined;
+
+      await product.update({ display: parseInt(req.body.display, 10) });
+      return res.status(200).json(product);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * set any of the image, image_2 and thumbnail file names of a product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the updated product
+   * @memberof ProductAdminController
+   */
+  static async setImages(req, res, next) {
+    const fields = ['image', 'image_2', 'thumbnail'].filter(field => req.body[field] !== undefined);
+    if (!fields.length) {
+      return res.status(400).json({
+        error: {
+          status: 400,
+          code: 'PRD_04',
+          message: 'one of image, image_2 or thumbnail is required',
+          field: 'image',
+        },
+      });
+    }
+    fields.forEach(field =>
+      req.checkBody(field, `${field} must be at most 150 characters`).isLength({ max: 150 })
+    );
+    if (validationFailed(req, res, 'PRD_04')) return undefined;
+
+    try {
+      const product = await findProduct(req, res);
+      if (!product) return undefined;
+
+      await product.update(
+        fields.reduce((images, field) => ({ ...images, [field]: req.body[field] || null }), {})
+      );
+      return res.status(200).json(product);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * add a product to a category
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the categories of the product
+   * @memberof ProductAdminController
+   */
+  static async assignCategory(req, res, next) {
+    req.checkBody('category_id', 'category_id must be a number').isInt();
+    if (validationFailed(req, res, 'PRD_04')) return undefined;
+
+    const { category_id: categoryId } = req.body;
+    try {
+      const product = await findProduct(req, res);
+      if (!product || !(await findCategory(res, categoryId))) return undefined;
+
+      const [, created] = await ProductCategory.findOrCreate({
+        where: { product_id: product.product_id, category_id: categoryId },
+      });
+      if (!created) {
+        return res.status(409).json({
+          error: {
+            status: 409,
+            code: 'PRD_05',
+            message: error.ProductError.PRD_05,
+            field: 'category_id',
+          },
+        });
+      }
+      return res.status(201).json(await product.getCategories({ joinTableAttributes: [] }));
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * move a product from the category in the request param to target_category_id
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the categories of the product
+   * @memberof ProductAdminController
+   */
+  static async moveCategory(req, res, next) {
+    req.checkBody('target_category_id', 'target_category_id must be a number').isInt();
+    if (validationFailed(req, res, 'PRD_04')) return undefined;
+
+    const { category_id: categoryId } = req.params;
+    const { target_category_id: targetId } = req.body;
+    try {
+      const product = await findProduct(req, res);
+      if (!product || !(await findCategory(res, targetId, 'target_category_id'))) {
+        return undefined;
+      }
+
+      const where = { product_id: product.product_id };
+      const link = await ProductCategory.findOne({ where: { ...where, category_id: categoryId } });
+      if (!link) {
+        return notFound(res, 'PRD_06', error.ProductError.PRD_06, 'category_id');
+      }
+      if (await ProductCategory.count({ where: { ...where, category_id: targetId } })) {
+        return res.status(409).json({
+          error: {
+            status: 409,
+            code: 'PRD_05',
+            message: error.ProductError.PRD_05,
+            field: 'target_category_id',
+          },
+        });
+      }
+
+      await ProductCategory.update(
+        { category_id: targetId },
+        { where: { ...where, category_id: categoryId } }
+      );
+      return res.status(200).json(await product.getCategories({ joinTableAttributes: [] }));
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * remove a product from a category, a product removed from its last category is deleted
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object telling whether the product was deleted
+   * @memberof ProductAdminController
+   */
+  static async removeCategory(req, res, next) {
+    const { category_id: categoryId } = req.params;
+    try {
+      const product = await findProduct(req, res);
+      if (!product) return undefined;
+
+      const where = { product_id: product.product_id };
+      const link = await ProductCategory.findOne({ where: { ...where, category_id: categoryId } });
+      if (!link) {
+        return notFound(res, 'PRD_06', error.ProductError.PRD_06, 'category_id');
+      }
+
+      if ((await ProductCategory.count({ where })) === 1) {
+        await ProductAdminController.destroyProduct(product.product_id);
+        return res.status(200).json({ product_id: product.product_id, deleted: true });
+      }
+
+      await ProductCategory.destroy({ where: { ...where, category_id: categoryId } });
+      return res.status(200).json({ product_id: product.product_id, deleted: false });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * assign an attribute value to a product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the attribute values of the product
+   * @memberof ProductAdminController
+   */
+  static async assignAttributeValue(req, res, next) {
+    req.checkBody('attribute_value_id', 'attribute_value_id must be a number').isInt();
+    if (validationFailed(req, res, 'PRD_04')) return undefined;
+
+    const { attribute_value_id: valueId } = req.body;
+    try {
+      const product = await findProduct(req, res);
+      if (!product) return undefined;
+
+      if (!(await AttributeValue.findByPk(valueId))) {
+        const message = `${error.AttributeError.ATR_03} ${valueId}`;
+        return notFound(res, 'ATR_03', message, 'attribute_value_id');
+      }
+
+      const [, created] = await ProductAttribute.findOrCreate({
+        where: { product_id: product.product_id, attribute_value_id: valueId },
+      });
+      if (!created) {
+        return res.status(409).json({
+          error: {
+            status: 409,
+            code: 'PRD_07',
+            message: error.ProductError.PRD_07,
+            field: 'attribute_value_id',
+          },
+        });
+      }
+      return res.status(201).json(await product.getAttributes({ joinTableAttributes: [] }));
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * remove an attribute value from a product
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the attribute values of the product
+   * @memberof ProductAdminController
+   */
+  static async removeAttributeValue(req, res, next) {
+    const { attribute_value_id: valueId } = req.params;
+    try {
+      const product = await findProduct(req, res);
+      if (!product) return undefined;
+
+      const removed = await ProductAttribute.destroy({
+        where: { product_id: product.product_id, attribute_value_id: valueId },
+      });
+      if (!removed) {
+        return notFound(res, 'PRD_08', error.ProductError.PRD_08, 'attribute_value_id');
+      }
+      return res.status(200).json(await product.getAttributes({ joinTableAttributes: [] }));
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+}
+
+export default ProductAdminController;
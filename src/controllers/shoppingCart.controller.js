@@ -6,20 +6,157 @@
  * - generateUniqueCart - To generate a unique cart id
  * - addItemToCart - To add new product to the cart
  * - getCart - method to get list of items in a cart
+ * - getMyCart - get the persisted cart of the logged in customer
+ * - getTotalAmount - get the total amount of the buy-now items in a cart
+ * - saveForLater - move an item to the saved items
+ * - moveToCart - move a saved item back to the cart
+ * - getSaved - get the saved items of a cart
  * - updateCartItem - Update the quantity of a product in the shopping cart
  * - emptyCart - should be able to clear shopping cart
  * - removeItemFromCart - should delete a product from the shopping cart
- * - createOrder - Create an order
+ * - createOrder - Create an order from the buy-now items of a cart
  * - getCustomerOrders - get all orders of a customer
  * - getOrderSummary - get the details of an order
+ * - getOrder - get an order with all its items, shipping, tax and totals
+ * - getOrderAudit - get the audit trail of an order
+ * - cancelOrder - cancel an order that has not shipped, refunding what was paid
  * - processStripePayment - process stripe payment
  *
  *  NB: Check the BACKEND CHALLENGE TEMPLATE DOCUMENTATION in the readme of this repository to see our recommended
  *  endpoints, request body/param, and response object for each of these method
  */
-import { Order, OrderDetail, Customer, ShoppingCart, Product } from '../database/models';
-const stripe = require("stripe")(process.env.STRIPE_API_KEY);
-const error = require('../Error/error')
+import crypto from 'crypto';
+import log from 'fancy-log';
+import {
+  sequelize,
+  Order,
+  OrderDetail,
+  Customer,
+  ShoppingCart,
+  Product,
+  Audit,
+  Shipping,
+  Tax,
+} from '../database/models';
+import Cart from '../helpers/cart';
+import Checkout from '../helpers/checkout';
+import Permissions from '../helpers/permissions';
+import OrderStatus from '../helpers/orderStatus';
+import Listing from '../helpers/listing';
+import OrderHistory from '../helpers/orderHistory';
+import Refunds from '../helpers/refunds';
+import Payments from '../payments';
+
+const error = require('../Error/error');
+
+const ORDER_SORTABLE = ['created_on', 'order_id', 'total_amount', 'status'];
+
+/**
+ * send an error response
+ *
+ * @param {obj} res express response object
+ * @param {number} status http status
+ * @param {obj} details code, message and field of the error
+ * @returns {json} the sent response
+ */
+const sendError = (res, status, details) =>
+  res.status(status).json({ error: { status, ...details } });
+
+/**
+ * send a 404 error for a missing cart item
+ *
+ * @param {obj} res express response object
+ * @param {string} itemId item id of the request
+ * @returns {json} the sent response
+ */
+const itemNotFound = (res, itemId) =>
+  sendError(res, 404, {
+    code: 'CRT_01',
+    message: `${error.CartError.CRT_01} ${itemId}`,
+    field: 'item_id',
+  });
+
+/**
+ * find an order the customer of the request may see: their own, or any order for staff who manage
+ * orders. Sends a 404 or 403 error otherwise.
+ *
+ * @param {obj} req express request object
+ * @param {obj} res express response object
+ * @param {obj} [options] sequelize find options
+ * @param {string} [orderId] order id, the order_id param by default
+ * @returns {obj|null} the order, null when an error was sent
+ */
+const findAccessibleOrder = async (req, res, options = {}, orderId = req.params.order_id) => {
+  const order = await Order.findByPk(orderId, options);
+  if (!order) {
+    sendError(res, 404, {
+      code: 'ORD_02',
+      message: `${error.OrderError.ORD_02}${orderId}`,
+      field: 'order_id',
+    });
+    return null;
+  }
+  const isStaff = Permissions.can(req.customer.role, 'orders:manage');
+  if (order.customer_id !== req.customer_id && !isStaff) {
+    sendError(res, 403, {
+      code: 'AUT_07',
+      message: error.AuthenticationError.AUT_07,
+      field: 'order_id',
+    });
+    return null;
+  }
+  return order;
+};
+
+/**
+ * describe an order on its charge, like "Order 12: 3 x Arc d'Triomphe, 1 x Chartres Cathedral"
+ *
+ * @param {obj} order order instance
+ * @param {obj[]} items order_detail lines of the order
+ * @returns {string} the charge description
+ */
+const describeOrder = (order, items) => {
+  const description = `Order ${order.order_id}: ${items
+    .map(item => `${item.quantity} x ${item.product_name}`)
+    .join(', ')}`;
+  return description.length > 255 ? `${description.slice(0, 252)}...` : description;
+};
+
+/**
+ * the error of an order that can't be paid: already paid, or in a status that can't move to paid
+ *
+ * @param {obj} order order instance
+ * @param {obj} [transaction] sequelize transaction
+ * @returns {obj|null} the error result, null when the order can be paid
+ */
+const paymentError = async (order, transaction) => {
+  if (order.reference) {
+    return {
+      error: { status: 409, code: 'PAY_06', message: error.PaymentError.PAY_06, field: 'order_id' },
+    };
+  }
+  if (!OrderStatus.canTransition(order.status, OrderStatus.STATUS.paid)) {
+    // answers the ORD_05 error without changing the order
+    return OrderStatus.transition(order, OrderStatus.STATUS.paid, { transaction });
+  }
+  return null;
+};
+
+/**
+ * refund a charge the order could not keep. A failure is only logged, the charge then has to be
+ * refunded from the Stripe dashboard.
+ *
+ * @param {obj} charge Stripe charge
+ * @returns {void}
+ */
+const refundCharge = async charge => {
+  try {
+    await Payments.refund({ charge: charge.id, idempotencyKey: `refund-charge-${charge.id}` });
+  } catch (refundError) {
+    log.error(`Refund of unpaid charge ${charge.id} failed: ${refundError.message}`);
+  }
+};
+
 /**
  *
  *
@@ -27,24 +164,26 @@ const error = require('../Error/error')
  */
 class ShoppingCartController {
   /**
-   * generate random unique id for cart identifier
+   * generate a random unique cart id with its cart token and expiry
    *
    * @static
    * @param {obj} req express request object
    * @param {obj} res express response object
-   * @returns {json} returns json response with cart_id
+   * @returns {json} returns json response with cart_id, cart_token and expiry
    * @memberof shoppingCartController
    */
   static async generateUniqueCart(req, res) {
-    // implement method to generate unique cart Id
-    const shoppingCart = await ShoppingCart.findAndCountAll();
-    let index = shoppingCart.count - 1;
-
-    return res.status(200).json({ "cart_id": parseInt(shoppingCart.rows[index].cart_id) + 1 });
+    const cartId = Cart.generateId();
+    return res.status(200).json({
+      cart_id: cartId,
+      cart_token: Cart.signToken(cartId),
+      expires_on: Cart.expiresOn([]),
+      expires_after_days: Cart.EXPIRES_DAYS,
+    });
   }
 
   /**
-   * adds item to a cart with cart_id
+   * adds item to a cart with cart_id, merging it with the same product and attributes
    *
    * @static
    * @param {obj} req express request object
@@ -53,28 +192,48 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async addItemToCart(req, res, next) {
-    let metaData = {
-      "cart_id": req.body.cart_id,
-      "product_id": req.body.product_id,
-      "attributes": req.body.attributes,
-      "quantity": req.body.quantity
+    const { cart_id: cartId, product_id: productId, attributes } = req.body;
+    if (!Cart.isValidId(cartId)) {
+      return sendError(res, 400, {
+        code: 'CRT_05',
+        message: error.CartError.CRT_05,
+        field: 'cart_id',
+      });
     }
+    const parsed = Cart.parseQuantity(req.body.quantity);
+    if (parsed.error) return sendError(res, 400, parsed.error);
 
-    const shoppingCart = await ShoppingCart.create(metaData);
-    if (shoppingCart) {
-      let data = {
-        item_id: shoppingCart.item_id,
-        cart_id: shoppingCart.cart_id,
-        attributes: shoppingCart.attributes,
-        product_id: shoppingCart.product_id,
-        quantity: shoppingCart.quantity,
+    try {
+      const product = Number.isInteger(Number(productId))
+        ? await Product.findByPk(productId)
+        : null;
+      if (!product) {
+        return sendError(res, 404, {
+          code: 'PRD_01',
+          message: error.ProductError.PRD_01,
+          field: 'product_id',
+        });
       }
-      return res.status(201).json(data);
+
+      const normalized = await Cart.normalizeAttributes(product.product_id, attributes);
+      if (normalized.error) return sendError(res, 400, normalized.error);
+
+      const added = await Cart.addProduct(
+        cartId,
+        product.product_id,
+        normalized.attributes,
+        parsed.quantity
+      );
+      if (added.error) return sendError(res, 400, added.error);
+
+      return res.status(201).json(await Cart.getCart(cartId));
+    } catch (_error) {
+      return next(_error);
     }
   }
 
   /**
-   * get shopping cart using the cart_id
+   * get shopping cart using the cart_id, with buy-now and saved totals
    *
    * @static
    * @param {obj} req express request object
@@ -83,41 +242,111 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async getCart(req, res, next) {
-    // implement method to get cart items
-    const cart_id = req.params.cart_id;
-    const shoppingcart = await ShoppingCart.findByPk(cart_id);
-
-    if (shoppingcart) {
-      const product = await Product.findByPk(shoppingcart.product_id);
-      if (product) {
-        return res.status(200).json(
-          {
-            "item_id": shoppingcart.item_id,
-            "cart_id": shoppingcart.cart_id,
-            "name": product.name,
-            "attributes": shoppingcart.attributes,
-            "product_id": shoppingcart.product_id,
-            "image": product.image,
-            "price": product.price,
-            "discounted_price": product.discounted_price,
-            "quantity": parseInt(shoppingcart.quantity),
-            "subtotal": parseFloat(shoppingcart.quantity) * parseFloat(product.price),
-          }
-        );
-      }
+    try {
+      const cart = await Cart.getCart(req.params.cart_id);
+      return res.status(200).json(cart);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * get the persisted cart of the logged in customer, created on first use
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with cart and cart_token
+   * @memberof ShoppingCartController
+   */
+  static async getMyCart(req, res, next) {
+    try {
+      const cartId = await Cart.getCustomerCartId(req.customer_id);
+      const cart = await Cart.getCart(cartId);
+      return res.status(200).json({ ...cart, cart_token: Cart.signToken(cartId) });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
 
+  /**
+   * get the total amount of the buy-now items of a cart
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with total_amount
+   * @memberof ShoppingCartController
+   */
+  static async getTotalAmount(req, res, next) {
+    try {
+      const { totals } = await Cart.getCart(req.params.cart_id);
+      return res.status(200).json({ total_amount: totals.buy_now.total_amount });
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * move a cart item to the saved items
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with cart
+   * @memberof ShoppingCartController
+   */
+  static async saveForLater(req, res, next) {
+    const { item_id: itemId } = req.params;
+    try {
+      const item = await ShoppingCart.findByPk(itemId);
+      if (!item) return itemNotFound(res, itemId);
+
+      await Cart.saveForLater(item);
+      return res.status(200).json(await Cart.getCart(item.cart_id));
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * move a saved item back to the cart
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with cart
+   * @memberof ShoppingCartController
+   */
+  static async moveToCart(req, res, next) {
+    const { item_id: itemId } = req.params;
+    try {
+      const item = await ShoppingCart.findByPk(itemId);
+      if (!item) return itemNotFound(res, itemId);
+
+      await Cart.moveToCart(item);
+      return res.status(200).json(await Cart.getCart(item.cart_id));
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * get the saved items of a cart
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with saved items
+   * @memberof ShoppingCartController
+   */
+  static async getSaved(req, res, next) {
+    try {
+      const items = await Cart.getItems(req.params.cart_id);
+      return res.status(200).json(items.filter(item => !item.buy_now));
+    } catch (_error) {
+      return next(_error);
     }
-    else {
-
-        return res.status(404).json({
-          error: {
-            status: 404,
-            code: 'CRT_02',
-            message: `${error.CartError.CRT_02} ${cart_id} `,  // eslint-disable-line
-            field: 'cart_id'
-          }
-        });
-      }
   }
 
   /**
@@ -131,35 +360,25 @@ class ShoppingCartController {
    */
   static async updateCartItem(req, res, next) {
     const item_id = req.params.item_id; // eslint-disable-line
-    const quantity = req.body.quantity;
+    // unlike adding an item, the quantity has no default here
+    const parsed = Cart.parseQuantity(req.body.quantity === undefined ? 0 : req.body.quantity);
+    if (parsed.error) return sendError(res, 400, parsed.error);
 
-    const shoppingcart = await ShoppingCart.update({ quantity }, {
-      where: { item_id },
-    });
+    try {
+      const item = await ShoppingCart.findByPk(item_id);
+      if (!item) return itemNotFound(res, item_id);
 
-    if (shoppingcart[0] == '1') {
-      const shoppingcartData = await ShoppingCart.findByPk(item_id);
-      if (shoppingcartData) {
-        return res.status(200).json({
-          "item_id": shoppingcartData.item_id,
-          "cart_id": shoppingcartData.cart_id,
-          "attributes": shoppingcartData.attributes,
-          "product_id": shoppingcartData.product_id,
-          "quantity": shoppingcartData.quantity
-        });
-      }
-    }
-    else {
-      return res.status(404).json({
-        error: {
-          status: 404,
-          code: 'CRT_01',
-          message: `${error.CartError.CRT_01} ${item_id}`,  // eslint-disable-line
-          field: 'item_id'
-        }
+      await item.update({ quantity: parsed.quantity });
+      return res.status(200).json({
+        item_id: item.item_id,
+        cart_id: item.cart_id,
+        attributes: item.attributes,
+        product_id: item.product_id,
+        quantity: item.quantity,
       });
+    } catch (_error) {
+      return next(_error);
     }
-
   }
 
   /**
@@ -198,7 +417,7 @@ class ShoppingCartController {
   }
 
   /**
-   * create an order from a cart
+   * create an order from the buy-now items of a cart, with shipping and tax, in one transaction
    *
    * @static
    * @param {obj} req express request object
@@ -207,33 +426,26 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async createOrder(req, res, next) {
+    const { cart_id: cartId, shipping_id: shippingId, tax_id: taxId } = req.body;
     try {
-      let metaData = {
-        cart_id: req.body.cart_id,
-        shipping_id: req.body.shipping_id,
-        tax_id: req.body.tax_id,
-      }
-      const order = await Order.create(metaData)
-      if (order) {
-        let order_id = order.order_id;
-        return res.status(201).json({ order_id });
-      } else {
-        return res.status(404).json({
-          error: {
-            status: 404,
-            code: 'ORD_01',
-            message: `${error.OrderError.ORD_01}`,  // eslint-disable-line
-            field: 'order_id'
-          }
-        });
-      }
+      const created = await Checkout.createOrder({
+        cartId,
+        cartToken: req.headers['cart-token'],
+        customerId: req.customer_id,
+        shippingId,
+        taxId,
+      });
+      if (created.error) return sendError(res, created.error.status, created.error);
+
+      return res.status(201).json({ order_id: created.order.order_id, ...created.amounts });
     } catch (error) {
       return next(error);
     }
   }
 
   /**
-   * Get all orders made by Customers
+   * Get the orders of the logged in customer, paginated and filtered by status and creation date,
+   * or all of them as CSV with format=csv
    * @static
    * @param {obj} req express request object
    * @param {obj} res express response object
@@ -241,32 +453,32 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async getCustomerOrders(req, res, next) {
-    let customer_id;  // eslint-disable-line
-    try {
-      // implement code to get customer order
-      const orders = await Order.findAndCountAll();
-      if (orders) {
-        let orderData = {};
-        orders.rows.forEach(element => {
-          orderData.order_id = element.order_id;
-          orderData.total_amount = element.total_amount;
-          orderData.created_on = element.created_on;
-          orderData.shipped_on = element.shipped_on;
-          let customers = Customer.findByPk(element.customer_id).then(data => {
-            orderData.name = data.name
-            //  return res.status(200).json(orderData);
-            res.status(200).end(JSON.stringify(orderData))
-          });
+    const listing = Listing.parse(req.query, { sortable: ORDER_SORTABLE });
+    if (Listing.failed(res, listing)) return undefined;
+    const { where, error: filterError } = OrderHistory.parseFilters(req.query);
+    if (filterError) return sendError(res, 400, filterError);
 
-        });
+    try {
+      if (req.query.format === 'csv') {
+        const { rows } = await OrderHistory.find(req.customer_id, where);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="orders.csv"');
+        return res.status(200).send(OrderHistory.toCsv(rows));
       }
+
+      const orders = await OrderHistory.find(req.customer_id, where, {
+        order: req.query.order === undefined ? undefined : listing.order,
+        limit: listing.limit,
+        offset: listing.offset,
+      });
+      return Listing.respond(res, listing, orders);
     } catch (error) {
       return next(error);
     }
   }
 
   /**
-   *
+   * get the short summary of an order with the customer name
    *
    * @static
    * @param {obj} req express request object
@@ -275,135 +487,267 @@ class ShoppingCartController {
    * @memberof ShoppingCartController
    */
   static async getOrderSummary(req, res, next) {
-    const { order_id } = req.params;  // eslint-disable-line
     try {
-      const orders = await Order.findByPk(order_id);
-      if (orders) {
-        let orderData = {};
-        orderData.order_id = orders.order_id;
-        orderData.total_amount = orders.total_amount;
-        orderData.created_on = orders.created_on;
-        orderData.shipped_on = orders.shipped_on;
-        orderData.status = orders.status;
-        let customers = Customer.findByPk(orders.customer_id).then(data => {
-          orderData.name = data.name
-          return res.status(200).json(orderData);
-        });
-      }
-      else {
-        return res.status(404).json({
-          error: {
-            status: 404,
-            code: 'ORD_01',
-            message: `${error.OrderError.ORD_01}`,  // eslint-disable-line
-            field: 'order_id'
-          }
-        });
-      }
+      const order = await findAccessibleOrder(req, res, {
+        include: [{ model: Customer, attributes: ['name'] }],
+      });
+      if (!order) return undefined;
+
+      return res.status(200).json({
+        order_id: order.order_id,
+        total_amount: Number(order.total_amount),
+        created_on: order.created_on,
+        shipped_on: order.shipped_on,
+        status: order.status,
+        status_name: OrderStatus.nameOf(order.status),
+        name: order.Customer ? order.Customer.name : null,
+      });
     } catch (error) {
       return next(error);
     }
   }
 
-
   /**
-   * Get Order by Order_id
-     * @static
-     * @param {obj} req express request object
-     * @param {obj} res express response object
-     * @returns {json} returns json response with order summary
-     * @memberof ShoppingCartController
-     */
+   * get an order with all its items, shipping and tax like orders_get_order_info, and its totals
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with the order
+   * @memberof ShoppingCartController
+   */
   static async getOrder(req, res, next) {
-    const { order_id } = req.params;  // eslint-disable-line
-    const { customer_id } = req;   // eslint-disable-line
     try {
-      // write code to get order summary
+      const order = await findAccessibleOrder(req, res, {
+        include: [
+          { model: OrderDetail, as: 'orderItems' },
+          { model: Shipping, attributes: ['shipping_type', 'shipping_cost'] },
+          { model: Tax, attributes: ['tax_type', 'tax_percentage'] },
+        ],
+        order: [[{ model: OrderDetail, as: 'orderItems' }, 'item_id', 'ASC']],
+      });
+      if (!order) return undefined;
 
-      const order = await OrderDetail.findAndCountAll({
-        where: {
-          order_id,
-        }
+      const { orderItems, Shipping: shipping, Tax: tax, ...data } = order.get({ plain: true });
+      const items = orderItems.map(item => ({
+        ...item,
+        unit_cost: Number(item.unit_cost),
+        subtotal: Math.round(item.quantity * Number(item.unit_cost) * 100) / 100,
+      }));
+      const amounts = Checkout.amounts(
+        items,
+        shipping || { shipping_cost: 0 },
+        tax || { tax_percentage: 0 }
+      );
+
+      return res.status(200).json({
+        ...data,
+        total_amount: Number(data.total_amount),
+        status_name: OrderStatus.nameOf(data.status),
+        shipping_type: shipping ? shipping.shipping_type : null,
+        shipping_cost: amounts.shipping_cost,
+        tax_type: tax ? tax.tax_type : null,
+        tax_percentage: tax ? Number(tax.tax_percentage) : null,
+        orderItems: items,
+        subtotal: amounts.subtotal,
+        tax_amount: amounts.tax_amount,
+        grand_total: amounts.total_amount,
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  /**
+   * get the audit trail of an order, like orders_get_audit_trail
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with the audit entries
+   * @memberof ShoppingCartController
+   */
+  static async getOrderAudit(req, res, next) {
+    try {
+      const order = await findAccessibleOrder(req, res);
+      if (!order) return undefined;
+
+      const audits = await Audit.findAll({
+        where: { order_id: order.order_id },
+        order: [['created_on', 'ASC'], ['audit_id', 'ASC']],
       });
+      return res.status(200).json(audits);
+    } catch (_error) {
+      return next(_error);
+    }
+  }
 
-      if (order) {
-        let orderId, order_items;
-        order.rows.forEach(element => {
-          orderId = element.order_id;
-          order_items = {
-            product_id: element.product_id,
-            attributes: element.attributes,
-            product_name: element.product_name,
-            quantity: element.quantity,
-            unit_cost: element.unit_cost,
-            subtotal: element.quantity * element.unit_cost,
-          }
+  /**
+   * cancel an order that has not shipped yet. A paid order is refunded in full and moves on to
+   * refunded. The cancellation and its pending refund are committed before Stripe is called, so
+   * the order is not locked while Stripe answers.
+   *
+   * @static
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with the order and the refunded amount
+   * @memberof ShoppingCartController
+   */
+  static async cancelOrder(req, res, next) {
+    try {
+      const result = await sequelize.transaction(async transaction => {
+        const order = await findAccessibleOrder(req, res, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
         });
-        return res.status(200).json({
-          order_id,
-          order_items
+        if (!order) return null;
+
+        const { reason } = req.body;
+        const cancelled = await OrderStatus.transition(order, OrderStatus.STATUS.cancelled, {
+          message: reason ? `Order cancelled: ${reason}` : 'Order cancelled',
+          transaction,
         });
-      }
-      else {
-        return res.status(404).json({
-          error: {
-            status: 404,
-            code: 'ORD_02',
-            message: `${error.OrderError.ORD_02} ${order_id}`,  // eslint-disable-line
-            field: 'order_id'
-          }
+        if (cancelled.error || !Refunds.captured(order)) return { ...cancelled, refunded: 0 };
+
+        const { remaining } = await Refunds.balance(order, transaction);
+        if (!remaining) {
+          await Refunds.markRefunded(order, transaction);
+          return { order, refunded: 0 };
+        }
+
+        // roll the cancellation back when the refund can't be written
+        const refund = await Refunds.issue(order, {
+          reason: reason || 'Order cancelled',
+          createdBy: req.customer_id,
+          transaction,
         });
-      }
+        if (refund.error) throw refund;
+        return { order, refunded: refund.refunded_amount };
+      });
+      if (!result) return undefined;
+      if (result.error) return res.status(result.error.status).json({ error: result.error });
 
-    } catch (error) {
-      return next(error);
+      const { order, refunded } = result;
+      if (Refunds.captured(order)) {
+        const settled = await Refunds.settle(order);
+        if (settled.error) return res.status(settled.error.status).json({ error: settled.error });
+      }
+      return res.status(200).json({
+        ...order.get({ plain: true }),
+        status_name: OrderStatus.nameOf(order.status),
+        refunded_amount: refunded,
+      });
+    } catch (_error) {
+      if (_error.error) return res.status(_error.error.status).json({ error: _error.error });
+      return next(_error);
     }
   }
 
-
   /**
+   * charge the total of an order of the caller with a Stripe card token. The charge id and
+   * authorization code are stored like orders_set_auth_code and the order moves to paid.
+   *
+   * Stripe is called without holding a lock, with an idempotency key made of the order and the
+   * token so a retried request never charges twice. The order is then locked and checked again: a
+   * charge it can't keep, because another payment got there first or the update failed, is
+   * refunded.
+   *
    * @static
-   * @param {*} req
-   * @param {*} res
-   * @param {*} next
+   * @param {obj} req express request object
+   * @param {obj} res express response object
+   * @returns {json} returns json response with the order payment
+   * @memberof ShoppingCartController
    */
   static async processStripePayment(req, res, next) {
-    const { email, stripeToken, order_id } = req.body; // eslint-disable-line
-    const { customer_id } = req;  // eslint-disable-line
+    const { email, stripeToken, order_id: orderId } = req.body;
+    if (!stripeToken) {
+      return sendError(res, 400, {
+        code: 'PAY_07',
+        message: error.PaymentError.PAY_07,
+        field: 'stripeToken',
+      });
+    }
+
+    let unsettledCharge;
     try {
-      // implement code to process payment and send order confirmation email here
-      const order = await Order.findByPk(order_id);
-      if (order) {
-        let amount = parseInt(order.total_amount);
-        let stripeObject = await stripe.customers.create({
-          email: email, // customer email, which user need to enter while making payment
-          source: stripeToken, // token for the given card // we are using "tok_visa" considering a VISA Payment
-        }).then(customer =>
-          stripe.charges.create({ // charge the customer
-            amount,
-            description: "Sample Charge",
-            currency: "usd",
-            customer: customer.id,
-          })).then(charge => {
-            return {
-              charge,
-              message: charge.status
-            }
-          });
-        return res.status(200).json(stripeObject)
-      }else {
-
-        return res.status(404).json({
-          error: {
-            status: 404,
-            code: 'ORD_02',
-            message: `${error.OrderError.ORD_02}${order_id} to perform the transaction.`,  // eslint-disable-line
-            field: 'order_id'
-          }
+      const order = await findAccessibleOrder(req, res, {}, orderId);
+      if (!order) return undefined;
+      const unpayable = await paymentError(order);
+      if (unpayable) return sendError(res, unpayable.error.status, unpayable.error);
+
+      const items = await OrderDetail.findAll({
+        where: { order_id: order.order_id },
+        order: [['item_id', 'ASC']],
+      });
+      const tokenHash = crypto
+        .createHash('sha256')
+        .update(String(stripeToken))
+        .digest('hex');
+      let charge;
+      try {
+        charge = await Payments.charge({
+          source: stripeToken,
+          email: email || req.customer.email,
+          amount: Number(order.total_amount),
+          description: describeOrder(order, items),
+          metadata: { order_id: order.order_id },
+          idempotencyKey: `charge-${order.order_id}-${tokenHash.slice(0, 24)}`,
         });
+      } catch (stripeError) {
+        const mapped = Payments.mapError(stripeError);
+        if (!mapped) throw stripeError;
+        return sendError(res, mapped.status, mapped);
       }
-    } catch (error) {
-      return next(error);
+      if (charge.refunded) {
+        // a replay of a charge refunded below, the token can't pay again
+        return sendError(res, 400, {
+          code: 'PAY_03',
+          message: `${error.PaymentError.PAY_03} Use a new card token.`,
+          field: 'stripeToken',
+        });
+      }
+
+      unsettledCharge = charge;
+      const result = await sequelize.transaction(async transaction => {
+        const paid = await Order.findByPk(order.order_id, {
+          transaction,
+          lock: transaction.LOCK.UPDATE,
+        });
+        // a replayed charge this order already stores
+        if (paid.reference === charge.id) return { order: paid };
+        const failed = await paymentError(paid, transaction);
+        if (failed) return failed;
+
+        await paid.update(
+          { auth_code: charge.authorization_code || charge.id, reference: charge.id },
+          { transaction }
+        );
+        await OrderStatus.transition(paid, OrderStatus.STATUS.paid, {
+          message: `Payment received: ${charge.id}`,
+          transaction,
+        });
+        return { order: paid };
+      });
+      unsettledCharge = undefined;
+      if (result.error) {
+        await refundCharge(charge);
+        return sendError(res, result.error.status, result.error);
+      }
+
+      const paid = result.order;
+      return res.status(200).json({
+        order_id: paid.order_id,
+        status: paid.status,
+        status_name: OrderStatus.nameOf(paid.status),
+        auth_code: paid.auth_code,
+        reference: paid.reference,
+        amount: Number(paid.total_amount),
+        currency: charge.currency,
+        message: charge.status,
+      });
+    } catch (_error) {
+      if (unsettledCharge) await refundCharge(unsettledCharge);
+      return next(_error);
     }
   }
 }
@@ -0,0 +1,41 @@
+module.exports = (sequelize, DataTypes) => {
+  const Audit = sequelize.define(
+    'Audit',
+    {
+      audit_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      code: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'audit',
+    }
+  );
+
+  Audit.associate = ({ Order }) => {
+    Audit.belongsTo(Order, {
+      foreignKey: 'order_id',
+    });
+  };
+
+  return Audit;
+};
@@ -47,6 +47,16 @@ module.exports = (sequelize, DataTypes) => {
       day_phone: DataTypes.STRING(100),
       eve_phone: DataTypes.STRING(100),
       mob_phone: DataTypes.STRING(100),
+      email_verified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      role: {
+        type: DataTypes.ENUM('customer', 'catalog_manager', 'order_manager', 'admin'),
+        allowNull: false,
+        defaultValue: 'customer',
+      },
     },
     {
       underscored: true,
@@ -60,6 +70,13 @@ module.exports = (sequelize, DataTypes) => {
     customer.password = await customer.generatePasswordHash();
   });
 
+  Customer.beforeUpdate(async customer => {
+    if (customer.changed('password')) {
+      // eslint-disable-next-line no-param-reassign
+      customer.password = await customer.generatePasswordHash();
+    }
+  });
+
   Customer.prototype.generatePasswordHash = async function generatePasswordHash() {
     const saltRounds = 8;
     return bcrypt.hash(this.password, saltRounds);
@@ -69,16 +86,31 @@ module.exports = (sequelize, DataTypes) => {
     return bcrypt.compare(password, this.password);
   };
 
+  // the values a customer response may carry: no password hash, only the last four digits of the
+  // credit card
   Customer.prototype.getSafeDataValues = function getSafeDataValues() {
     const { password, ...data } = this.dataValues;
+    if (data.credit_card) data.credit_card = `XXXXXXXX${String(data.credit_card).slice(-4)}`;
     return data;
   };
 
-  Customer.associate = ({ Order }) => {
+  Customer.associate = ({ Order, Session, CustomerToken, CustomerIdentity, CustomerCart }) => {
     // associations can be defined here
     Customer.hasMany(Order, {
       foreignKey: 'customer_id',
     });
+    Customer.hasMany(Session, {
+      foreignKey: 'customer_id',
+    });
+    Customer.hasMany(CustomerToken, {
+      foreignKey: 'customer_id',
+    });
+    Customer.hasMany(CustomerIdentity, {
+      foreignKey: 'customer_id',
+    });
+    Customer.hasOne(CustomerCart, {
+      foreignKey: 'customer_id',
+    });
   };
   return Customer;
 };
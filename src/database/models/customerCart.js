@@ -0,0 +1,34 @@
+module.exports = (sequelize, DataTypes) => {
+  const CustomerCart = sequelize.define(
+    'CustomerCart',
+    {
+      customer_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+      },
+      cart_id: {
+        type: DataTypes.CHAR(32),
+        allowNull: false,
+        unique: true,
+      },
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      reminded_on: DataTypes.DATE,
+    },
+    {
+      timestamps: false,
+      tableName: 'customer_cart',
+    }
+  );
+
+  CustomerCart.associate = ({ Customer }) => {
+    CustomerCart.belongsTo(Customer, {
+      foreignKey: 'customer_id',
+    });
+  };
+
+  return CustomerCart;
+};
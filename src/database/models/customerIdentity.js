@@ -0,0 +1,42 @@
+module.exports = (sequelize, DataTypes) => {
+  const CustomerIdentity = sequelize.define(
+    'CustomerIdentity',
+    {
+      identity_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      provider: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+      },
+      provider_user_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      email: DataTypes.STRING(100),
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'customer_identity',
+    }
+  );
+
+  CustomerIdentity.associate = ({ Customer }) => {
+    CustomerIdentity.belongsTo(Customer, {
+      foreignKey: 'customer_id',
+    });
+  };
+
+  return CustomerIdentity;
+};
@@ -0,0 +1,46 @@
+module.exports = (sequelize, DataTypes) => {
+  const CustomerToken = sequelize.define(
+    'CustomerToken',
+    {
+      token_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      type: {
+        type: DataTypes.ENUM('password_reset', 'email_verification'),
+        allowNull: false,
+      },
+      token: {
+        type: DataTypes.CHAR(64),
+        allowNull: false,
+      },
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      expires_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      used_on: DataTypes.DATE,
+    },
+    {
+      timestamps: false,
+      tableName: 'customer_token',
+    }
+  );
+
+  CustomerToken.associate = ({ Customer }) => {
+    CustomerToken.belongsTo(Customer, {
+      foreignKey: 'customer_id',
+    });
+  };
+
+  return CustomerToken;
+};
@@ -0,0 +1,32 @@
+module.exports = (sequelize, DataTypes) => {
+  const IdempotencyKey = sequelize.define(
+    'IdempotencyKey',
+    {
+      key_hash: {
+        type: DataTypes.CHAR(64),
+        primaryKey: true,
+      },
+      fingerprint: {
+        type: DataTypes.CHAR(64),
+        allowNull: false,
+      },
+      status_code: DataTypes.INTEGER,
+      response: DataTypes.TEXT,
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      expires_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'idempotency_key',
+    }
+  );
+
+  return IdempotencyKey;
+};
@@ -35,17 +35,28 @@ module.exports = (sequelize, DataTypes) => {
       tableName: 'orders',
     }
   );
-  Order.associate = ({ Customer, Shipping, OrderDetail }) => {
+  Order.associate = ({ Customer, Shipping, Tax, OrderDetail, Audit, Refund }) => {
     Order.belongsTo(Customer, {
       foreignKey: 'customer_id',
     });
     Order.belongsTo(Shipping, {
       foreignKey: 'shipping_id',
     });
+    Order.belongsTo(Tax, {
+      foreignKey: 'tax_id',
+    });
     Order.hasMany(OrderDetail, {
       as: 'orderItems',
       foreignKey: 'order_id',
     });
+    Order.hasMany(Audit, {
+      as: 'audits',
+      foreignKey: 'order_id',
+    });
+    Order.hasMany(Refund, {
+      as: 'refunds',
+      foreignKey: 'order_id',
+    });
   };
   return Order;
 };
@@ -0,0 +1,44 @@
+module.exports = (sequelize, DataTypes) => {
+  const Refund = sequelize.define(
+    'Refund',
+    {
+      refund_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      item_id: DataTypes.INTEGER,
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      reason: DataTypes.STRING(255),
+      reference: DataTypes.STRING(50),
+      created_by: DataTypes.INTEGER,
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'refund',
+    }
+  );
+
+  Refund.associate = ({ Order, OrderDetail }) => {
+    Refund.belongsTo(Order, {
+      foreignKey: 'order_id',
+    });
+    Refund.belongsTo(OrderDetail, {
+      foreignKey: 'item_id',
+    });
+  };
+
+  return Refund;
+};
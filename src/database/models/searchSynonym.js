@@ -0,0 +1,37 @@
+module.exports = (sequelize, DataTypes) => {
+  const SearchSynonym = sequelize.define(
+    'SearchSynonym',
+    {
+      synonym_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      term: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+      },
+      synonyms: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+      },
+    },
+    {
+      timestamps: false,
+      tableName: 'search_synonym',
+    }
+  );
+
+  /**
+   * @returns {string[]} the comma separated synonyms of the term
+   */
+  SearchSynonym.prototype.getSynonymList = function getSynonymList() {
+    return this.synonyms
+      .split(',')
+      .map(synonym => synonym.trim())
+      .filter(Boolean);
+  };
+
+  return SearchSynonym;
+};
@@ -0,0 +1,48 @@
+module.exports = (sequelize, DataTypes) => {
+  const Session = sequelize.define(
+    'Session',
+    {
+      session_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      refresh_token: {
+        type: DataTypes.CHAR(64),
+        allowNull: false,
+      },
+      user_agent: DataTypes.STRING(255),
+      ip_address: DataTypes.STRING(45),
+      created_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      expires_on: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revoked_on: DataTypes.DATE,
+    },
+    {
+      timestamps: false,
+      tableName: 'customer_session',
+    }
+  );
+
+  Session.prototype.isActive = function isActive() {
+    return !this.revoked_on && new Date(this.expires_on) > new Date();
+  };
+
+  Session.associate = ({ Customer }) => {
+    Session.belongsTo(Customer, {
+      foreignKey: 'customer_id',
+    });
+  };
+
+  return Session;
+};
@@ -36,7 +36,10 @@ module.exports = (sequelize, DataTypes) => {
       },
     },
     {
-      timestamps: false,
+      // every create and update of a line sets modified_on, which tells how long a cart is idle
+      timestamps: true,
+      createdAt: false,
+      updatedAt: 'modified_on',
       tableName: 'shopping_cart',
     }
   );
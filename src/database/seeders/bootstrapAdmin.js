@@ -0,0 +1,45 @@
+/**
+ * Creates the bootstrap admin account from ADMIN_EMAIL and ADMIN_PASSWORD (and optionally ADMIN_NAME)
+ * when no admin exists yet. It runs when the app starts and can be run on its own with
+ * `npm run seed:admin`.
+ */
+import log from 'fancy-log';
+import { Customer } from '../models';
+
+/**
+ * create or promote the bootstrap admin
+ *
+ * @returns {object|null} the admin, null when no admin credentials are configured or an admin exists
+ */
+const bootstrapAdmin = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return null;
+
+  const admins = await Customer.count({ where: { role: 'admin' } });
+  if (admins) return null;
+
+  const [admin, created] = await Customer.findOrCreate({
+    where: { email: ADMIN_EMAIL },
+    defaults: {
+      name: ADMIN_NAME || 'Administrator',
+      password: ADMIN_PASSWORD,
+      email_verified: true,
+      role: 'admin',
+    },
+  });
+  if (!created) await admin.update({ role: 'admin' });
+
+  log(`Bootstrap admin ${ADMIN_EMAIL} is ready`);
+  return admin;
+};
+
+if (require.main === module) {
+  bootstrapAdmin()
+    .then(() => process.exit(0))
+    .catch(error => {
+      log.error(error);
+      process.exit(1);
+    });
+}
+
+export default bootstrapAdmin;
@@ -0,0 +1,460 @@
+/**
+ * Cart helper reads shopping carts the way the shopping_cart_* stored procedures do
+ *
+ * - unitPrice - the discounted price of a product when it is not zero, its price otherwise
+ * - getItems - every line of a cart with its product and subtotal
+ * - totals - item count, quantity and amount of the buy-now and the saved lines
+ * - getCart - the lines and totals of a cart
+ * - saveForLater - moves a line to the saved items with a quantity of 1
+ * - moveToCart - moves a saved line back to the buy-now items
+ * - touch - marks a cart as changed when lines were removed from it
+ * - parseQuantity - checks a quantity is between 1 and CART_MAX_QUANTITY
+ * - normalizeAttributes - checks attributes against the attribute values of a product
+ * - addProduct - adds a product to a cart, increasing the quantity of the same line if any
+ * - generateId - a random 32 character cart id
+ * - isValidId - checks a cart id fits the cart_id column
+ * - signToken, verifyToken - the cart token proving a client was handed a cart id
+ * - tokenRequired - whether cart requests must send their cart token
+ * - expiresOn - when an idle cart is purged
+ * - getCustomerCartId - the persisted cart of a customer, created on first use
+ * - merge - moves the lines of a guest cart into another cart
+ * - attachGuestCart - makes a guest cart part of the persisted cart of a customer
+ */
+import crypto from 'crypto';
+import {
+  sequelize,
+  Sequelize,
+  ShoppingCart,
+  Product,
+  AttributeValue,
+  Attribute,
+  CustomerCart,
+} from '../database/models';
+
+const error = require('../Error/error');
+const config = require('../jwtSecret');
+
+const MAX_QUANTITY = parseInt(process.env.CART_MAX_QUANTITY, 10) || 99;
+const EXPIRES_DAYS = parseInt(process.env.CART_EXPIRES_DAYS, 10) || 30;
+const TOKEN_SECRET = process.env.CART_TOKEN_SECRET || config.secret;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// the unique key of a cart line covers this many characters of its attributes
+const MAX_ATTRIBUTES_LENGTH = 255;
+
+const { Op } = Sequelize;
+
+/**
+ * round an amount to cents
+ *
+ * @param {number} amount amount of money
+ * @returns {number} the rounded amount
+ */
+const money = amount => Math.round(amount * 100) / 100;
+
+/**
+ * @returns {object} the CRT_03 error of a quantity outside 1 to CART_MAX_QUANTITY
+ */
+const quantityError = () => ({
+  error: {
+    code: 'CRT_03',
+    message: `${error.CartError.CRT_03}${MAX_QUANTITY}`,
+    field: 'quantity',
+  },
+});
+
+/**
+ * @class Cart
+ */
+class Cart {
+  /**
+   * @static
+   * @param {object} product product instance or row
+   * @returns {number} price paid for one unit, like COALESCE(NULLIF(discounted_price, 0), price)
+   * @memberof Cart
+   */
+  static unitPrice(product) {
+    const discountedPrice = Number(product.discounted_price);
+    return discountedPrice > 0 ? discountedPrice : Number(product.price);
+  }
+
+  /**
+   * get every line of a cart, oldest first
+   *
+   * @static
+   * @param {string} cartId cart id
+   * @param {object} [options] sequelize query options, such as transaction and lock
+   * @returns {object[]} lines with product name, image, unit price and subtotal
+   * @memberof Cart
+   */
+  static async getItems(cartId, options = {}) {
+    const items = await ShoppingCart.findAll({
+      ...options,
+      where: { cart_id: cartId },
+      include: [
+        {
+          model: Product,
+          attributes: ['name', 'image', 'thumbnail', 'price', 'discounted_price'],
+        },
+      ],
+      order: [['item_id', 'ASC']],
+    });
+
+    return items.map(item => {
+      const unitPrice = Cart.unitPrice(item.Product);
+      return {
+        item_id: item.item_id,
+        cart_id: item.cart_id,
+        product_id: item.product_id,
+        name: item.Product.name,
+        image: item.Product.image,
+        thumbnail: item.Product.thumbnail,
+        attributes: item.attributes,
+        price: Number(item.Product.price),
+        discounted_price: Number(item.Product.discounted_price),
+        unit_price: unitPrice,
+        quantity: item.quantity,
+        subtotal: money(unitPrice * item.quantity),
+        buy_now: Boolean(item.buy_now),
+        added_on: item.added_on,
+        modified_on: item.modified_on,
+      };
+    });
+  }
+
+  /**
+   * @static
+   * @param {object[]} items result of getItems
+   * @returns {object} buy_now and saved item_count, quantity and total_amount
+   * @memberof Cart
+   */
+  static totals(items) {
+    const sum = lines => ({
+      item_count: lines.length,
+      quantity: lines.reduce((total, line) => total + line.quantity, 0),
+      total_amount: money(lines.reduce((total, line) => total + line.subtotal, 0)),
+    });
+    return {
+      buy_now: sum(items.filter(item => item.buy_now)),
+      saved: sum(items.filter(item => !item.buy_now)),
+    };
+  }
+
+  /**
+   * @static
+   * @param {string} cartId cart id
+   * @returns {object} cart_id, items, totals, total_amount of the buy-now lines and expires_on
+   * @memberof Cart
+   */
+  static async getCart(cartId) {
+    const items = await Cart.getItems(cartId);
+    const totals = Cart.totals(items);
+    return {
+      cart_id: cartId,
+      items,
+      totals,
+      total_amount: totals.buy_now.total_amount,
+      expires_on: Cart.expiresOn(items),
+    };
+  }
+
+  /**
+   * @static
+   * @param {object} item shopping cart instance
+   * @returns {object} the saved item
+   * @memberof Cart
+   */
+  static saveForLater(item) {
+    return item.update({ buy_now: false, quantity: 1 });
+  }
+
+  /**
+   * @static
+   * @param {object} item shopping cart instance
+   * @returns {object} the buy-now item
+   * @memberof Cart
+   */
+  static moveToCart(item) {
+    return item.update({ buy_now: true, added_on: new Date() });
+  }
+
+  /**
+   * every line write sets its modified_on, removing lines doesn't, so the lines left are marked as
+   * changed to keep the cart from looking idle
+   *
+   * @static
+   * @param {string} cartId cart id
+   * @param {object} [options] sequelize query options, such as transaction
+   * @returns {void}
+   * @memberof Cart
+   */
+  static async touch(cartId, options = {}) {
+    await ShoppingCart.update(
+      { modified_on: new Date() },
+      { ...options, where: { cart_id: cartId } }
+    );
+  }
+
+  /**
+   * @static
+   * @param {*} quantity quantity of the request, 1 when missing
+   * @returns {object} quantity, or error with code, message and field
+   * @memberof Cart
+   */
+  static parseQuantity(quantity) {
+    const number = quantity === undefined ? 1 : Number(quantity);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_QUANTITY) return quantityError();
+    return { quantity: number };
+  }
+
+  /**
+   * check comma separated attributes, such as "Red, XL" or "Color: Red, Size: XL", against the
+   * attribute values of a product, with at most one value per attribute
+   *
+   * @static
+   * @param {number} productId product id
+   * @param {string} attributes attributes of the request
+   * @returns {object} attributes as values ordered by attribute, or error with code, message, field
+   * @memberof Cart
+   */
+  static async normalizeAttributes(productId, attributes) {
+    const invalid = {
+      error: { code: 'CRT_04', message: error.CartError.CRT_04, field: 'attributes' },
+    };
+    if (attributes !== undefined && typeof attributes !== 'string') return invalid;
+
+    const values = await AttributeValue.findAll({
+      attributes: ['attribute_value_id', 'attribute_id', 'value'],
+      include: [
+        {
+          model: Product,
+          attributes: [],
+          where: { product_id: productId },
+          through: { attributes: [] },
+        },
+        { model: Attribute, as: 'attribute_type', attributes: ['name'] },
+      ],
+    });
+
+    const chosen = new Map();
+    const parts = (attributes || '')
+      .split(',')
+      .map(part => part.trim())
+      .filter(Boolean);
+    for (let i = 0; i < parts.length; i += 1) {
+      const [name, value] = parts[i].includes(':')
+        ? parts[i].split(':').map(part => part.trim().toLowerCase())
+        : [null, parts[i].toLowerCase()];
+      const match = values.find(
+        attributeValue =>
+          attributeValue.value.toLowerCase() === value &&
+          (name === null || attributeValue.attribute_type.name.toLowerCase() === name)
+      );
+      if (!match || chosen.has(match.attribute_id)) return invalid;
+      chosen.set(match.attribute_id, match.value);
+    }
+
+    const normalized = [...chosen.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, value]) => value)
+      .join(', ');
+    return normalized.length > MAX_ATTRIBUTES_LENGTH ? invalid : { attributes: normalized };
+  }
+
+  /**
+   * add a product to a cart like shopping_cart_add_product, the same product with the same
+   * attributes increases the quantity of its line and moves it back to the buy-now items.
+   *
+   * The unique key on the line makes concurrent adds of a new line create it once, and the
+   * quantity is increased in one UPDATE that only matches while the sum stays within
+   * CART_MAX_QUANTITY, so concurrent adds of the same line all count.
+   *
+   * @static
+   * @param {string} cartId cart id
+   * @param {number} productId product id
+   * @param {string} attributes result of normalizeAttributes
+   * @param {number} quantity result of parseQuantity
+   * @returns {object} the cart item, or error with code, message and field
+   * @memberof Cart
+   */
+  static async addProduct(cartId, productId, attributes, quantity) {
+    const [item, created] = await ShoppingCart.findOrCreate({
+      where: { cart_id: cartId, product_id: productId, attributes },
+      defaults: { quantity },
+    });
+    if (created) return { item };
+
+    const [updated] = await ShoppingCart.update(
+      {
+        quantity: Sequelize.literal(`quantity + ${quantity}`),
+        buy_now: true,
+        added_on: new Date(),
+      },
+      { where: { item_id: item.item_id, quantity: { [Op.lte]: MAX_QUANTITY - quantity } } }
+    );
+    if (!updated) return quantityError();
+    return { item: await item.reload() };
+  }
+
+  /**
+   * @static
+   * @returns {string} 32 random hexadecimal characters, the size of the cart_id column
+   * @memberof Cart
+   */
+  static generateId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * @static
+   * @param {*} cartId cart id of a request
+   * @returns {boolean} whether the cart id is a string of 1 to 32 characters
+   * @memberof Cart
+   */
+  static isValidId(cartId) {
+    return typeof cartId === 'string' && cartId.length > 0 && cartId.length <= 32;
+  }
+
+  /**
+   * @static
+   * @param {string} cartId cart id
+   * @returns {string} HMAC of the cart id, sent back in the cart-token header
+   * @memberof Cart
+   */
+  static signToken(cartId) {
+    return crypto
+      .createHmac('sha256', TOKEN_SECRET)
+      .update(String(cartId))
+      .digest('hex');
+  }
+
+  /**
+   * @static
+   * @param {string} cartId cart id
+   * @param {string} token cart token of the request
+   * @returns {boolean} whether the token was signed for the cart id
+   * @memberof Cart
+   */
+  static verifyToken(cartId, token) {
+    if (typeof token !== 'string') return false;
+    const expected = Buffer.from(Cart.signToken(cartId));
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * cart tokens are required unless LEGACY_UNSIGNED_CARTS=true, which lets clients that predate
+   * them keep using bare cart ids
+   *
+   * @static
+   * @returns {boolean} whether cart requests must send their cart token
+   * @memberof Cart
+   */
+  static tokenRequired() {
+    return process.env.LEGACY_UNSIGNED_CARTS !== 'true';
+  }
+
+  /**
+   * an idle cart is purged CART_EXPIRES_DAYS days after its last change
+   *
+   * @static
+   * @param {object[]} items result of getItems, empty for a new cart
+   * @returns {Date} when the cart expires
+   * @memberof Cart
+   */
+  static expiresOn(items) {
+    const lastChange = items.reduce(
+      (latest, item) => Math.max(latest, new Date(item.modified_on).getTime()),
+      items.length ? 0 : Date.now()
+    );
+    return new Date(lastChange + EXPIRES_DAYS * DAY_MS);
+  }
+
+  /**
+   * @static
+   * @param {number} customerId customer id
+   * @param {object} [transaction] sequelize transaction
+   * @returns {string} cart id of the customer's persisted cart
+   * @memberof Cart
+   */
+  static async getCustomerCartId(customerId, transaction) {
+    const [customerCart] = await CustomerCart.findOrCreate({
+      where: { customer_id: customerId },
+      defaults: { cart_id: Cart.generateId() },
+      transaction,
+    });
+    return customerCart.cart_id;
+  }
+
+  /**
+   * move the lines of a guest cart into a cart, the same product with the same attributes is kept
+   * once with the quantities summed up to CART_MAX_QUANTITY
+   *
+   * @static
+   * @param {string} guestCartId cart id of the guest cart
+   * @param {string} cartId cart id the lines are moved to
+   * @param {object} transaction sequelize transaction, the lines of both carts are locked in it
+   * @returns {void}
+   * @memberof Cart
+   */
+  static async merge(guestCartId, cartId, transaction) {
+    if (guestCartId === cartId) return;
+
+    const lock = { transaction, lock: transaction.LOCK.UPDATE };
+    const guestItems = await ShoppingCart.findAll({ ...lock, where: { cart_id: guestCartId } });
+    const items = await ShoppingCart.findAll({ ...lock, where: { cart_id: cartId } });
+    await Promise.all(
+      guestItems.map(async guestItem => {
+        const item = items.find(
+          line =>
+            line.product_id === guestItem.product_id && line.attributes === guestItem.attributes
+        );
+        if (!item) return guestItem.update({ cart_id: cartId }, { transaction });
+
+        await item.update(
+          {
+            quantity: Math.min(item.quantity + guestItem.quantity, MAX_QUANTITY),
+            buy_now: Boolean(item.buy_now || guestItem.buy_now),
+            added_on: new Date(),
+          },
+          { transaction }
+        );
+        return guestItem.destroy({ transaction });
+      })
+    );
+  }
+
+  /**
+   * merge a guest cart into the persisted cart of a customer in one transaction, so a failed merge
+   * leaves both carts as they were. When the customer has no cart yet the guest cart becomes it,
+   * unless it already belongs to another customer.
+   *
+   * @static
+   * @param {number} customerId customer id
+   * @param {string} guestCartId cart id of the guest cart, see isValidId
+   * @returns {string} cart id of the customer's cart
+   * @memberof Cart
+   */
+  static attachGuestCart(customerId, guestCartId) {
+    return sequelize.transaction(async transaction => {
+      const lock = { transaction, lock: transaction.LOCK.UPDATE };
+      const customerCart = await CustomerCart.findByPk(customerId, lock);
+      const guestOwner = await CustomerCart.findOne({ ...lock, where: { cart_id: guestCartId } });
+      if (guestOwner) return Cart.getCustomerCartId(customerId, transaction);
+
+      if (!customerCart) {
+        await CustomerCart.create(
+          { customer_id: customerId, cart_id: guestCartId },
+          { transaction }
+        );
+        return guestCartId;
+      }
+      await Cart.merge(guestCartId, customerCart.cart_id, transaction);
+      return customerCart.cart_id;
+    });
+  }
+}
+
+Cart.MAX_QUANTITY = MAX_QUANTITY;
+Cart.EXPIRES_DAYS = EXPIRES_DAYS;
+
+export default Cart;
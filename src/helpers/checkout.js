@@ -0,0 +1,183 @@
+/**
+ * Checkout helper turns the buy-now lines of a cart into an order, like shopping_cart_create_order,
+ * inside one transaction so a failure leaves neither a partial order nor a half emptied cart
+ *
+ * - amounts - subtotal, tax, shipping and total of order lines
+ * - canOrderFrom - whether a customer may order the lines of a cart
+ * - createOrder - creates an order with its order_detail lines and removes them from the cart
+ */
+import {
+  sequelize,
+  Order,
+  OrderDetail,
+  ShoppingCart,
+  CustomerCart,
+  Shipping,
+  Tax,
+} from '../database/models';
+import Cart from './cart';
+import OrderStatus from './orderStatus';
+
+const error = require('../Error/error');
+
+/**
+ * round an amount to cents
+ *
+ * @param {number} amount amount of money
+ * @returns {number} the rounded amount
+ */
+const money = amount => Math.round(amount * 100) / 100;
+
+/**
+ * @class Checkout
+ */
+class Checkout {
+  /**
+   * tax applies to the products, shipping is added on top
+   *
+   * @static
+   * @param {object[]} lines quantity and unit_cost of every line
+   * @param {object} shipping shipping instance
+   * @param {object} tax tax instance
+   * @returns {object} subtotal, tax_amount, shipping_cost and total_amount
+   * @memberof Checkout
+   */
+  static amounts(lines, shipping, tax) {
+    const subtotal = money(
+      lines.reduce((total, line) => total + Number(line.unit_cost) * line.quantity, 0)
+    );
+    const taxAmount = money((subtotal * Number(tax.tax_percentage)) / 100);
+    const shippingCost = money(Number(shipping.shipping_cost));
+    return {
+      subtotal,
+      tax_amount: taxAmount,
+      shipping_cost: shippingCost,
+      total_amount: money(subtotal + taxAmount + shippingCost),
+    };
+  }
+
+  /**
+   * a customer may order from their persisted cart, or from a guest cart whose cart token they
+   * send
+   *
+   * @static
+   * @param {string} cartId cart id
+   * @param {number} customerId customer placing the order
+   * @param {string} [cartToken] cart token of the request
+   * @returns {boolean} whether the customer may order from the cart
+   * @memberof Checkout
+   */
+  static async canOrderFrom(cartId, customerId, cartToken) {
+    if (Cart.verifyToken(cartId, cartToken)) return true;
+    const customerCart = await CustomerCart.findOne({
+      where: { customer_id: customerId, cart_id: cartId },
+    });
+    return !!customerCart;
+  }
+
+  /**
+   * create an order from the buy-now lines of a cart, saved lines stay in the cart
+   *
+   * @static
+   * @param {object} options order options
+   * @param {string} options.cartId cart id
+   * @param {string} [options.cartToken] cart token, needed unless it is the customer's cart
+   * @param {number} options.customerId customer placing the order
+   * @param {number} options.shippingId shipping id
+   * @param {number} options.taxId tax id
+   * @returns {object} order and amounts, or error with status, code, message and field
+   * @memberof Checkout
+   */
+  static async createOrder({ cartId, cartToken, customerId, shippingId, taxId }) {
+    if (!Cart.isValidId(cartId)) {
+      return {
+        error: { status: 400, code: 'CRT_05', message: error.CartError.CRT_05, field: 'cart_id' },
+      };
+    }
+    if (!(await Checkout.canOrderFrom(cartId, customerId, cartToken))) {
+      return {
+        error: { status: 403, code: 'CRT_06', message: error.CartError.CRT_06, field: 'cart_id' },
+      };
+    }
+
+    const [shipping, tax] = await Promise.all([
+      shippingId ? Shipping.findByPk(shippingId) : null,
+      taxId ? Tax.findByPk(taxId) : null,
+    ]);
+    if (!shipping) {
+      return {
+        error: {
+          status: 404,
+          code: 'SHP_01',
+          message: `${error.ShippingError.SHP_01}${shippingId}`,
+          field: 'shipping_id',
+        },
+      };
+    }
+    if (!tax) {
+      return {
+        error: {
+          status: 404,
+          code: 'TAX_01',
+          message: `${error.TaxError.TAX_01}${taxId}`,
+          field: 'tax_id',
+        },
+      };
+    }
+
+    return sequelize.transaction(async transaction => {
+      // lock the lines so a concurrent request can't order them twice
+      const items = (await Cart.getItems(cartId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      })).filter(item => item.buy_now);
+      if (!items.length) {
+        return {
+          error: {
+            status: 400,
+            code: 'ORD_03',
+            message: error.OrderError.ORD_03,
+            field: 'cart_id',
+          },
+        };
+      }
+
+      const lines = items.map(item => ({
+        product_id: item.product_id,
+        attributes: item.attributes,
+        product_name: item.name,
+        quantity: item.quantity,
+        unit_cost: item.unit_price,
+      }));
+      const amounts = Checkout.amounts(lines, shipping, tax);
+
+      const order = await Order.create(
+        {
+          customer_id: customerId,
+          shipping_id: shipping.shipping_id,
+          tax_id: tax.tax_id,
+          total_amount: amounts.total_amount,
+        },
+        { transaction }
+      );
+      await OrderDetail.bulkCreate(lines.map(line => ({ ...line, order_id: order.order_id })), {
+        transaction,
+      });
+      await OrderStatus.audit(
+        order.order_id,
+        OrderStatus.STATUS_AUDIT_CODE + OrderStatus.STATUS.placed,
+        'Order placed',
+        { transaction }
+      );
+      await ShoppingCart.destroy({
+        where: { item_id: items.map(item => item.item_id) },
+        transaction,
+      });
+      await Cart.touch(cartId, { transaction });
+
+      return { order, amounts };
+    });
+  }
+}
+
+export default Checkout;
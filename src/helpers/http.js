@@ -0,0 +1,81 @@
+/**
+ * Minimal JSON http client for calls to third party APIs
+ *
+ * - getJson - GET a url and parse the json response
+ * - postJson - POST a json body to a url and parse the json response
+ */
+import http from 'http';
+import https from 'https';
+import { URL } from 'url';
+
+const TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS, 10) || 5000;
+
+/**
+ * send a request over http or https and parse the json response
+ *
+ * @param {string} method http method
+ * @param {string} url absolute url
+ * @param {object} [headers] extra request headers
+ * @param {object} [payload] body sent as json
+ * @returns {Promise<object>} resolves with the status code and the parsed body
+ */
+const requestJson = (method, url, headers = {}, payload) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const data = payload === undefined ? undefined : JSON.stringify(payload);
+    const request = client.request(
+      target,
+      {
+        method,
+        headers: {
+          Accept: 'application/json',
+          'User-Agent': 'tshirtshop',
+          ...(data && {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(data),
+          }),
+          ...headers,
+        },
+      },
+      response => {
+        let raw = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          raw += chunk;
+        });
+        response.on('end', () => {
+          let body = null;
+          try {
+            body = raw ? JSON.parse(raw) : null;
+          } catch (error) {
+            body = null;
+          }
+          resolve({ status: response.statusCode, body });
+        });
+      }
+    );
+    request.setTimeout(TIMEOUT_MS, () => request.abort());
+    request.on('error', reject);
+    request.end(data);
+  });
+
+/**
+ * @param {string} url absolute url
+ * @param {object} [headers] extra request headers
+ * @returns {Promise<object>} resolves with the status code and the parsed body
+ */
+const getJson = (url, headers) => requestJson('GET', url, headers);
+
+/**
+ * @param {string} url absolute url
+ * @param {object} payload body sent as json
+ * @param {object} [headers] extra request headers
+ * @returns {Promise<object>} resolves with the status code and the parsed body
+ */
+const postJson = (url, payload, headers) => requestJson('POST', url, headers, payload);
+
+export default {
+  getJson,
+  postJson,
+};
@@ -0,0 +1,134 @@
+/**
+ * Shared helper for every paginated list of products, categories and attributes
+ *
+ * - parse - reads page, limit, description_length and order from the query string
+ * - failed - sends the PAG_* error of an invalid order
+ * - truncate - shortens a description to description_length characters followed by '...'
+ * - paginationMeta - builds the paginationMeta object of a list response
+ * - respond - sends rows with their paginationMeta
+ */
+const error = require('../Error/error');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_DESCRIPTION_LENGTH = 200;
+
+/**
+ * read a positive integer from the query string
+ *
+ * @param {string} value query string value
+ * @param {number} fallback value used when the query value is missing or not a positive integer
+ * @returns {number} the integer
+ */
+const positiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number < 1 ? fallback : number;
+};
+
+/**
+ * parse the order query value, `field,ASC` or `field,DESC`
+ *
+ * @param {string} order query string value
+ * @param {string[]} sortable fields the list may be ordered by
+ * @returns {object} order for sequelize, or error with code, message and field
+ */
+const parseOrder = (order, sortable) => {
+  const match = /^([a-z_]+),(asc|desc)$/i.exec(String(order).trim());
+  if (!match) {
+    return { error: { code: 'PAG_01', message: error.PaginationError.PAG_01, field: 'order' } };
+  }
+
+  const [, field, direction] = match;
+  if (!sortable.includes(field)) {
+    return { error: { code: 'PAG_02', message: error.PaginationError.PAG_02, field: 'order' } };
+  }
+  return { order: [[field, direction.toUpperCase()]] };
+};
+
+/**
+ * read the listing options of a request
+ *
+ * @param {object} query express request query
+ * @param {object} options listing options
+ * @param {string[]} options.sortable fields the list may be ordered by, the first one is the default
+ * @param {number} [options.limit] default page size
+ * @returns {object} page, limit, offset, descriptionLength and order, or error when order is invalid
+ */
+const parse = (query, { sortable, limit: defaultLimit = DEFAULT_LIMIT }) => {
+  const page = positiveInt(query.page, 1);
+  const limit = Math.min(positiveInt(query.limit, defaultLimit), MAX_LIMIT);
+  const descriptionLength = positiveInt(query.description_length, DEFAULT_DESCRIPTION_LENGTH);
+
+  let order = [[sortable[0], 'ASC']];
+  if (query.order !== undefined) {
+    const parsed = parseOrder(query.order, sortable);
+    if (parsed.error) return { error: parsed.error };
+    ({ order } = parsed);
+  }
+
+  return { page, limit, offset: (page - 1) * limit, descriptionLength, order };
+};
+
+/**
+ * send the error of an invalid listing
+ *
+ * @param {object} res express response object
+ * @param {object} listing result of parse
+ * @returns {object|null} the sent response, null when the listing is valid
+ */
+const failed = (res, listing) => {
+  if (!listing.error) return null;
+  return res.status(400).json({ error: { status: 400, ...listing.error } });
+};
+
+/**
+ * shorten a text to a length, appending '...' when it was cut
+ *
+ * @param {string} text text to shorten
+ * @param {number} length maximum number of characters kept
+ * @returns {string} the shortened text
+ */
+const truncate = (text, length) => {
+  if (typeof text !== 'string' || text.length <= length) return text;
+  return `${text.slice(0, length)}...`;
+};
+
+/**
+ * @param {object} listing result of parse
+ * @param {number} count total number of records
+ * @returns {object} currentPage, currentPageSize, totalPages and totalRecords
+ */
+const paginationMeta = (listing, count) => ({
+  currentPage: listing.page,
+  currentPageSize: listing.limit,
+  totalPages: Math.ceil(count / listing.limit),
+  totalRecords: count,
+});
+
+/**
+ * send a page of rows with its paginationMeta, truncating descriptions
+ *
+ * @param {object} res express response object
+ * @param {object} listing result of parse
+ * @param {object} result result of findAndCountAll
+ * @param {object} [extra] other fields of the response, such as facets
+ * @returns {json} json object with paginationMeta and rows
+ */
+const respond = (res, listing, { count, rows }, extra = {}) =>
+  res.status(200).json({
+    ...extra,
+    paginationMeta: paginationMeta(listing, count),
+    rows: rows.map(row => {
+      const data = typeof row.get === 'function' ? row.get({ plain: true }) : row;
+      if (data.description === undefined) return data;
+      return { ...data, description: truncate(data.description, listing.descriptionLength) };
+    }),
+  });
+
+export default {
+  parse,
+  failed,
+  truncate,
+  paginationMeta,
+  respond,
+};
@@ -0,0 +1,150 @@
+/**
+ * Login throttle keeps track of failed login attempts per email and per IP address
+ * and locks further attempts out for a while once a limit is reached
+ *
+ * Entries are kept in memory: expired ones are swept every minute, and at most
+ * LOGIN_THROTTLE_MAX_ENTRIES are kept, the oldest being dropped first.
+ *
+ * - isLocked - checks whether an email or IP address is currently locked out
+ * - recordFailure - counts a failed attempt for the email and IP address
+ * - reset - clears the failed attempts of an email after a successful login, and takes the ones
+ *   made with it off the count of the IP address
+ */
+const MAX_EMAIL_ATTEMPTS = parseInt(process.env.LOGIN_MAX_EMAIL_ATTEMPTS, 10) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS, 10) || 20;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.LOGIN_THROTTLE_MAX_ENTRIES, 10) || 100000;
+const SWEEP_MS = 60 * 1000;
+
+const attempts = new Map();
+let lastSweep = Date.now();
+
+const keyFor = (type, value) => `${type}:${String(value || '').toLowerCase()}`;
+const pairKeyFor = (email, ip) => `${keyFor('email', email)}|${keyFor('ip', ip)}`;
+
+/**
+ * @param {object} entry entry with count, firstAttempt and lockedUntil
+ * @param {number} now current time in ms
+ * @returns {boolean} whether the window of the entry is over
+ */
+const isExpired = (entry, now) =>
+  entry.lockedUntil ? entry.lockedUntil <= now : entry.firstAttempt + LOCKOUT_MS <= now;
+
+/**
+ * get the attempt entry of a key, dropping it once its window is over
+ *
+ * @param {string} key email or ip key
+ * @returns {object|undefined} entry with count, firstAttempt and lockedUntil
+ */
+const getEntry = key => {
+  const entry = attempts.get(key);
+  if (!entry) return undefined;
+
+  if (isExpired(entry, Date.now())) {
+    attempts.delete(key);
+    return undefined;
+  }
+  return entry;
+};
+
+/**
+ * drop the expired entries at most once per SWEEP_MS, then the oldest entries
+ * while there are more than MAX_ENTRIES, so sprayed emails or addresses
+ * can't grow the map without bound
+ *
+ * @returns {void}
+ */
+const sweep = () => {
+  const now = Date.now();
+  if (now - lastSweep >= SWEEP_MS) {
+    lastSweep = now;
+    attempts.forEach((entry, key) => {
+      if (isExpired(entry, now)) attempts.delete(key);
+    });
+  }
+  const keys = attempts.keys();
+  while (attempts.size >= MAX_ENTRIES) attempts.delete(keys.next().value);
+};
+
+/**
+ * count a failed attempt and lock the key when it reaches its limit
+ *
+ * @param {string} key email or ip key
+ * @param {number} limit number of failed attempts allowed
+ * @returns {void}
+ */
+const fail = (key, limit) => {
+  let entry = getEntry(key);
+  if (!entry) {
+    sweep();
+    entry = { count: 0, firstAttempt: Date.now(), lockedUntil: null };
+  }
+  entry.count += 1;
+  if (entry.count >= limit) entry.lockedUntil = Date.now() + LOCKOUT_MS;
+  attempts.set(key, entry);
+};
+
+/**
+ * @class LoginThrottle
+ */
+class LoginThrottle {
+  /**
+   * check whether the email or the ip address is locked out
+   *
+   * @static
+   * @param {string} email email the login is attempted with
+   * @param {string} ip ip address of the request
+   * @returns {number} seconds until the lockout is lifted, 0 when not locked
+   * @memberof LoginThrottle
+   */
+  static isLocked(email, ip) {
+    const now = Date.now();
+    const lockedUntil = [keyFor('email', email), keyFor('ip', ip)]
+      .map(getEntry)
+      .filter(entry => entry && entry.lockedUntil)
+      .reduce((latest, entry) => Math.max(latest, entry.lockedUntil), 0);
+    return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+  }
+
+  /**
+   * record a failed attempt for the email and the ip address
+   *
+   * @static
+   * @param {string} email email the login was attempted with
+   * @param {string} ip ip address of the request
+   * @returns {void}
+   * @memberof LoginThrottle
+   */
+  static recordFailure(email, ip) {
+    fail(keyFor('email', email), MAX_EMAIL_ATTEMPTS);
+    fail(keyFor('ip', ip), MAX_IP_ATTEMPTS);
+    fail(pairKeyFor(email, ip), Infinity);
+  }
+
+  /**
+   * clear the failed attempts of an email after a successful login. The ip address only gets
+   * back the attempts made with this email, so logging into one account doesn't clear the
+   * attempts sprayed at others.
+   *
+   * @static
+   * @param {string} email email that logged in
+   * @param {string} ip ip address of the request
+   * @returns {void}
+   * @memberof LoginThrottle
+   */
+  static reset(email, ip) {
+    attempts.delete(keyFor('email', email));
+
+    const pairKey = pairKeyFor(email, ip);
+    const pair = getEntry(pairKey);
+    attempts.delete(pairKey);
+    const ipEntry = pair && getEntry(keyFor('ip', ip));
+    if (!ipEntry) return;
+
+    ipEntry.count -= pair.count;
+    if (ipEntry.count <= 0) attempts.delete(keyFor('ip', ip));
+    else if (ipEntry.count < MAX_IP_ATTEMPTS) ipEntry.lockedUntil = null;
+  }
+}
+
+export default LoginThrottle;
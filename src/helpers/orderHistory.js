@@ -0,0 +1,146 @@
+/**
+ * Order history helper reads the orders list of a customer
+ *
+ * - parseFilters - reads the status, from and to filters of the query string
+ * - find - a page of a customer's orders with shipping type and item counts
+ * - toCsv - renders orders as CSV
+ */
+import { Order, Shipping, Sequelize } from '../database/models';
+import OrderStatus from './orderStatus';
+
+const error = require('../Error/error');
+
+const { Op } = Sequelize;
+
+const CSV_COLUMNS = [
+  'order_id',
+  'created_on',
+  'status_name',
+  'total_amount',
+  'shipping_type',
+  'item_count',
+  'quantity',
+  'shipped_on',
+];
+
+/**
+ * @param {string} value date of the query string
+ * @param {boolean} endOfDay whether a date without time means the end of that day
+ * @returns {Date|null} the date, null when invalid
+ */
+const parseDate = (value, endOfDay) => {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * read the filters of a request, status is a comma separated list of names or values and from/to
+ * bound the creation date
+ *
+ * @param {object} query express request query
+ * @returns {object} where clause of the filters, or error with code, message and field
+ */
+const parseFilters = query => {
+  const where = {};
+
+  if (query.status !== undefined) {
+    const statuses = String(query.status)
+      .split(',')
+      .map(value => OrderStatus.parse(value.trim()));
+    if (statuses.includes(undefined)) {
+      return { error: { code: 'ORD_04', message: error.OrderError.ORD_04, field: 'status' } };
+    }
+    where.status = statuses;
+  }
+
+  const created = {};
+  const bounds = [['from', Op.gte, false], ['to', Op.lte, true]];
+  for (let i = 0; i < bounds.length; i += 1) {
+    const [field, operator, endOfDay] = bounds[i];
+    if (query[field] !== undefined) {
+      const date = parseDate(query[field], endOfDay);
+      if (!date) return { error: { code: 'ORD_06', message: error.OrderError.ORD_06, field } };
+      created[operator] = date;
+    }
+  }
+  if (Object.getOwnPropertySymbols(created).length) where.created_on = created;
+
+  return { where };
+};
+
+/**
+ * @param {number} customerId customer id
+ * @param {object} where filters of parseFilters
+ * @param {object} [page] order, limit and offset, every order when missing
+ * @returns {object} count and rows
+ */
+const find = async (customerId, where, page = {}) => {
+  const { count, rows } = await Order.findAndCountAll({
+    where: { ...where, customer_id: customerId },
+    attributes: [
+      'order_id',
+      'total_amount',
+      'created_on',
+      'shipped_on',
+      'status',
+      [
+        Sequelize.literal(
+          '(SELECT COUNT(*) FROM order_detail od WHERE od.order_id = `Order`.`order_id`)'
+        ),
+        'item_count',
+      ],
+      [
+        Sequelize.literal(
+          '(SELECT COALESCE(SUM(od.quantity), 0) FROM order_detail od WHERE od.order_id = `Order`.`order_id`)'
+        ),
+        'quantity',
+      ],
+    ],
+    include: [{ model: Shipping, attributes: ['shipping_type', 'shipping_cost'] }],
+    order: page.order || [['created_on', 'DESC']],
+    limit: page.limit,
+    offset: page.offset,
+  });
+
+  return {
+    count,
+    rows: rows.map(order => {
+      const { Shipping: shipping, ...data } = order.get({ plain: true });
+      return {
+        ...data,
+        status_name: OrderStatus.nameOf(data.status),
+        total_amount: Number(data.total_amount),
+        item_count: Number(data.item_count),
+        quantity: Number(data.quantity),
+        shipping_type: shipping ? shipping.shipping_type : null,
+        shipping_cost: shipping ? Number(shipping.shipping_cost) : null,
+      };
+    }),
+  };
+};
+
+/**
+ * @param {*} value cell value
+ * @returns {string} the value quoted when it holds a comma, quote or line break
+ */
+const csvCell = value => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {object[]} rows rows of find
+ * @returns {string} CSV with a header line
+ */
+const toCsv = rows =>
+  [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n');
+
+export default {
+  parseFilters,
+  find,
+  toCsv,
+};
@@ -0,0 +1,122 @@
+/**
+ * Order status helper defines the order lifecycle and writes an audit entry for every transition
+ *
+ * Status values keep the meaning of orders_update_order: statuses above 6 are shipped.
+ *
+ * - STATUS - status values by name
+ * - nameOf - the name of a status value
+ * - parse - reads a status name or value
+ * - canTransition - whether an order may move from a status to another
+ * - audit - writes an audit entry for an order
+ * - transition - moves an order to a status, setting shipped_on when it ships
+ */
+import { Audit } from '../database/models';
+
+const error = require('../Error/error');
+
+const STATUS = {
+  placed: 0,
+  paid: 1,
+  processing: 2,
+  cancelled: 3,
+  refunded: 4,
+  shipped: 7,
+  delivered: 8,
+};
+
+const TRANSITIONS = {
+  [STATUS.placed]: [STATUS.paid, STATUS.cancelled],
+  [STATUS.paid]: [STATUS.processing, STATUS.cancelled, STATUS.refunded],
+  [STATUS.processing]: [STATUS.shipped, STATUS.cancelled, STATUS.refunded],
+  [STATUS.shipped]: [STATUS.delivered, STATUS.refunded],
+  [STATUS.delivered]: [STATUS.refunded],
+  [STATUS.cancelled]: [STATUS.refunded],
+  [STATUS.refunded]: [],
+};
+
+// audit codes of status changes are STATUS_AUDIT_CODE + the new status
+const STATUS_AUDIT_CODE = 20000;
+
+/**
+ * @param {number} status status value
+ * @returns {string|undefined} status name
+ */
+const nameOf = status => Object.keys(STATUS).find(name => STATUS[name] === Number(status));
+
+/**
+ * @param {string|number} value status name or value
+ * @returns {number|undefined} status value
+ */
+const parse = value => {
+  if (typeof value === 'string' && STATUS[value.toLowerCase()] !== undefined) {
+    return STATUS[value.toLowerCase()];
+  }
+  return nameOf(value) === undefined ? undefined : Number(value);
+};
+
+/**
+ * @param {number} from current status
+ * @param {number} to new status
+ * @returns {boolean} whether the transition is allowed
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * write an audit entry, like orders_create_audit
+ *
+ * @param {number} orderId order id
+ * @param {number} code audit code
+ * @param {string} message audit message
+ * @param {object} [options] sequelize options, such as transaction
+ * @returns {object} the audit entry
+ */
+const audit = (orderId, code, message, options = {}) =>
+  Audit.create({ order_id: orderId, code, message }, options);
+
+/**
+ * move an order to a status and audit the change
+ *
+ * @param {object} order order instance
+ * @param {number} to new status
+ * @param {object} [options] transition options
+ * @param {string} [options.comments] comments stored on the order
+ * @param {string} [options.message] audit message, describes the change by default
+ * @param {object} [options.transaction] sequelize transaction
+ * @returns {object} order, or error with status, code, message and field
+ */
+const transition = async (order, to, { comments, message, transaction } = {}) => {
+  if (!canTransition(order.status, to)) {
+    return {
+      error: {
+        status: 409,
+        code: 'ORD_05',
+        message: `${error.OrderError.ORD_05} ${nameOf(order.status)} -> ${nameOf(to)}`,
+        field: 'status',
+      },
+    };
+  }
+
+  const from = order.status;
+  const changes = { status: to };
+  if (comments !== undefined) changes.comments = comments;
+  if (to === STATUS.shipped && !order.shipped_on) changes.shipped_on = new Date();
+
+  await order.update(changes, { transaction });
+  await audit(
+    order.order_id,
+    STATUS_AUDIT_CODE + to,
+    message || `Order status changed from ${nameOf(from)} to ${nameOf(to)}`,
+    { transaction }
+  );
+  return { order };
+};
+
+export default {
+  STATUS,
+  STATUS_AUDIT_CODE,
+  nameOf,
+  parse,
+  canTransition,
+  audit,
+  transition,
+};
@@ -0,0 +1,36 @@
+/**
+ * Roles and the permissions each one is granted
+ *
+ * - customer - shops with the storefront API only
+ * - catalog_manager - manages products, departments, categories and attributes
+ * - order_manager - manages orders, refunds and carts
+ * - admin - everything, including staff accounts
+ */
+const ROLES = {
+  CUSTOMER: 'customer',
+  CATALOG_MANAGER: 'catalog_manager',
+  ORDER_MANAGER: 'order_manager',
+  ADMIN: 'admin',
+};
+
+const PERMISSIONS = {
+  'catalog:write': [ROLES.CATALOG_MANAGER, ROLES.ADMIN],
+  'orders:manage': [ROLES.ORDER_MANAGER, ROLES.ADMIN],
+  'carts:manage': [ROLES.ORDER_MANAGER, ROLES.ADMIN],
+  'customers:manage': [ROLES.ADMIN],
+};
+
+/**
+ * check whether a role is granted a permission
+ *
+ * @param {string} role role of the customer
+ * @param {string} permission permission name
+ * @returns {boolean} whether the permission is granted
+ */
+const can = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  can,
+};
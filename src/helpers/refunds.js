@@ -0,0 +1,287 @@
+/**
+ * Refunds helper refunds paid orders through the payment provider and records every refund, whole
+ * orders or single order_detail lines. Refunds never exceed the captured amount: the order total
+ * once the charge reference is stored.
+ *
+ * A refund is issued in two steps. Under the lock of the order, in the caller's transaction, its
+ * row is written without a reference and the order moves on; once that is committed, settle sends
+ * the rows still pending to the provider, so no lock is held while it answers. The provider call
+ * uses the row id as idempotency key, so settling a pending row again never refunds twice.
+ *
+ * - captured - the amount charged for an order
+ * - lineAmount - the amount paid for an order line, its tax included
+ * - balance - the refunds of an order and the amount left to refund
+ * - settle - sends the pending refunds of an order to the provider
+ * - issue - writes the pending refunds of part or all of an order and moves it to refunded once
+ *   nothing is left
+ */
+import { Refund, OrderDetail, Tax } from '../database/models';
+import Payments from '../payments';
+import OrderStatus from './orderStatus';
+
+const error = require('../Error/error');
+
+// audit code of refunds, like the status codes of OrderStatus
+const REFUND_AUDIT_CODE = 30000;
+
+/**
+ * round an amount to cents
+ *
+ * @param {number} amount amount of money
+ * @returns {number} the rounded amount
+ */
+const money = amount => Math.round(amount * 100) / 100;
+
+/**
+ * @param {object[]} refunds refund rows
+ * @returns {number} their total amount
+ */
+const sum = refunds => money(refunds.reduce((total, refund) => total + Number(refund.amount), 0));
+
+/**
+ * @param {string} code error code
+ * @param {string} message error message
+ * @param {string} field field of the error
+ * @param {number} [status] http status
+ * @returns {object} error result
+ */
+const failure = (code, message, field, status = 400) => ({
+  error: { status, code, message, field },
+});
+
+/**
+ * @param {*} value amount of the request
+ * @returns {number|undefined} the amount in cents precision, undefined when not a positive number
+ */
+const parseAmount = value => {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount > 0 ? money(amount) : undefined;
+};
+
+/**
+ * @class Refunds
+ */
+class Refunds {
+  /**
+   * @static
+   * @param {object} order order instance
+   * @returns {number} the charged amount, 0 when the order was not paid
+   * @memberof Refunds
+   */
+  static captured(order) {
+    return order.reference ? Number(order.total_amount) : 0;
+  }
+
+  /**
+   * @static
+   * @param {object} item order_detail instance
+   * @param {object} [tax] tax instance of the order
+   * @returns {number} the line subtotal with its tax
+   * @memberof Refunds
+   */
+  static lineAmount(item, tax) {
+    const subtotal = item.quantity * Number(item.unit_cost);
+    return money(subtotal * (1 + (tax ? Number(tax.tax_percentage) : 0) / 100));
+  }
+
+  /**
+   * refund a pending row with the provider and store the provider reference. A row the provider
+   * refused is deleted; one whose outcome is unknown stays pending for the next settle. Only the
+   * request that stores the reference audits the refund.
+   *
+   * @static
+   * @param {object} order order instance
+   * @param {object} refund pending refund row
+   * @returns {object} the refund, or error
+   * @memberof Refunds
+   */
+  static async send(order, refund) {
+    let providerRefund;
+    try {
+      providerRefund = await Payments.refund({
+        charge: order.reference,
+        amount: Number(refund.amount),
+        metadata: { order_id: order.order_id, refund_id: refund.refund_id },
+        idempotencyKey: `refund-${refund.refund_id}`,
+      });
+    } catch (providerError) {
+      const mapped = Payments.mapError(providerError);
+      if (!mapped) throw providerError;
+      if (mapped.code !== 'PAY_04') await refund.destroy();
+      return { error: mapped };
+    }
+
+    const [stored] = await Refund.update(
+      { reference: providerRefund.id },
+      { where: { refund_id: refund.refund_id, reference: null } }
+    );
+    refund.set('reference', providerRefund.id);
+    if (!stored) return { refund };
+
+    const line = refund.item_id ? ` for item_id ${refund.item_id}` : '';
+    await OrderStatus.audit(
+      order.order_id,
+      REFUND_AUDIT_CODE,
+      `Refunded ${Number(refund.amount).toFixed(2)}${line}${
+        refund.reason ? `: ${refund.reason}` : ''
+      }`
+    );
+    return { refund };
+  }
+
+  /**
+   * @static
+   * @param {object} order order instance
+   * @param {object} [transaction] sequelize transaction
+   * @returns {object} every refund of the order, pending ones included, and the amount left to
+   * refund
+   * @memberof Refunds
+   */
+  static async balance(order, transaction) {
+    const refunds = await Refund.findAll({
+      where: { order_id: order.order_id },
+      order: [['refund_id', 'ASC']],
+      transaction,
+    });
+    return { refunds, remaining: money(Refunds.captured(order) - sum(refunds)) };
+  }
+
+  /**
+   * send the pending refunds of an order to the provider, once the transaction that wrote them is
+   * committed
+   *
+   * @static
+   * @param {object} order order instance
+   * @returns {object} every refund of the order, or error when a refund can't be completed
+   * @memberof Refunds
+   */
+  static async settle(order) {
+    const { refunds } = await Refunds.balance(order);
+    const sent = await Promise.all(
+      refunds.map(refund => (refund.reference ? { refund } : Refunds.send(order, refund)))
+    );
+    const failed = sent.find(result => result.error);
+    if (failed) return failed;
+    return { refunds: sent.map(result => result.refund) };
+  }
+
+  /**
+   * move an order to refunded when it allows it
+   *
+   * @static
+   * @param {object} order order instance
+   * @param {object} transaction sequelize transaction
+   * @returns {void}
+   * @memberof Refunds
+   */
+  static async markRefunded(order, transaction) {
+    if (OrderStatus.canTransition(order.status, OrderStatus.STATUS.refunded)) {
+      await OrderStatus.transition(order, OrderStatus.STATUS.refunded, { transaction });
+    }
+  }
+
+  /**
+   * write the pending refunds of an order: the given lines, each in full unless an amount is
+   * given, else the given amount, else everything left to refund. Settle sends them once the
+   * transaction is committed.
+   *
+   * @static
+   * @param {object} order order instance, locked by the transaction
+   * @param {object} [options] refund options
+   * @param {object[]} [options.items] item_id and optional amount of the refunded lines
+   * @param {number} [options.amount] refunded amount of the order
+   * @param {string} [options.reason] reason stored with the refunds
+   * @param {number} [options.createdBy] customer id of who issued the refund
+   * @param {object} options.transaction sequelize transaction
+   * @returns {object} the pending refunds, refunded_amount and remaining_amount, or error
+   * @memberof Refunds
+   */
+  static async issue(order, { items, amount, reason, createdBy, transaction } = {}) {
+    const captured = Refunds.captured(order);
+    if (!captured) return failure('PAY_01', error.PaymentError.PAY_01, 'order_id', 409);
+
+    const { refunds: previous, remaining } = await Refunds.balance(order, transaction);
+    if (!remaining) await Refunds.markRefunded(order, transaction);
+
+    let rows;
+    if (items !== undefined) {
+      const result = await Refunds.lineRefunds(order, items, previous, transaction);
+      if (result.error) return result;
+      ({ rows } = result);
+    } else if (amount !== undefined) {
+      const parsed = parseAmount(amount);
+      if (!parsed) return failure('PAY_03', error.PaymentError.PAY_03, 'amount');
+      rows = [{ item_id: null, amount: parsed }];
+    } else {
+      rows = [{ item_id: null, amount: remaining }];
+    }
+
+    const total = sum(rows);
+    if (total <= 0 || total > remaining) {
+      const message = `${error.PaymentError.PAY_02} ${remaining.toFixed(2)} left`;
+      return failure('PAY_02', message, 'amount', 409);
+    }
+
+    const refunds = await Refund.bulkCreate(
+      rows.map(row => ({
+        ...row,
+        order_id: order.order_id,
+        reason,
+        created_by: createdBy,
+      })),
+      { transaction }
+    );
+
+    const left = money(remaining - total);
+    if (!left) await Refunds.markRefunded(order, transaction);
+
+    return { refunds, refunded_amount: total, remaining_amount: left };
+  }
+
+  /**
+   * the refund rows of order lines, capped by what the earlier refunds of each line left
+   *
+   * @static
+   * @param {object} order order instance
+   * @param {object[]} items item_id and optional amount of the refunded lines
+   * @param {object[]} previous earlier refunds of the order
+   * @param {object} transaction sequelize transaction
+   * @returns {object} rows with item_id and amount, or error
+   * @memberof Refunds
+   */
+  static async lineRefunds(order, items, previous, transaction) {
+    if (!Array.isArray(items) || !items.length) {
+      return failure('PAY_03', error.PaymentError.PAY_03, 'items');
+    }
+    const [lines, tax] = await Promise.all([
+      OrderDetail.findAll({ where: { order_id: order.order_id }, transaction }),
+      order.tax_id ? Tax.findByPk(order.tax_id, { transaction }) : null,
+    ]);
+
+    const rows = [];
+    for (let i = 0; i < items.length; i += 1) {
+      const { item_id: itemId, amount } = items[i] || {};
+      const line = lines.find(candidate => candidate.item_id === Number(itemId));
+      if (!line || rows.some(row => row.item_id === line.item_id)) {
+        return failure('PAY_03', `${error.PaymentError.PAY_03} item_id ${itemId}`, 'items');
+      }
+
+      const lineRefunded = sum(previous.filter(refund => refund.item_id === line.item_id));
+      const lineRemaining = money(Refunds.lineAmount(line, tax) - lineRefunded);
+      const lineAmount = amount === undefined ? lineRemaining : parseAmount(amount);
+      if (!lineAmount && amount !== undefined) {
+        return failure('PAY_03', error.PaymentError.PAY_03, 'amount');
+      }
+      if (lineAmount > lineRemaining || lineAmount <= 0) {
+        const left = `${lineRemaining.toFixed(2)} left for item_id ${line.item_id}`;
+        return failure('PAY_02', `${error.PaymentError.PAY_02} ${left}`, 'items', 409);
+      }
+      rows.push({ item_id: line.item_id, amount: lineAmount });
+    }
+    return { rows };
+  }
+}
+
+Refunds.REFUND_AUDIT_CODE = REFUND_AUDIT_CODE;
+
+export default Refunds;
@@ -0,0 +1,253 @@
+/**
+ * Token helper issues and verifies the tokens a customer authenticates with
+ *
+ * - signAccessToken - signs a short lived access token for a customer session
+ * - verifyAccessToken - verifies an access token with the key named in its kid header
+ * - createSession - starts a session and returns an access token and a refresh token
+ * - refreshSession - rotates the refresh token of an active session
+ * - revokeSession - revokes a single session
+ * - revokeAllSessions - revokes every session of a customer
+ * - createOneTimeToken - issues a single-use, time limited token such as a password reset token
+ * - consumeOneTimeToken - redeems a single-use token
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Session, CustomerToken, Sequelize } from '../database/models';
+
+const config = require('../jwtSecret');
+
+const { Op } = Sequelize;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @class Token
+ */
+class Token {
+  /**
+   * sign an access token for a customer session with the active key
+   *
+   * @static
+   * @param {object} customer customer instance
+   * @param {object} session session instance
+   * @returns {string} signed access token
+   * @memberof Token
+   */
+  static signAccessToken(customer, session) {
+    return jwt.sign(
+      { customer_id: customer.customer_id, username: customer.email, sid: session.session_id },
+      config.keys[config.activeKid],
+      { expiresIn: config.expiresIn, keyid: config.activeKid }
+    );
+  }
+
+  /**
+   * verify an access token with the key its kid header names, so tokens signed
+   * before a key rotation stay valid while their key is still configured
+   *
+   * @static
+   * @param {string} token access token
+   * @returns {object} token payload
+   * @throws {JsonWebTokenError} when the token is malformed, expired or signed with an unknown key
+   * @memberof Token
+   */
+  static verifyAccessToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) throw new jwt.JsonWebTokenError('jwt malformed');
+
+    const secret = config.keys[decoded.header.kid || config.activeKid];
+    if (!secret) throw new jwt.JsonWebTokenError('unknown key id');
+
+    return jwt.verify(token, secret, { algorithms: ['HS256'] });
+  }
+
+  /**
+   * hash a refresh token, only the hash is ever stored
+   *
+   * @static
+   * @param {string} refreshToken refresh token
+   * @returns {string} sha256 hex digest
+   * @memberof Token
+   */
+  static hash(refreshToken) {
+    return crypto
+      .createHash('sha256')
+      .update(String(refreshToken))
+      .digest('hex');
+  }
+
+  /**
+   * build the token part of an authentication response
+   *
+   * @static
+   * @param {object} customer customer instance
+   * @param {object} session session instance
+   * @param {string} refreshToken plain refresh token
+   * @returns {object} accessToken, refreshToken and expiresIn
+   * @memberof Token
+   */
+  static response(customer, session, refreshToken) {
+    return {
+      accessToken: `Bearer ${Token.signAccessToken(customer, session)}`,
+      refreshToken,
+      expiresIn: config.expiresIn,
+    };
+  }
+
+  /**
+   * start a new session for a customer
+   *
+   * @static
+   * @param {object} customer customer instance
+   * @param {object} req express request object
+   * @returns {object} accessToken, refreshToken and expiresIn
+   * @memberof Token
+   */
+  static async createSession(customer, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = await Session.create({
+      customer_id: customer.customer_id,
+      refresh_token: Token.hash(refreshToken),
+      user_agent: (req.get('user-agent') || '').slice(0, 255),
+      ip_address: req.ip,
+      expires_on: new Date(Date.now() + config.refreshExpiresInDays * DAY_MS),
+    });
+    return Token.response(customer, session, refreshToken);
+  }
+
+  /**
+   * exchange a refresh token for a new access token and a new refresh token,
+   * the exchanged refresh token can not be used again
+   *
+   * @static
+   * @param {string} refreshToken plain refresh token
+   * @returns {object|null} accessToken, refreshToken and expiresIn, null when the token is not valid
+   * @memberof Token
+   */
+  static async refreshSession(refreshToken) {
+    if (!refreshToken) return null;
+
+    const hash = Token.hash(refreshToken);
+    const session = await Session.findOne({ where: { refresh_token: hash } });
+    if (!session || !session.isActive()) return null;
+
+    const customer = await session.getCustomer();
+    if (!customer) return null;
+
+    // swap the hash only if it is still the exchanged one, so of two concurrent
+    // refreshes with the same token exactly one succeeds
+    const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+    const [rotated] = await Session.update(
+      { refresh_token: Token.hash(nextRefreshToken) },
+      {
+        where: {
+          session_id: session.session_id,
+          refresh_token: hash,
+          revoked_on: null,
+          expires_on: { [Op.gt]: new Date() },
+        },
+      }
+    );
+    if (rotated !== 1) return null;
+    return Token.response(customer, session, nextRefreshToken);
+  }
+
+  /**
+   * check that the session an access token was issued for is still active
+   *
+   * @static
+   * @param {number} sessionId session id from the sid claim
+   * @param {number} customerId customer id from the customer_id claim
+   * @returns {boolean} whether the session is active
+   * @memberof Token
+   */
+  static async isSessionActive(sessionId, customerId) {
+    const session = await Session.findByPk(sessionId);
+    return !!session && session.customer_id === customerId && session.isActive();
+  }
+
+  /**
+   * revoke a single session
+   *
+   * @static
+   * @param {number} sessionId session id
+   * @returns {number} number of revoked sessions
+   * @memberof Token
+   */
+  static async revokeSession(sessionId) {
+    const [revoked] = await Session.update(
+      { revoked_on: new Date() },
+      { where: { session_id: sessionId, revoked_on: null } }
+    );
+    return revoked;
+  }
+
+  /**
+   * revoke every active session of a customer
+   *
+   * @static
+   * @param {number} customerId customer id
+   * @returns {number} number of revoked sessions
+   * @memberof Token
+   */
+  static async revokeAllSessions(customerId) {
+    const [revoked] = await Session.update(
+      { revoked_on: new Date() },
+      { where: { customer_id: customerId, revoked_on: null, expires_on: { [Op.gt]: new Date() } } }
+    );
+    return revoked;
+  }
+
+  /**
+   * issue a single-use token for a customer, unused tokens of the same type are invalidated
+   *
+   * @static
+   * @param {object} customer customer instance
+   * @param {string} type password_reset or email_verification
+   * @param {number} expiresInMinutes lifetime of the token
+   * @returns {string} plain token, only its hash is stored
+   * @memberof Token
+   */
+  static async createOneTimeToken(customer, type, expiresInMinutes) {
+    const now = new Date();
+    await CustomerToken.update(
+      { used_on: now },
+      { where: { customer_id: customer.customer_id, type, used_on: null } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await CustomerToken.create({
+      customer_id: customer.customer_id,
+      type,
+      token: Token.hash(token),
+      expires_on: new Date(now.getTime() + expiresInMinutes * 60 * 1000),
+    });
+    return token;
+  }
+
+  /**
+   * redeem a single-use token, it can not be redeemed again
+   *
+   * @static
+   * @param {string} token plain token
+   * @param {string} type password_reset or email_verification
+   * @returns {object|null} the customer the token was issued for, null when it is not valid
+   * @memberof Token
+   */
+  static async consumeOneTimeToken(token, type) {
+    if (!token) return null;
+
+    const now = new Date();
+    const [used] = await CustomerToken.update(
+      { used_on: now },
+      {
+        where: { token: Token.hash(token), type, used_on: null, expires_on: { [Op.gt]: now } },
+      }
+    );
+    if (!used) return null;
+
+    const oneTimeToken = await CustomerToken.findOne({ where: { token: Token.hash(token) } });
+    return oneTimeToken.getCustomer();
+  }
+}
+
+export default Token;
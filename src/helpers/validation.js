@@ -0,0 +1,53 @@
+/**
+ * Helpers for the express-validator checks run in the controllers
+ *
+ * - validationFailed - sends the first validation error of the request, if any
+ * - notFound - sends a 404 error for a missing record
+ */
+
+/**
+ * send the first validation error collected by req.check*() calls
+ *
+ * @param {object} req express request object
+ * @param {object} res express response object
+ * @param {string} code error code of the response
+ * @returns {object|null} the sent response, null when the request is valid
+ */
+const validationFailed = (req, res, code) => {
+  const errors = req.validationErrors();
+  if (!errors) return null;
+
+  const [first] = errors;
+  return res.status(400).json({
+    error: {
+      status: 400,
+      code,
+      message: first.msg,
+      field: first.param,
+    },
+  });
+};
+
+/**
+ * send a 404 error for a missing record
+ *
+ * @param {object} res express response object
+ * @param {string} code error code of the response
+ * @param {string} message error message
+ * @param {string} field name of the id field
+ * @returns {object} the sent response
+ */
+const notFound = (res, code, message, field) =>
+  res.status(404).json({
+    error: {
+      status: 404,
+      code,
+      message,
+      field,
+    },
+  });
+
+export default {
+  validationFailed,
+  notFound,
+};
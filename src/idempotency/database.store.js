@@ -0,0 +1,95 @@
+import { IdempotencyKey, Sequelize } from '../database/models';
+
+const { Op } = Sequelize;
+
+/**
+ * Database store keeps idempotency records in the idempotency_key table
+ *
+ * @class DatabaseStore
+ */
+class DatabaseStore {
+  /**
+   * @param {object} [model] model of the idempotency_key table
+   */
+  constructor(model = IdempotencyKey) {
+    this.model = model;
+  }
+
+  /**
+   * @param {string} key hashed idempotency key
+   * @returns {object|null} fingerprint, and status and body once completed
+   * @memberof DatabaseStore
+   */
+  async get(key) {
+    const record = await this.model.findOne({
+      where: { key_hash: key, expires_on: { [Op.gt]: new Date() } },
+    });
+    if (!record) return null;
+    return {
+      fingerprint: record.fingerprint,
+      status: record.status_code,
+      body: record.response === null ? undefined : JSON.parse(record.response),
+    };
+  }
+
+  /**
+   * claim a key for a request, the primary key makes the first request win
+   *
+   * @param {string} key hashed idempotency key
+   * @param {string} fingerprint request fingerprint
+   * @param {number} ttlMs time the record is kept
+   * @returns {boolean} whether the key was claimed
+   * @memberof DatabaseStore
+   */
+  async reserve(key, fingerprint, ttlMs) {
+    await this.model.destroy({
+      where: { key_hash: key, expires_on: { [Op.lte]: new Date() } },
+    });
+    try {
+      await this.model.create({
+        key_hash: key,
+        fingerprint,
+        expires_on: new Date(Date.now() + ttlMs),
+      });
+      return true;
+    } catch (error) {
+      if (error instanceof Sequelize.UniqueConstraintError) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} key hashed idempotency key
+   * @param {number} status response status
+   * @param {*} body response body
+   * @returns {void}
+   * @memberof DatabaseStore
+   */
+  async complete(key, status, body) {
+    await this.model.update(
+      { status_code: status, response: JSON.stringify(body) },
+      { where: { key_hash: key } }
+    );
+  }
+
+  /**
+   * @param {string} key hashed idempotency key
+   * @returns {void}
+   * @memberof DatabaseStore
+   */
+  async release(key) {
+    await this.model.destroy({ where: { key_hash: key } });
+  }
+
+  /**
+   * delete the expired records
+   *
+   * @returns {number} number of deleted records
+   * @memberof DatabaseStore
+   */
+  async purge() {
+    return this.model.destroy({ where: { expires_on: { [Op.lte]: new Date() } } });
+  }
+}
+
+export default DatabaseStore;
@@ -0,0 +1,58 @@
+/**
+ * Idempotency records remember the response of a request sent with an Idempotency-Key header, so
+ * a retried request gets the same response instead of running twice
+ *
+ * IDEMPOTENCY_STORE picks the store: `database` (the default) or `redis`, which connects to
+ * REDIS_URL. Records are kept for IDEMPOTENCY_TTL_HOURS hours (24 by default).
+ *
+ * - getStore - returns the store in use, created on first use
+ * - setStore - swaps the store, e.g. for tests
+ * - ttlMs - how long records are kept
+ */
+import DatabaseStore from './database.store';
+import RedisStore from './redis.store';
+
+const TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+let store;
+
+const createStore = () => {
+  if (process.env.IDEMPOTENCY_STORE === 'redis') return new RedisStore(process.env.REDIS_URL);
+  return new DatabaseStore();
+};
+
+/**
+ * @class Idempotency
+ */
+class Idempotency {
+  /**
+   * @static
+   * @returns {object} the store in use
+   * @memberof Idempotency
+   */
+  static getStore() {
+    if (!store) store = createStore();
+    return store;
+  }
+
+  /**
+   * @static
+   * @param {object} newStore store with get, reserve, complete, release and purge
+   * @returns {void}
+   * @memberof Idempotency
+   */
+  static setStore(newStore) {
+    store = newStore;
+  }
+
+  /**
+   * @static
+   * @returns {number} how long records are kept, in milliseconds
+   * @memberof Idempotency
+   */
+  static ttlMs() {
+    return TTL_MS;
+  }
+}
+
+export default Idempotency;
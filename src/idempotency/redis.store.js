@@ -0,0 +1,95 @@
+import { promisify } from 'util';
+import redis from 'redis';
+
+const PREFIX = 'idempotency:';
+
+/**
+ * Redis store keeps idempotency records as JSON strings that expire with the window
+ *
+ * @class RedisStore
+ */
+class RedisStore {
+  /**
+   * @param {string} url redis url, the redis client default when empty
+   */
+  constructor(url) {
+    this.client = url ? redis.createClient(url) : redis.createClient();
+    this.getAsync = promisify(this.client.get).bind(this.client);
+    this.setAsync = promisify(this.client.set).bind(this.client);
+    this.pttlAsync = promisify(this.client.pttl).bind(this.client);
+    this.delAsync = promisify(this.client.del).bind(this.client);
+  }
+
+  /**
+   * @param {string} key hashed idempotency key
+   * @returns {object|null} fingerprint, and status and body once completed
+   * @memberof RedisStore
+   */
+  async get(key) {
+    const value = await this.getAsync(`${PREFIX}${key}`);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * claim a key for a request with SET NX, so the first request wins
+   *
+   * @param {string} key hashed idempotency key
+   * @param {string} fingerprint request fingerprint
+   * @param {number} ttlMs time the record is kept
+   * @returns {boolean} whether the key was claimed
+   * @memberof RedisStore
+   */
+  async reserve(key, fingerprint, ttlMs) {
+    const result = await this.setAsync(
+      `${PREFIX}${key}`,
+      JSON.stringify({ fingerprint }),
+      'PX',
+      ttlMs,
+      'NX'
+    );
+    return result === 'OK';
+  }
+
+  /**
+   * store the response, keeping the remaining time of the window
+   *
+   * @param {string} key hashed idempotency key
+   * @param {number} status response status
+   * @param {*} body response body
+   * @returns {void}
+   * @memberof RedisStore
+   */
+  async complete(key, status, body) {
+    const record = await this.get(key);
+    const ttlMs = await this.pttlAsync(`${PREFIX}${key}`);
+    if (!record || ttlMs <= 0) return;
+    await this.setAsync(
+      `${PREFIX}${key}`,
+      JSON.stringify({ ...record, status, body }),
+      'PX',
+      ttlMs
+    );
+  }
+
+  /**
+   * @param {string} key hashed idempotency key
+   * @returns {void}
+   * @memberof RedisStore
+   */
+  async release(key) {
+    await this.delAsync(`${PREFIX}${key}`);
+  }
+
+  /**
+   * records expire on their own in redis
+   *
+   * @returns {number} number of deleted records, always 0
+   * @memberof RedisStore
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async purge() {
+    return 0;
+  }
+}
+
+export default RedisStore;
@@ -10,9 +10,21 @@ import compression from 'compression';
 import helmet from 'helmet';
 import cors from 'cors';
 import router from './routes';
+import bootstrapAdmin from './database/seeders/bootstrapAdmin';
+import startJobs from './jobs';
 
 const isProduction = process.env.NODE_ENV === 'production';
 const app = express();
+
+// behind a load balancer req.ip is the balancer's address unless the proxies are trusted,
+// TRUST_PROXY takes the values of express' trust proxy setting (true, a hop count or addresses)
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  let trustProxy = TRUST_PROXY;
+  if (TRUST_PROXY === 'true' || TRUST_PROXY === 'false') trustProxy = TRUST_PROXY === 'true';
+  else if (/^\d+$/.test(TRUST_PROXY)) trustProxy = Number(TRUST_PROXY);
+  app.set('trust proxy', trustProxy);
+}
 const corsOptions = {
   credentials: true,
   origin: [],
@@ -86,6 +98,10 @@ const port = parseInt(process.env.NODE_ENV === 'test' ? 8378 : process.env.PORT,
 
 export const server = app.listen(port, () => {
   log(`Server is running on http://localhost:${port} `);
+  bootstrapAdmin().catch(error =>
+    log.error(`Could not create the bootstrap admin: ${error.message}`)
+  );
+  startJobs();
 });
 
 export default app;
@@ -0,0 +1,206 @@
+/**
+ * Cart cleanup counts and purges carts idle for more than CART_EXPIRES_DAYS days, like the
+ * shopping_cart_count_old_carts and shopping_cart_delete_old_carts procedures. Before that, the
+ * owners of carts idle for more than CART_REMINDER_HOURS hours get a reminder email, once per
+ * change of their cart. Every app instance runs the job, so a reminder is claimed with a
+ * conditional update before it is sent and only the instance that claimed it sends it.
+ *
+ * It runs every CART_CLEANUP_INTERVAL_MINUTES minutes in the app and can be run on its own with
+ * `npm run carts:cleanup -- [count|remind|purge|run] [--days=N] [--hours=M]`.
+ */
+import log from 'fancy-log';
+import { ShoppingCart, CustomerCart, Customer, Sequelize } from '../database/models';
+import Cart from '../helpers/cart';
+import Mailer from '../mailer';
+
+const { Op, fn, col } = Sequelize;
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_HOURS = parseInt(process.env.CART_REMINDER_HOURS, 10) || 24;
+const INTERVAL_MINUTES = parseInt(process.env.CART_CLEANUP_INTERVAL_MINUTES, 10) || 60;
+
+/**
+ * @class CartCleanup
+ */
+class CartCleanup {
+  /**
+   * carts whose last change is older than a date, the latest modified_on of their lines
+   *
+   * @static
+   * @param {Date} before latest last change
+   * @returns {object[]} cart_id and last_change of the carts
+   * @memberof CartCleanup
+   */
+  static async findIdleCarts(before) {
+    const carts = await ShoppingCart.findAll({
+      attributes: ['cart_id', [fn('MAX', col('modified_on')), 'last_change']],
+      group: ['cart_id'],
+      having: Sequelize.where(fn('MAX', col('modified_on')), Op.lte, before),
+      raw: true,
+    });
+    return carts.map(cart => ({ ...cart, last_change: new Date(cart.last_change) }));
+  }
+
+  /**
+   * @static
+   * @param {number} days days without changes
+   * @returns {number} number of carts idle for more than days
+   * @memberof CartCleanup
+   */
+  static async countOldCarts(days = Cart.EXPIRES_DAYS) {
+    const carts = await CartCleanup.findIdleCarts(new Date(Date.now() - days * 24 * HOUR_MS));
+    return carts.length;
+  }
+
+  /**
+   * @static
+   * @param {number} days days without changes
+   * @returns {number} number of purged carts
+   * @memberof CartCleanup
+   */
+  static async purgeOldCarts(days = Cart.EXPIRES_DAYS) {
+    const carts = await CartCleanup.findIdleCarts(new Date(Date.now() - days * 24 * HOUR_MS));
+    if (!carts.length) return 0;
+
+    const cartIds = carts.map(cart => cart.cart_id);
+    await ShoppingCart.destroy({ where: { cart_id: cartIds } });
+    // customers whose cart was purged get a new cart id on their next visit
+    await CustomerCart.destroy({ where: { cart_id: cartIds } });
+    return carts.length;
+  }
+
+  /**
+   * customer carts idle for more than hours whose owner wasn't reminded since their last change
+   *
+   * @static
+   * @param {number} hours hours without changes
+   * @returns {object[]} customer_id, cart_id, reminded_on, Customer and last_change of the carts
+   * @memberof CartCleanup
+   */
+  static async findCartsToRemind(hours = REMINDER_HOURS) {
+    const carts = await CartCleanup.findIdleCarts(new Date(Date.now() - hours * HOUR_MS));
+    if (!carts.length) return [];
+
+    const lastChanges = new Map(carts.map(cart => [cart.cart_id, cart.last_change]));
+    const customerCarts = await CustomerCart.findAll({
+      where: { cart_id: [...lastChanges.keys()] },
+      include: [{ model: Customer, attributes: ['customer_id', 'name', 'email'] }],
+    });
+    return customerCarts
+      .filter(customerCart => customerCart.Customer)
+      .map(customerCart => ({
+        customer_id: customerCart.customer_id,
+        cart_id: customerCart.cart_id,
+        reminded_on: customerCart.reminded_on,
+        Customer: customerCart.Customer,
+        last_change: lastChanges.get(customerCart.cart_id),
+      }))
+      .filter(cart => !cart.reminded_on || cart.reminded_on < cart.last_change);
+  }
+
+  /**
+   * mark a customer cart as reminded unless it was reminded since its last change, in this or
+   * another app instance
+   *
+   * @static
+   * @param {object} customerCart customer cart with its last_change
+   * @returns {boolean} whether the reminder was claimed
+   * @memberof CartCleanup
+   */
+  static async claimReminder(customerCart) {
+    const [claimed] = await CustomerCart.update(
+      { reminded_on: new Date() },
+      {
+        where: {
+          customer_id: customerCart.customer_id,
+          [Op.or]: [{ reminded_on: null }, { reminded_on: { [Op.lt]: customerCart.last_change } }],
+        },
+      }
+    );
+    return claimed === 1;
+  }
+
+  /**
+   * email the owners of idle carts
+   *
+   * @static
+   * @param {number} hours hours without changes
+   * @returns {number} number of reminders sent
+   * @memberof CartCleanup
+   */
+  static async sendReminders(hours = REMINDER_HOURS) {
+    const customerCarts = await CartCleanup.findCartsToRemind(hours);
+    const sent = await Promise.all(
+      customerCarts.map(async customerCart => {
+        if (!(await CartCleanup.claimReminder(customerCart))) return false;
+
+        const itemCount = await ShoppingCart.count({ where: { cart_id: customerCart.cart_id } });
+        const { name, email } = customerCart.Customer;
+        await Mailer.sendQuietly(email, 'cartReminder', {
+          name,
+          itemCount,
+          expiresOn: new Date(
+            customerCart.last_change.getTime() + Cart.EXPIRES_DAYS * 24 * HOUR_MS
+          ),
+        });
+        return true;
+      })
+    );
+    return sent.filter(Boolean).length;
+  }
+
+  /**
+   * send the reminders then purge the old carts
+   *
+   * @static
+   * @param {object} [options] cleanup options
+   * @param {number} [options.days] days without changes before a cart is purged
+   * @param {number} [options.hours] hours without changes before a reminder is sent
+   * @returns {object} reminded and purged counts
+   * @memberof CartCleanup
+   */
+  static async run({ days = Cart.EXPIRES_DAYS, hours = REMINDER_HOURS } = {}) {
+    const reminded = await CartCleanup.sendReminders(hours);
+    const purged = await CartCleanup.purgeOldCarts(days);
+    if (reminded || purged) log(`Cart cleanup reminded ${reminded} and purged ${purged} carts`);
+    return { reminded, purged };
+  }
+}
+
+CartCleanup.REMINDER_HOURS = REMINDER_HOURS;
+CartCleanup.INTERVAL_MS = INTERVAL_MINUTES * 60 * 1000;
+
+if (require.main === module) {
+  const [command = 'run', ...args] = process.argv.slice(2);
+  const option = name => {
+    const arg = args.find(value => value.startsWith(`--${name}=`));
+    return arg ? parseInt(arg.split('=')[1], 10) : undefined;
+  };
+  const days = option('days');
+  const hours = option('hours');
+  const commands = {
+    count: async () => ({
+      days: days || Cart.EXPIRES_DAYS,
+      old_shopping_carts_count: await CartCleanup.countOldCarts(days),
+    }),
+    remind: async () => ({ reminded: await CartCleanup.sendReminders(hours) }),
+    purge: async () => ({ purged: await CartCleanup.purgeOldCarts(days) }),
+    run: () => CartCleanup.run({ days, hours }),
+  };
+
+  if (!commands[command]) {
+    log.error(`Unknown command ${command}, use one of ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+  commands[command]()
+    .then(result => {
+      log(JSON.stringify(result));
+      process.exit(0);
+    })
+    .catch(error => {
+      log.error(error);
+      process.exit(1);
+    });
+}
+
+export default CartCleanup;
@@ -0,0 +1,30 @@
+/**
+ * Background jobs of the app, started with the server unless JOBS_ENABLED is false or the app
+ * runs its tests
+ *
+ * - cartCleanup - reminds the owners of idle carts and purges old carts
+ * - idempotencyCleanup - deletes expired idempotency records every hour
+ */
+import JobRunner from './runner';
+import CartCleanup from './cartCleanup';
+import Idempotency from '../idempotency';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const runner = new JobRunner();
+
+runner.register('cartCleanup', CartCleanup.INTERVAL_MS, () => CartCleanup.run());
+runner.register('idempotencyCleanup', HOUR_MS, () => Idempotency.getStore().purge());
+
+/**
+ * @returns {boolean} whether the jobs were started
+ */
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false' || process.env.NODE_ENV === 'test') return false;
+  runner.start();
+  return true;
+};
+
+export { runner };
+
+export default startJobs;
@@ -0,0 +1,74 @@
+import log from 'fancy-log';
+
+/**
+ * Job runner runs registered jobs at a fixed interval inside the app process. A job is skipped
+ * while its previous run is still going, and its errors are logged instead of crashing the app.
+ *
+ * @class JobRunner
+ */
+class JobRunner {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * @param {string} name job name
+   * @param {number} intervalMs time between two runs
+   * @param {function} task async function run by the job
+   * @returns {JobRunner} the runner
+   * @memberof JobRunner
+   */
+  register(name, intervalMs, task) {
+    this.jobs.set(name, { intervalMs, task, running: false });
+    return this;
+  }
+
+  /**
+   * run a job now, unless it is already running
+   *
+   * @param {string} name job name
+   * @returns {*} result of the task, undefined when skipped or failed
+   * @memberof JobRunner
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) return undefined;
+
+    job.running = true;
+    try {
+      return await job.task();
+    } catch (error) {
+      log.error(`Job ${name} failed: ${error.message}`);
+      return undefined;
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * schedule every job, the timers don't keep the process alive
+   *
+   * @returns {void}
+   * @memberof JobRunner
+   */
+  start() {
+    this.jobs.forEach((job, name) => {
+      if (this.timers.has(name)) return;
+      const timer = setInterval(() => this.run(name), job.intervalMs);
+      timer.unref();
+      this.timers.set(name, timer);
+    });
+  }
+
+  /**
+   * @returns {void}
+   * @memberof JobRunner
+   */
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers.clear();
+  }
+}
+
+export default JobRunner;
@@ -1,4 +1,37 @@
+require('dotenv').config();
+
+/**
+ * Signing keys are read from JWT_KEYS as comma separated `kid:secret` pairs so keys can be rotated:
+ * tokens are signed with JWT_ACTIVE_KID (the first key by default) and verified with the key named
+ * in their `kid` header. A single JWT_SECRET is accepted as the `default` key. The process refuses
+ * to start without a key, or with a JWT_ACTIVE_KID that names none of them; the tests sign with a
+ * fixed key.
+ */
+const keys = (process.env.JWT_KEYS || '')
+  .split(',')
+  .map(pair => pair.trim())
+  .filter(Boolean)
+  .reduce((all, pair) => {
+    const [kid, ...secret] = pair.split(':');
+    return { ...all, [kid]: secret.join(':') };
+  }, {});
+
+if (!Object.keys(keys).length) {
+  keys.default = process.env.JWT_SECRET || (process.env.NODE_ENV === 'test' ? 'test-secret' : '');
+}
+Object.keys(keys).forEach(kid => {
+  if (!kid || !keys[kid]) throw new Error(`JWT_KEYS or JWT_SECRET must set a secret for "${kid}"`);
+});
+
+const activeKid = process.env.JWT_ACTIVE_KID || Object.keys(keys)[0];
+if (!keys[activeKid]) {
+  throw new Error(`JWT_ACTIVE_KID "${activeKid}" is none of the JWT_KEYS`);
+}
+
 module.exports = {
-    secret: "12345",
-    expiresIn:'24h'
-}
\ No newline at end of file
+  keys,
+  activeKid,
+  secret: keys[activeKid],
+  expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS, 10) || 30,
+};
@@ -0,0 +1,106 @@
+/**
+ * The mailer sends every outgoing email through a pluggable transport
+ *
+ * MAIL_TRANSPORT picks the transport: `sendgrid` (the default when SENDGRID_API_KEY is set) or
+ * `local`, which logs that a message was sent or writes it to MAIL_DIR. `local` is only the
+ * default in development and tests; elsewhere, without a transport, every send fails.
+ *
+ * - send - sends a rendered template to a recipient
+ * - setTransport - swaps the transport, e.g. for a LocalTransport in tests
+ * - getTransport - returns the transport in use, whose messages tests can assert on
+ */
+import log from 'fancy-log';
+import SendGridTransport from './sendgrid.transport';
+import LocalTransport from './local.transport';
+import templates from './templates';
+
+const isDevelopment = ['development', 'test', undefined].includes(process.env.NODE_ENV);
+
+// stands in when no transport is configured outside development, so mails fail instead of
+// silently going nowhere
+const missingTransport = {
+  name: 'none',
+  send: () =>
+    Promise.reject(
+      new Error('No mail transport configured, set SENDGRID_API_KEY or MAIL_TRANSPORT')
+    ),
+};
+
+const createTransport = () => {
+  let name = process.env.MAIL_TRANSPORT;
+  if (!name && process.env.SENDGRID_API_KEY) name = 'sendgrid';
+  if (!name && isDevelopment) name = 'local';
+
+  if (name === 'sendgrid') return new SendGridTransport(process.env.SENDGRID_API_KEY);
+  if (name === 'local') return new LocalTransport({ dir: process.env.MAIL_DIR });
+  log.error('[mail] no mail transport configured, set SENDGRID_API_KEY or MAIL_TRANSPORT');
+  return missingTransport;
+};
+
+let transport = createTransport();
+
+/**
+ * @class Mailer
+ */
+class Mailer {
+  /**
+   * render a template and send it
+   *
+   * @static
+   * @param {string} to recipient email
+   * @param {string} template name of a template in ./templates
+   * @param {object} data values the template is rendered with
+   * @returns {Promise} resolves with the transport result
+   * @memberof Mailer
+   */
+  static send(to, template, data) {
+    const render = templates[template];
+    if (!render) return Promise.reject(new Error(`Unknown mail template: ${template}`));
+
+    return transport.send({
+      from: process.env.MAIL_FROM || 'no-reply@tshirtshop.com',
+      to,
+      ...render(data),
+    });
+  }
+
+  /**
+   * send a message without failing the request that triggered it, delivery errors are logged
+   *
+   * @static
+   * @param {string} to recipient email
+   * @param {string} template name of a template in ./templates
+   * @param {object} data values the template is rendered with
+   * @returns {Promise} resolves once the message was handed over or failed
+   * @memberof Mailer
+   */
+  static async sendQuietly(to, template, data) {
+    try {
+      return await Mailer.send(to, template, data);
+    } catch (error) {
+      log.error(`[mail] could not send ${template} to ${to}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @static
+   * @param {object} nextTransport object with a send(message) method
+   * @returns {void}
+   * @memberof Mailer
+   */
+  static setTransport(nextTransport) {
+    transport = nextTransport;
+  }
+
+  /**
+   * @static
+   * @returns {object} the transport in use
+   * @memberof Mailer
+   */
+  static getTransport() {
+    return transport;
+  }
+}
+
+export default Mailer;
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import log from 'fancy-log';
+
+/**
+ * Local transport logs the recipient and subject of every message or, when a directory is
+ * given, writes the whole message there as a json file. Bodies carry tokens, so they are never
+ * logged. Messages are kept in memory only when asked, for tests to assert on. Nothing leaves
+ * the machine, which makes it the transport for development and tests.
+ *
+ * @class LocalTransport
+ */
+class LocalTransport {
+  /**
+   * @param {object} options transport options
+   * @param {string} [options.dir] directory the messages are written to
+   * @param {boolean} [options.keep] keep the messages in memory
+   */
+  constructor({ dir, keep = false } = {}) {
+    this.name = 'local';
+    this.dir = dir;
+    this.keep = keep;
+    this.messages = [];
+    this.sent = 0;
+  }
+
+  /**
+   * store a message
+   *
+   * @param {object} message message with from, to, subject, text and html
+   * @returns {Promise} resolves with the stored message
+   * @memberof LocalTransport
+   */
+  async send(message) {
+    const stored = { ...message, sent_on: new Date().toISOString() };
+    this.sent += 1;
+    if (this.keep) this.messages.push(stored);
+
+    if (!this.dir) {
+      log(`[mail] to: ${message.to} subject: ${message.subject}`);
+      return stored;
+    }
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = `${Date.now()}-${this.sent}.json`;
+    await fs.promises.writeFile(path.join(this.dir, file), JSON.stringify(stored, null, 2));
+    return stored;
+  }
+
+  /**
+   * forget every stored message
+   *
+   * @returns {void}
+   * @memberof LocalTransport
+   */
+  clear() {
+    this.messages = [];
+  }
+}
+
+export default LocalTransport;
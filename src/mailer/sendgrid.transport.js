@@ -0,0 +1,31 @@
+import sgMail from '@sendgrid/mail';
+
+/**
+ * SendGrid transport delivers mail through the SendGrid API
+ *
+ * @class SendGridTransport
+ */
+class SendGridTransport {
+  /**
+   * @param {string} apiKey SendGrid API key
+   * @param {object} [client] SendGrid mail client
+   */
+  constructor(apiKey, client = sgMail) {
+    this.name = 'sendgrid';
+    this.client = client;
+    this.client.setApiKey(apiKey);
+  }
+
+  /**
+   * send a message
+   *
+   * @param {object} message message with from, to, subject, text and html
+   * @returns {Promise} resolves with the SendGrid response
+   * @memberof SendGridTransport
+   */
+  send(message) {
+    return this.client.send(message);
+  }
+}
+
+export default SendGridTransport;
@@ -0,0 +1,60 @@
+/**
+ * Mail templates, each returns the subject, text and html of a message
+ *
+ * - passwordReset - link to reset a forgotten password
+ * - emailVerification - link to verify the email address of a new account
+ * - cartReminder - reminds a customer of the items left in their cart before it expires
+ */
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * escape a value for the html bodies, customer names are free text
+ *
+ * @param {*} text text to escape
+ * @returns {string} the escaped text
+ */
+const escapeHtml = text =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const passwordReset = ({ name, token, expiresInMinutes }) => {
+  const safeName = escapeHtml(name);
+  const url = `${appUrl()}/reset-password?token=${token}`;
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${name},\n\nUse the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n${url}\n\nIf you did not ask for a new password you can ignore this email.`,
+    html: `<p>Hi ${safeName},</p><p>Use the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.</p><p><a href="${url}">${url}</a></p><p>If you did not ask for a new password you can ignore this email.</p>`,
+  };
+};
+
+const emailVerification = ({ name, token }) => {
+  const safeName = escapeHtml(name);
+  const url = `${appUrl()}/verify-email?token=${token}`;
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${name},\n\nThanks for signing up. Please confirm your email address:\n\n${url}`,
+    html: `<p>Hi ${safeName},</p><p>Thanks for signing up. Please confirm your email address:</p><p><a href="${url}">${url}</a></p>`,
+  };
+};
+
+const cartReminder = ({ name, itemCount, expiresOn }) => {
+  const safeName = escapeHtml(name);
+  const url = `${appUrl()}/cart`;
+  const items = itemCount === 1 ? '1 item' : `${itemCount} items`;
+  const expires = expiresOn.toDateString();
+  return {
+    subject: 'You left items in your cart',
+    text: `Hi ${name},\n\nYou still have ${items} in your cart. It is kept until ${expires}.\n\n${url}`,
+    html: `<p>Hi ${safeName},</p><p>You still have ${items} in your cart. It is kept until ${expires}.</p><p><a href="${url}">${url}</a></p>`,
+  };
+};
+
+export default {
+  passwordReset,
+  emailVerification,
+  cartReminder,
+};
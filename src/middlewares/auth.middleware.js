@@ -0,0 +1,115 @@
+/**
+ * The auth middleware guards the routes that act on behalf of a customer
+ *
+ * - verifyToken - verifies the USER-KEY / Authorization bearer token issued by CustomerController.create
+ *   and CustomerController.login and that its session was not revoked, then attaches the customer to
+ *   the request as req.customer, req.customer_id and req.session_id
+ * - requirePermission - allows a request only when the role of the authenticated customer is granted
+ *   the permission, must run after verifyToken
+ */
+import { Customer } from '../database/models';
+import Token from '../helpers/token';
+import Permissions from '../helpers/permissions';
+
+const error = require('../Error/error');
+
+/**
+ * send an authentication error response
+ *
+ * @param {object} res express response object
+ * @param {string} code error code from the AuthenticationError catalogue
+ * @returns {json} json object with the error
+ */
+const unauthorized = (res, code) =>
+  res.status(401).json({
+    error: {
+      status: 401,
+      code,
+      message: error.AuthenticationError[code],
+      field: 'USER-KEY',
+    },
+  });
+
+/**
+ * @class AuthMiddleware
+ */
+class AuthMiddleware {
+  /**
+   * read the access token from the USER-KEY or Authorization header, with or without the Bearer prefix
+   *
+   * @static
+   * @param {object} req express request object
+   * @returns {string|null} the raw access token
+   * @memberof AuthMiddleware
+   */
+  static getToken(req) {
+    const header = req.headers['user-key'] || req.headers.authorization;
+    if (!header) return null;
+    return header.replace(/^Bearer\s+/i, '').trim() || null;
+  }
+
+  /**
+   * verify the access token and attach the authenticated customer to the request
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {object} next next middleware
+   * @returns {json} json object with the error when the token is missing or invalid
+   * @memberof AuthMiddleware
+   */
+  static async verifyToken(req, res, next) {
+    const token = AuthMiddleware.getToken(req);
+    if (!token) return unauthorized(res, 'AUT_01');
+
+    let payload;
+    try {
+      payload = Token.verifyAccessToken(token);
+    } catch (_error) {
+      return unauthorized(res, 'AUT_02');
+    }
+
+    try {
+      if (!payload.sid || !(await Token.isSessionActive(payload.sid, payload.customer_id))) {
+        return unauthorized(res, 'AUT_02');
+      }
+
+      const customer = await Customer.findByPk(payload.customer_id);
+      if (!customer) return unauthorized(res, 'AUT_02');
+
+      req.customer = customer;
+      req.customer_id = customer.customer_id;
+      req.session_id = payload.sid;
+      return next();
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+
+  /**
+   * build a middleware that only lets through customers whose role is granted the permission
+   *
+   * @static
+   * @param {string} permission permission name from helpers/permissions
+   * @returns {function} express middleware
+   * @memberof AuthMiddleware
+   */
+  static requirePermission(permission) {
+    return (req, res, next) => {
+      if (!req.customer) return unauthorized(res, 'AUT_02');
+      if (!Permissions.can(req.customer.role, permission)) {
+        return res.status(403).json({
+          error: {
+            status: 403,
+            code: 'AUT_07',
+            message: error.AuthenticationError.AUT_07,
+            field: 'role',
+          },
+        });
+      }
+      return next();
+    };
+  }
+}
+
+export default AuthMiddleware;
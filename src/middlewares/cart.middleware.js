@@ -0,0 +1,66 @@
+import { ShoppingCart } from '../database/models';
+import Cart from '../helpers/cart';
+
+const error = require('../Error/error');
+
+/**
+ * Every cart request must send the cart token handed out with the cart id in the cart-token
+ * header, so carts can't be read or changed by guessing their ids. LEGACY_UNSIGNED_CARTS=true turns
+ * the check off.
+ *
+ * @class CartMiddleware
+ */
+class CartMiddleware {
+  /**
+   * get the cart id of a request from the cart_id param or body, or from the item_id param
+   *
+   * @static
+   * @param {object} req express request object
+   * @returns {string|null} cart id, null for an unknown item
+   * @memberof CartMiddleware
+   */
+  static async getCartId(req) {
+    if (req.params.cart_id) return req.params.cart_id;
+    if (req.params.item_id) {
+      const item = await ShoppingCart.findByPk(req.params.item_id, { attributes: ['cart_id'] });
+      return item ? item.cart_id : null;
+    }
+    return req.body.cart_id || null;
+  }
+
+  /**
+   * check the cart-token header when cart tokens are required
+   *
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {void}
+   * @memberof CartMiddleware
+   */
+  static async verifyCartToken(req, res, next) {
+    if (!Cart.tokenRequired()) return next();
+
+    try {
+      const cartId = await CartMiddleware.getCartId(req);
+      // unknown items are left to the route, which answers 404
+      if (cartId === null && req.params.item_id) return next();
+
+      if (!cartId || !Cart.verifyToken(cartId, req.headers['cart-token'])) {
+        return res.status(403).json({
+          error: {
+            status: 403,
+            code: 'CRT_06',
+            message: error.CartError.CRT_06,
+            field: 'cart-token',
+          },
+        });
+      }
+      return next();
+    } catch (_error) {
+      return next(_error);
+    }
+  }
+}
+
+export default CartMiddleware;
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import log from 'fancy-log';
+import Idempotency from '../idempotency';
+
+const error = require('../Error/error');
+
+const hash = value =>
+  crypto
+    .createHash('sha256')
+    .update(value)
+    .digest('hex');
+
+/**
+ * send an idempotency error
+ *
+ * @param {object} res express response object
+ * @param {number} status http status
+ * @param {string} code error code
+ * @returns {object} the sent response
+ */
+const fail = (res, status, code) =>
+  res.status(status).json({
+    error: {
+      status,
+      code,
+      message: error.IdempotencyError[code],
+      field: 'Idempotency-Key',
+    },
+  });
+
+/**
+ * Requests sent with an Idempotency-Key header run once per key, customer and route. A retry with
+ * the same body gets the stored response with an Idempotent-Replayed header, the same key with a
+ * different body is refused with 409. Every response is stored, 5xx ones included: a failed request
+ * may already have charged a card, so it must not run again under the same key.
+ *
+ * @class IdempotencyMiddleware
+ */
+class IdempotencyMiddleware {
+  /**
+   * @static
+   * @param {object} req express request object
+   * @param {object} res express response object
+   * @param {function} next next middleware
+   * @returns {void}
+   * @memberof IdempotencyMiddleware
+   */
+  static async idempotent(req, res, next) {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey === undefined) return next();
+    if (!idempotencyKey || idempotencyKey.length > 255) return fail(res, 400, 'IDM_01');
+
+    const store = Idempotency.getStore();
+    const owner = req.customer_id || 'guest';
+    const key = hash(`${owner}:${req.method}:${req.baseUrl}${req.path}:${idempotencyKey}`);
+    const fingerprint = hash(JSON.stringify(req.body || {}));
+
+    try {
+      if (!(await store.reserve(key, fingerprint, Idempotency.ttlMs()))) {
+        const record = await store.get(key);
+        if (!record) return fail(res, 409, 'IDM_03');
+        if (record.fingerprint !== fingerprint) return fail(res, 409, 'IDM_02');
+        if (record.status === undefined || record.status === null) return fail(res, 409, 'IDM_03');
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.status).json(record.body);
+      }
+    } catch (_error) {
+      return next(_error);
+    }
+
+    const json = res.json.bind(res);
+    let responded = false;
+    res.json = body => {
+      responded = true;
+      // a record that can't be completed stays reserved, retries get IDM_03 until it expires
+      store
+        .complete(key, res.statusCode, body)
+        .catch(saveError => log.error(`[idempotency] could not store a response: ${saveError}`));
+      return json(body);
+    };
+    // release the key when the request ends without a JSON response
+    res.on('finish', () => {
+      if (!responded) store.release(key).catch(() => {});
+    });
+    return next();
+  }
+}
+
+export default IdempotencyMiddleware;
@@ -0,0 +1,171 @@
+/**
+ * Payments talks to the Stripe API for charges and refunds and turns Stripe errors into PAY_*
+ * errors. Amounts are sent in minor units of PAYMENT_CURRENCY (usd by default).
+ *
+ * - getClient, setClient - the Stripe client, swapped for a stub in tests
+ * - currency - the currency payments are made in
+ * - toMinorUnits - converts an amount to the smallest unit of a currency
+ * - charge - charges a card for an amount
+ * - refund - refunds part or all of a charge
+ * - mapError - the status, code and message of a failed Stripe request
+ */
+import stripe from 'stripe';
+
+const error = require('../Error/error');
+
+// currencies without minor units, see https://stripe.com/docs/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif',
+  'clp',
+  'djf',
+  'gnf',
+  'jpy',
+  'kmf',
+  'krw',
+  'mga',
+  'pyg',
+  'rwf',
+  'ugx',
+  'vnd',
+  'vuv',
+  'xaf',
+  'xof',
+  'xpf',
+];
+
+let client;
+
+/**
+ * @class Payments
+ */
+class Payments {
+  /**
+   * @static
+   * @returns {object} the Stripe client, created on first use
+   * @memberof Payments
+   */
+  static getClient() {
+    if (!client) client = stripe(process.env.STRIPE_API_KEY);
+    return client;
+  }
+
+  /**
+   * @static
+   * @param {object} newClient Stripe client or a stub with the same methods
+   * @returns {void}
+   * @memberof Payments
+   */
+  static setClient(newClient) {
+    client = newClient;
+  }
+
+  /**
+   * @static
+   * @returns {string} lower case currency code
+   * @memberof Payments
+   */
+  static currency() {
+    return (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+  }
+
+  /**
+   * @static
+   * @param {number|string} amount amount in major units, such as dollars
+   * @param {string} [currency] currency code
+   * @returns {number} the amount in minor units, such as cents
+   * @memberof Payments
+   */
+  static toMinorUnits(amount, currency = Payments.currency()) {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase()) ? 1 : 100;
+    return Math.round(Number(amount) * factor);
+  }
+
+  /**
+   * charge a card token. A request repeated with the same idempotency key is replayed by Stripe,
+   * so the charge is fetched again to get its current state, refunds included.
+   *
+   * @static
+   * @param {object} options charge options
+   * @param {string} options.source card token
+   * @param {string} options.email email the receipt is sent to
+   * @param {number} options.amount charged amount in major units
+   * @param {string} options.description description shown on the charge
+   * @param {object} [options.metadata] values stored with the charge
+   * @param {string} [options.idempotencyKey] key that makes Stripe replay a repeated request
+   * @returns {object} the Stripe charge
+   * @memberof Payments
+   */
+  static async charge({ source, email, amount, description, metadata, idempotencyKey }) {
+    const currency = Payments.currency();
+    const charge = await Payments.getClient().charges.create(
+      {
+        amount: Payments.toMinorUnits(amount, currency),
+        currency,
+        description,
+        source,
+        receipt_email: email,
+        metadata,
+      },
+      idempotencyKey ? { idempotency_key: idempotencyKey } : undefined
+    );
+    const { headers = {} } = charge.lastResponse || {};
+    if (headers['idempotent-replayed'] !== 'true') return charge;
+    return Payments.getClient().charges.retrieve(charge.id);
+  }
+
+  /**
+   * @static
+   * @param {object} options refund options
+   * @param {string} options.charge id of the refunded charge
+   * @param {number} [options.amount] refunded amount in major units, the whole charge by default
+   * @param {object} [options.metadata] values stored with the refund
+   * @param {string} [options.idempotencyKey] key that makes Stripe replay a repeated request
+   * @returns {object} the Stripe refund
+   * @memberof Payments
+   */
+  static refund({ charge, amount, metadata, idempotencyKey }) {
+    return Payments.getClient().refunds.create(
+      {
+        charge,
+        amount: amount === undefined ? undefined : Payments.toMinorUnits(amount),
+        metadata,
+      },
+      idempotencyKey ? { idempotency_key: idempotencyKey } : undefined
+    );
+  }
+
+  /**
+   * @static
+   * @param {Error} stripeError error of a Stripe request
+   * @returns {object|null} status, code, message and field, null for an error not from Stripe
+   * @memberof Payments
+   */
+  static mapError(stripeError) {
+    if (
+      !stripeError ||
+      typeof stripeError.type !== 'string' ||
+      !stripeError.type.startsWith('Stripe')
+    ) {
+      return null;
+    }
+    if (stripeError.type === 'StripeCardError') {
+      return {
+        status: 402,
+        code: 'PAY_05',
+        message: stripeError.message || error.PaymentError.PAY_05,
+        field: 'stripeToken',
+      };
+    }
+    if (stripeError.type === 'StripeInvalidRequestError') {
+      return {
+        status: 400,
+        code: 'PAY_03',
+        message: stripeError.message || error.PaymentError.PAY_03,
+        field: stripeError.param || 'payment',
+      };
+    }
+    return { status: 502, code: 'PAY_04', message: error.PaymentError.PAY_04, field: 'payment' };
+  }
+}
+
+export default Payments;
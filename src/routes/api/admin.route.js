@@ -0,0 +1,105 @@
+import { Router } from 'express';
+import AdminController from '../../controllers/admin.controller';
+import ProductAdminController from '../../controllers/productAdmin.controller';
+import CatalogAdminController from '../../controllers/catalogAdmin.controller';
+import OrderAdminController from '../../controllers/orderAdmin.controller';
+import AuthMiddleware from '../../middlewares/auth.middleware';
+import IdempotencyMiddleware from '../../middlewares/idempotency.middleware';
+
+// Back-office endpoints, mounted under /admin. Every route needs an access token,
+// each one then requires the permission of the staff role it is meant for.
+
+const router = Router();
+const { verifyToken, requirePermission } = AuthMiddleware;
+const { idempotent } = IdempotencyMiddleware;
+
+router.use(verifyToken);
+
+router.get('/customers', requirePermission('customers:manage'), AdminController.getCustomers);
+router.put(
+  '/customers/:customer_id/role',
+  requirePermission('customers:manage'),
+  AdminController.updateCustomerRole
+);
+
+router.get('/carts/old', requirePermission('carts:manage'), AdminController.getOldCarts);
+router.get('/carts/idle', requirePermission('carts:manage'), AdminController.getIdleCarts);
+
+router.put(
+  '/orders/:order_id/status',
+  requirePermission('orders:manage'),
+  OrderAdminController.updateOrderStatus
+);
+router.post(
+  '/orders/:order_id/refunds',
+  requirePermission('orders:manage'),
+  idempotent,
+  OrderAdminController.refundOrder
+);
+
+const catalogWrite = requirePermission('catalog:write');
+
+router.post('/products', catalogWrite, ProductAdminController.createProduct);
+router.put('/products/:product_id', catalogWrite, ProductAdminController.updateProduct);
+router.delete('/products/:product_id', catalogWrite, ProductAdminController.deleteProduct);
+router.put('/products/:product_id/display', catalogWrite, ProductAdminController.setDisplayOption);
+router.put('/products/:product_id/images', catalogWrite, ProductAdminController.setImages);
+router.post(
+  '/products/:product_id/categories',
+  catalogWrite,
+  ProductAdminController.assignCategory
+);
+router.put(
+  '/products/:product_id/categories/:category_id',
+  catalogWrite,
+  ProductAdminController.moveCategory
+);
+router.delete(
+  '/products/:product_id/categories/:category_id',
+  catalogWrite,
+  ProductAdminController.removeCategory
+);
+router.post(
+  '/products/:product_id/attributes',
+  catalogWrite,
+  ProductAdminController.assignAttributeValue
+);
+router.delete(
+  '/products/:product_id/attributes/:attribute_value_id',
+  catalogWrite,
+  ProductAdminController.removeAttributeValue
+);
+
+router.post('/departments', catalogWrite, CatalogAdminController.createDepartment);
+router.put('/departments/:department_id', catalogWrite, CatalogAdminController.updateDepartment);
+router.delete('/departments/:department_id', catalogWrite, CatalogAdminController.deleteDepartment);
+
+router.post('/categories', catalogWrite, CatalogAdminController.createCategory);
+router.put('/categories/:category_id', catalogWrite, CatalogAdminController.updateCategory);
+router.delete('/categories/:category_id', catalogWrite, CatalogAdminController.deleteCategory);
+
+router.post('/attributes', catalogWrite, CatalogAdminController.createAttribute);
+router.put('/attributes/:attribute_id', catalogWrite, CatalogAdminController.updateAttribute);
+router.delete('/attributes/:attribute_id', catalogWrite, CatalogAdminController.deleteAttribute);
+router.post(
+  '/attributes/:attribute_id/values',
+  catalogWrite,
+  CatalogAdminController.createAttributeValue
+);
+router.put(
+  '/attributes/values/:attribute_value_id',
+  catalogWrite,
+  CatalogAdminController.updateAttributeValue
+);
+router.delete(
+  '/attributes/values/:attribute_value_id',
+  catalogWrite,
+  CatalogAdminController.deleteAttributeValue
+);
+
+router.get('/synonyms', catalogWrite, CatalogAdminController.getSynonyms);
+router.post('/synonyms', catalogWrite, CatalogAdminController.createSynonym);
+router.put('/synonyms/:synonym_id', catalogWrite, CatalogAdminController.updateSynonym);
+router.delete('/synonyms/:synonym_id', catalogWrite, CatalogAdminController.deleteSynonym);
+
+export default router;
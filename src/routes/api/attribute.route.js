@@ -7,5 +7,9 @@ router.get('/attributes', AttributeController.getAllAttributes);
 router.get('/attributes/:attribute_id', AttributeController.getSingleAttribute);
 router.get('/attributes/values/:attribute_id', AttributeController.getAttributeValues);
 router.get('/attributes/inProduct/:product_id', AttributeController.getProductAttributes);
+router.get(
+  '/attributes/notAssigned/:product_id',
+  AttributeController.getAttributesNotAssignedToProduct
+);
 
 export default router;
\ No newline at end of file
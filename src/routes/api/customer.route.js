@@ -1,25 +1,35 @@
 import { Router } from 'express';
 import CustomerController from '../../controllers/customer.controller';
+import AuthMiddleware from '../../middlewares/auth.middleware';
 
 // These are valid routes but they may contain a bug, please try to define and fix them
 
 const router = Router();
+const { verifyToken } = AuthMiddleware;
 
 
 router.post('/customers', CustomerController.create);
 
-router.post('/customers', CustomerController.getCustomerProfile);
 router.post('/customers/login', CustomerController.login);
+router.post('/customers/token/refresh', CustomerController.refreshToken);
+router.post('/customers/logout', verifyToken, CustomerController.logout);
+router.post('/customers/logout/all', verifyToken, CustomerController.logoutAll);
+router.post('/customers/password/forgot', CustomerController.forgotPassword);
+router.post('/customers/password/reset', CustomerController.resetPassword);
+router.post('/customers/email/verify', CustomerController.verifyEmail);
+router.post('/customers/email/verify/resend', verifyToken, CustomerController.resendVerification);
 
 /**Endpoint: /customers/facebook
  * Method: CustomerController.facebook
  * is custom written */
 router.post('/customers/facebook', CustomerController.facebook);
+router.post('/customers/social/:provider', CustomerController.socialLogin);
+router.post('/customers/social/:provider/link', verifyToken, CustomerController.linkSocialAccount);
 
-router.get('/customer', CustomerController.getCustomerById);
-router.put('/customer', CustomerController.updateCustomerDetails);
-router.put('/customer/address', CustomerController.updateCustomerAddress);
+router.get('/customer', verifyToken, CustomerController.getCustomerById);
+router.put('/customer', verifyToken, CustomerController.updateCustomerDetails);
+router.put('/customer/address', verifyToken, CustomerController.updateCustomerAddress);
 
-router.put('/customer/creditCard', CustomerController.updateCreditCard);
+router.put('/customer/creditCard', verifyToken, CustomerController.updateCreditCard);
 
 export default router;
@@ -6,6 +6,7 @@ import shoppingCartRoute from './shoppingCart.route';
 import shippingRoute from './shipping.route';
 import taxRoute from './tax.route';
 import attributeRoute from './attribute.route';
+import adminRoute from './admin.route';
 
 const routes = Router();
 
@@ -16,5 +17,6 @@ routes.use('/', shoppingCartRoute);
 routes.use('/', shippingRoute);
 routes.use('/', taxRoute);
 routes.use('/', attributeRoute);
+routes.use('/admin', adminRoute);
 
 export default routes;
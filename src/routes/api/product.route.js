@@ -8,6 +8,8 @@ const router = Router();
 
 router.get('/products/search', ProductController.searchProduct);
 
+router.get('/products/suggest', ProductController.suggestProducts);
+
 router.get('/products', ProductController.getAllProducts);
 
 router.get('/products/:product_id', ProductController.getProduct);
@@ -1,26 +1,59 @@
 import { Router } from 'express';
 import ShoppingCartController from '../../controllers/shoppingCart.controller';
+import AuthMiddleware from '../../middlewares/auth.middleware';
+import CartMiddleware from '../../middlewares/cart.middleware';
+import IdempotencyMiddleware from '../../middlewares/idempotency.middleware';
 
 const router = Router();
-router.get('/shoppingcart/generateUniqueId', ShoppingCartController.generateUniqueCart);
-
-router.post('/shoppingcart/add', ShoppingCartController.addItemToCart);
-
-router.get('/shoppingcart/:cart_id', ShoppingCartController.getCart);
+const { verifyToken } = AuthMiddleware;
+const { verifyCartToken } = CartMiddleware;
+const { idempotent } = IdempotencyMiddleware;
 
-router.put('/shoppingcart/update/:item_id', ShoppingCartController.updateCartItem);
-
-router.delete('/shoppingcart/empty/:cart_id', ShoppingCartController.emptyCart);
-router.delete('/shoppingcart/removeProduct/:item_id', ShoppingCartController.removeItemFromCart);
-
-router.post('/orders', ShoppingCartController.createOrder);
+router.get('/shoppingcart/generateUniqueId', ShoppingCartController.generateUniqueCart);
 
-router.get('/orders/inCustomer', ShoppingCartController.getCustomerOrders);
-router.get('/orders/shortDetail/:order_id', ShoppingCartController.getOrderSummary);
+router.post('/shoppingcart/add', verifyCartToken, ShoppingCartController.addItemToCart);
+
+router.get(
+  '/shoppingcart/totalAmount/:cart_id',
+  verifyCartToken,
+  ShoppingCartController.getTotalAmount
+);
+router.get('/shoppingcart/mine', verifyToken, ShoppingCartController.getMyCart);
+router.get('/shoppingcart/:cart_id', verifyCartToken, ShoppingCartController.getCart);
+
+router.put('/shoppingcart/update/:item_id', verifyCartToken, ShoppingCartController.updateCartItem);
+
+router.get(
+  '/shoppingcart/saveForLater/:item_id',
+  verifyCartToken,
+  ShoppingCartController.saveForLater
+);
+router.get('/shoppingcart/moveToCart/:item_id', verifyCartToken, ShoppingCartController.moveToCart);
+router.get('/shoppingcart/getSaved/:cart_id', verifyCartToken, ShoppingCartController.getSaved);
+
+router.delete('/shoppingcart/empty/:cart_id', verifyCartToken, ShoppingCartController.emptyCart);
+router.delete(
+  '/shoppingcart/removeProduct/:item_id',
+  verifyCartToken,
+  ShoppingCartController.removeItemFromCart
+);
+
+// Checkout checks the cart itself: the customer's own cart needs no cart token
+router.post('/orders', verifyToken, idempotent, ShoppingCartController.createOrder);
+
+router.get('/orders/inCustomer', verifyToken, ShoppingCartController.getCustomerOrders);
+router.get('/orders/shortDetail/:order_id', verifyToken, ShoppingCartController.getOrderSummary);
 //router.get('/orders/:order_id', ShoppingCartController.getOrderSummary);
 
-router.get('/orders/:order_id', ShoppingCartController.getOrder);
+router.get('/orders/:order_id/audit', verifyToken, ShoppingCartController.getOrderAudit);
+router.get('/orders/:order_id', verifyToken, ShoppingCartController.getOrder);
+router.post(
+  '/orders/:order_id/cancel',
+  verifyToken,
+  idempotent,
+  ShoppingCartController.cancelOrder
+);
 
-router.post('/stripe/charge', ShoppingCartController.processStripePayment);
+router.post('/stripe/charge', verifyToken, idempotent, ShoppingCartController.processStripePayment);
 
 export default router;
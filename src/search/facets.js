@@ -0,0 +1,139 @@
+/**
+ * Facet counts of GET /products for filter sidebars
+ *
+ * Every facet counts the products matching all the other filters, so choosing Red still shows how
+ * many products are Blue. Price buckets are bounded by PRICE_FACET_BUCKETS, e.g. "10,15,20".
+ */
+import { sequelize, Sequelize } from '../database/models';
+import Filter from './filter';
+
+const PRICE_BUCKETS = (process.env.PRICE_FACET_BUCKETS || '10,15,20')
+  .split(',')
+  .map(Number)
+  .filter(edge => !Number.isNaN(edge))
+  .sort((a, b) => a - b);
+
+const select = (sql, replacements) =>
+  sequelize.query(sql, { replacements, type: Sequelize.QueryTypes.SELECT });
+
+/**
+ * count products per attribute value
+ *
+ * @param {object[]} conditions filter conditions
+ * @returns {object[]} attributes with their values and counts
+ */
+const attributeFacets = async conditions => {
+  const query = (except, attributeId) => {
+    const filter = Filter.where(conditions, except);
+    return select(
+      `SELECT   a.attribute_id, a.name, av.attribute_value_id, av.value,
+                COUNT(DISTINCT p.product_id) AS count
+       FROM     product_attribute pa
+       INNER JOIN attribute_value av ON av.attribute_value_id = pa.attribute_value_id
+       INNER JOIN attribute a ON a.attribute_id = av.attribute_id
+       INNER JOIN product p ON p.product_id = pa.product_id
+       WHERE    ${filter.sql} ${attributeId === undefined ? '' : 'AND a.attribute_id = :facet'}
+       GROUP BY a.attribute_id, a.name, av.attribute_value_id, av.value
+       ORDER BY a.attribute_id, av.attribute_value_id`,
+      { ...filter.replacements, facet: attributeId }
+    );
+  };
+
+  // a filtered attribute is counted without its own filter
+  const filtered = conditions
+    .filter(condition => condition.dimension.startsWith('attribute_'))
+    .map(condition => Number(condition.dimension.slice('attribute_'.length)));
+  const [unfiltered, ...own] = await Promise.all([
+    query(),
+    ...filtered.map(attributeId => query(`attribute_${attributeId}`, attributeId)),
+  ]);
+  const rows = unfiltered
+    .filter(row => !filtered.includes(row.attribute_id))
+    .concat(...own)
+    .sort((a, b) => a.attribute_id - b.attribute_id || a.attribute_value_id - b.attribute_value_id);
+
+  const attributes = new Map();
+  rows.forEach(row => {
+    if (!attributes.has(row.attribute_id)) {
+      attributes.set(row.attribute_id, {
+        attribute_id: row.attribute_id,
+        name: row.name,
+        values: [],
+      });
+    }
+    attributes.get(row.attribute_id).values.push({
+      attribute_value_id: row.attribute_value_id,
+      value: row.value,
+      count: Number(row.count),
+    });
+  });
+  return [...attributes.values()];
+};
+
+/**
+ * count products per category
+ *
+ * @param {object[]} conditions filter conditions
+ * @returns {object[]} categories with their counts
+ */
+const categoryFacets = async conditions => {
+  const filter = Filter.where(conditions, 'category');
+  const rows = await select(
+    `SELECT   c.category_id, c.name, c.department_id, COUNT(DISTINCT p.product_id) AS count
+     FROM     product_category pc
+     INNER JOIN category c ON c.category_id = pc.category_id
+     INNER JOIN product p ON p.product_id = pc.product_id
+     WHERE    ${filter.sql}
+     GROUP BY c.category_id, c.name, c.department_id
+     ORDER BY c.category_id`,
+    filter.replacements
+  );
+  return rows.map(row => ({ ...row, count: Number(row.count) }));
+};
+
+/**
+ * count products per price bucket
+ *
+ * @param {object[]} conditions filter conditions
+ * @returns {object[]} buckets with min (inclusive), max (exclusive, null for the last) and count
+ */
+const priceFacets = async conditions => {
+  const filter = Filter.where(conditions, 'price');
+  const rows = await select(
+    `SELECT   ${Filter.EFFECTIVE_PRICE} AS price, COUNT(*) AS count
+     FROM     product p
+     WHERE    ${filter.sql}
+     GROUP BY ${Filter.EFFECTIVE_PRICE}`,
+    filter.replacements
+  );
+
+  const edges = [0, ...PRICE_BUCKETS.filter(edge => edge > 0)];
+  const buckets = edges.map((min, i) => ({
+    min,
+    max: i + 1 < edges.length ? edges[i + 1] : null,
+    count: 0,
+  }));
+  rows.forEach(row => {
+    const price = Number(row.price);
+    const bucket = buckets.find(({ min, max }) => price >= min && (max === null || price < max));
+    if (bucket) bucket.count += Number(row.count);
+  });
+  return buckets;
+};
+
+/**
+ * @param {object[]} conditions filter conditions
+ * @returns {object} attributes, categories and price facets
+ */
+const count = async conditions => {
+  const [attributes, categories, price] = await Promise.all([
+    attributeFacets(conditions),
+    categoryFacets(conditions),
+    priceFacets(conditions),
+  ]);
+  return { attributes, categories, price };
+};
+
+export default {
+  count,
+};
@@ -0,0 +1,207 @@
+/**
+ * Product filters of GET /products
+ *
+ * - parse - reads attribute_value_ids, min_price, max_price, on_sale, category_id and department_id
+ * - conditions - builds the SQL conditions of the filters on the product table aliased `p`
+ * - where - joins the conditions, optionally leaving out one dimension for facet counts
+ * - findProducts - returns a page of the products matching the conditions
+ *
+ * Attribute values of the same attribute match any of them (Red or Blue), values of different
+ * attributes must all match (Red and XL). Prices compare the discounted price when it is not zero.
+ */
+import { AttributeValue, sequelize, Sequelize } from '../database/models';
+
+const error = require('../Error/error');
+
+const EFFECTIVE_PRICE = 'CASE WHEN p.discounted_price > 0 THEN p.discounted_price ELSE p.price END';
+const TRUE_VALUES = ['1', 'true', 'on', 'yes'];
+
+/**
+ * @param {string|string[]} value comma separated or repeated query value
+ * @returns {string[]} the listed values
+ */
+const list = value =>
+  []
+    .concat(value)
+    .join(',')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const invalid = field => ({
+  error: { code: 'PRD_09', message: error.ProductError.PRD_09, field },
+});
+
+/**
+ * read the filters of a request
+ *
+ * @param {object} query express request query
+ * @returns {object} filters, or error with code, message and field
+ */
+const parse = query => {
+  const filters = { attributeValueIds: [], onSale: false };
+
+  if (query.attribute_value_ids !== undefined) {
+    const ids = list(query.attribute_value_ids).map(Number);
+    if (ids.some(id => !Number.isInteger(id) || id < 1)) return invalid('attribute_value_ids');
+    filters.attributeValueIds = [...new Set(ids)];
+  }
+
+  const prices = [['minPrice', 'min_price'], ['maxPrice', 'max_price']];
+  for (let i = 0; i < prices.length; i += 1) {
+    const [key, field] = prices[i];
+    if (query[field] !== undefined) {
+      const price = Number(query[field]);
+      if (query[field] === '' || Number.isNaN(price) || price < 0) return invalid(field);
+      filters[key] = price;
+    }
+  }
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined) {
+    if (filters.minPrice > filters.maxPrice) return invalid('min_price');
+  }
+
+  const ids = [['categoryId', 'category_id'], ['departmentId', 'department_id']];
+  for (let i = 0; i < ids.length; i += 1) {
+    const [key, field] = ids[i];
+    if (query[field] !== undefined) {
+      const id = Number(query[field]);
+      if (!Number.isInteger(id) || id < 1) return invalid(field);
+      filters[key] = id;
+    }
+  }
+
+  if (query.on_sale !== undefined) {
+    filters.onSale = TRUE_VALUES.includes(String(query.on_sale).toLowerCase());
+  }
+  return { filters };
+};
+
+/**
+ * group the filtered attribute values by attribute, unknown values form a group matching nothing
+ *
+ * @param {number[]} attributeValueIds filtered attribute value ids
+ * @returns {Map} attribute_id => attribute value ids
+ */
+const groupByAttribute = async attributeValueIds => {
+  const groups = new Map();
+  if (!attributeValueIds.length) return groups;
+
+  const values = await AttributeValue.findAll({
+    attributes: ['attribute_value_id', 'attribute_id'],
+    where: { attribute_value_id: attributeValueIds },
+    raw: true,
+  });
+  const attributeOf = new Map(values.map(value => [value.attribute_value_id, value.attribute_id]));
+  attributeValueIds.forEach(id => {
+    const attributeId = attributeOf.has(id) ? attributeOf.get(id) : 0;
+    if (!groups.has(attributeId)) groups.set(attributeId, []);
+    groups.get(attributeId).push(id);
+  });
+  return groups;
+};
+
+/**
+ * build the SQL conditions of the filters, each tagged with its dimension
+ *
+ * @param {object} filters result of parse
+ * @returns {object[]} dimension, sql and replacements of every condition
+ */
+const conditions = async filters => {
+  const result = [];
+
+  const groups = await groupByAttribute(filters.attributeValueIds);
+  groups.forEach((valueIds, attributeId) => {
+    const key = `attribute_${attributeId}`;
+    result.push({
+      dimension: key,
+      sql: `p.product_id IN (SELECT pa.product_id FROM product_attribute pa
+                             WHERE pa.attribute_value_id IN (:${key}))`,
+      replacements: { [key]: valueIds },
+    });
+  });
+
+  if (filters.minPrice !== undefined) {
+    result.push({
+      dimension: 'price',
+      sql: `${EFFECTIVE_PRICE} >= :min_price`,
+      replacements: { min_price: filters.minPrice },
+    });
+  }
+  if (filters.maxPrice !== undefined) {
+    result.push({
+      dimension: 'price',
+      sql: `${EFFECTIVE_PRICE} <= :max_price`,
+      replacements: { max_price: filters.maxPrice },
+    });
+  }
+  if (filters.onSale) {
+    result.push({ dimension: 'on_sale', sql: 'p.discounted_price > 0', replacements: {} });
+  }
+  if (filters.categoryId !== undefined) {
+    result.push({
+      dimension: 'category',
+      sql: `p.product_id IN (SELECT pc.product_id FROM product_category pc
+                             WHERE pc.category_id = :category_id)`,
+      replacements: { category_id: filters.categoryId },
+    });
+  }
+  if (filters.departmentId !== undefined) {
+    result.push({
+      dimension: 'department',
+      sql: `p.product_id IN (SELECT pc.product_id FROM product_category pc
+                             INNER JOIN category c ON c.category_id = pc.category_id
+                             WHERE c.department_id = :department_id)`,
+      replacements: { department_id: filters.departmentId },
+    });
+  }
+  return result;
+};
+
+/**
+ * join conditions into a WHERE clause body
+ *
+ * @param {object[]} filterConditions result of conditions
+ * @param {string} [except] dimension left out
+ * @returns {object} sql and replacements
+ */
+const where = (filterConditions, except) => {
+  const kept = filterConditions.filter(condition => condition.dimension !== except);
+  return {
+    sql: kept.length ? kept.map(condition => `(${condition.sql})`).join(' AND ') : '1 = 1',
+    replacements: kept.reduce((all, condition) => ({ ...all, ...condition.replacements }), {}),
+  };
+};
+
+/**
+ * @param {object[]} filterConditions result of conditions
+ * @param {object} listing result of Listing.parse
+ * @param {string[]} attributes product columns returned
+ * @returns {object} count and rows
+ */
+const findProducts = async (filterConditions, listing, attributes) => {
+  const filter = where(filterConditions);
+  const replacements = { ...filter.replacements, limit: listing.limit, offset: listing.offset };
+  const [[field, direction]] = listing.order;
+
+  const [{ count }] = await sequelize.query(
+    `SELECT count(*) AS count FROM product p WHERE ${filter.sql}`,
+    { replacements, type: Sequelize.QueryTypes.SELECT }
+  );
+  const rows = await sequelize.query(
+    `SELECT   ${attributes.map(attribute => `p.${attribute}`).join(', ')}
+     FROM     product p
+     WHERE    ${filter.sql}
+     ORDER BY p.${field} ${direction}, p.product_id
+     LIMIT    :limit OFFSET :offset`,
+    { replacements, type: Sequelize.QueryTypes.SELECT }
+  );
+  return { count: Number(count), rows };
+};
+
+export default {
+  EFFECTIVE_PRICE,
+  parse,
+  conditions,
+  where,
+  findProducts,
+};
@@ -0,0 +1,65 @@
+import { sequelize, Sequelize } from '../database/models';
+
+/**
+ * Full-text engine searches products with the FULLTEXT index on product (name, description), like
+ * the catalog_search and catalog_count_search_result procedures. With all_words=on every word is
+ * required in boolean mode, otherwise natural language mode ranks products matching any word.
+ *
+ * @class FullTextEngine
+ */
+class FullTextEngine {
+  /**
+   * @param {object} [db] sequelize instance of the database holding the product table
+   */
+  constructor(db = sequelize) {
+    this.name = 'fulltext';
+    this.db = db;
+  }
+
+  /**
+   * @param {string[]} terms lower case search words
+   * @param {boolean} allWords whether every word is required
+   * @returns {object} the AGAINST expression and its replacement value
+   * @memberof FullTextEngine
+   */
+  static against(terms, allWords) {
+    if (allWords) {
+      return {
+        expression: 'MATCH (name, description) AGAINST (:against IN BOOLEAN MODE)',
+        value: terms.map(term => `+${term}`).join(' '),
+      };
+    }
+    return { expression: 'MATCH (name, description) AGAINST (:against)', value: terms.join(' ') };
+  }
+
+  /**
+   * @param {object} options search options
+   * @param {string[]} options.terms lower case search words
+   * @param {boolean} options.allWords whether every word is required
+   * @param {number} options.limit page size
+   * @param {number} options.offset number of results skipped
+   * @returns {object} count and rows ordered by relevance
+   * @memberof FullTextEngine
+   */
+  async search({ terms, allWords, limit, offset }) {
+    const { expression, value } = FullTextEngine.against(terms, allWords);
+    const replacements = { against: value, limit, offset };
+
+    const [{ count }] = await this.db.query(
+      `SELECT count(*) AS count FROM product WHERE ${expression}`,
+      { replacements, type: Sequelize.QueryTypes.SELECT }
+    );
+    const rows = await this.db.query(
+      `SELECT   product_id, name, description, price, discounted_price, thumbnail,
+                ${expression} AS relevance
+       FROM     product
+       WHERE    ${expression}
+       ORDER BY relevance DESC, product_id
+       LIMIT    :offset, :limit`,
+      { replacements, type: Sequelize.QueryTypes.SELECT }
+    );
+    return { count: Number(count), rows };
+  }
+}
+
+export default FullTextEngine;
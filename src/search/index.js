@@ -0,0 +1,75 @@
+/**
+ * Product search picks the engine for the database dialect: the FULLTEXT engine on MySQL and the
+ * in-memory engine anywhere else. SEARCH_ENGINE=fulltext|memory overrides the choice.
+ *
+ * - search - searches products and adds highlight snippets to the results
+ * - suggest - completes a partial product or category name
+ * - getEngine - returns the engine in use
+ */
+import { sequelize } from '../database/models';
+import FullTextEngine from './fulltext.engine';
+import MemoryEngine from './memory.engine';
+import SuggestIndex from './suggest';
+import Text from './text';
+
+let engine;
+let suggestIndex;
+
+/**
+ * @returns {object} the search engine, created on first use
+ */
+const getEngine = () => {
+  if (!engine) {
+    const name =
+      process.env.SEARCH_ENGINE || (sequelize.getDialect() === 'mysql' ? 'fulltext' : 'memory');
+    engine = name === 'fulltext' ? new FullTextEngine() : new MemoryEngine();
+  }
+  return engine;
+};
+
+/**
+ * search products by name and description
+ *
+ * @param {string} queryString words to search for
+ * @param {object} options search options
+ * @param {boolean} options.allWords whether every word is required
+ * @param {number} options.limit page size
+ * @param {number} options.offset number of results skipped
+ * @returns {object} count and rows, each row with relevance and highlight
+ */
+const search = async (queryString, { allWords, limit, offset }) => {
+  const terms = [...new Set(Text.tokenize(queryString))];
+  if (!terms.length) return { count: 0, rows: [] };
+
+  const { count, rows } = await getEngine().search({ terms, allWords, limit, offset });
+  return {
+    count,
+    rows: rows.map(row => ({
+      ...row,
+      relevance: Number(row.relevance),
+      highlight: {
+        name: Text.highlight(row.name, terms),
+        description: Text.highlight(row.description, terms),
+      },
+    })),
+  };
+};
+
+/**
+ * complete a partial product or category name
+ *
+ * @param {string} queryString typed text
+ * @param {object} options suggest options
+ * @param {number} options.limit maximum number of completions
+ * @returns {object} completions and didYouMean
+ */
+const suggest = (queryString, { limit }) => {
+  if (!suggestIndex) suggestIndex = new SuggestIndex();
+  return suggestIndex.suggest(queryString, limit);
+};
+
+export default {
+  search,
+  suggest,
+  getEngine,
+};
@@ -0,0 +1,138 @@
+import { Product } from '../database/models';
+import Text from './text';
+
+const NAME_WEIGHT = 2;
+
+/**
+ * Memory engine is the pure JS fallback for databases without FULLTEXT indexes, such as SQLite in
+ * tests. It keeps an inverted index of product names and descriptions, ranks products by tf-idf
+ * and is rebuilt lazily after any product change. Concurrent searches share one build, and a
+ * build started before a change is not kept.
+ *
+ * @class MemoryEngine
+ */
+class MemoryEngine {
+  constructor() {
+    this.name = 'memory';
+    this.index = null;
+    this.building = null;
+    this.generation = 0;
+    this.invalidate = this.invalidate.bind(this);
+    [
+      'afterCreate',
+      'afterUpdate',
+      'afterDestroy',
+      'afterBulkCreate',
+      'afterBulkUpdate',
+      'afterBulkDestroy',
+    ].forEach(hook => Product.addHook(hook, 'memorySearchIndex', this.invalidate));
+  }
+
+  /**
+   * drop the index so the next search rebuilds it
+   *
+   * @returns {void}
+   * @memberof MemoryEngine
+   */
+  invalidate() {
+    this.generation += 1;
+    this.index = null;
+    this.building = null;
+  }
+
+  /**
+   * @returns {Promise<object>} the index, built once for every search waiting on it
+   * @memberof MemoryEngine
+   */
+  getIndex() {
+    if (this.index) return Promise.resolve(this.index);
+    if (!this.building) {
+      const { generation } = this;
+      // a product changed since the build started when the generation moved on
+      const isCurrent = () => generation === this.generation;
+      this.building = MemoryEngine.build().then(
+        index => {
+          if (isCurrent()) {
+            this.index = index;
+            this.building = null;
+          }
+          return index;
+        },
+        buildError => {
+          if (isCurrent()) this.building = null;
+          throw buildError;
+        }
+      );
+    }
+    return this.building;
+  }
+
+  /**
+   * build the inverted index, word => Map(product_id => weighted term frequency)
+   *
+   * @static
+   * @returns {object} products by id and postings by word
+   * @memberof MemoryEngine
+   */
+  static async build() {
+    const products = await Product.findAll({
+      attributes: ['product_id', 'name', 'description', 'price', 'discounted_price', 'thumbnail'],
+      raw: true,
+    });
+
+    const postings = new Map();
+    const add = (word, productId, weight) => {
+      if (!postings.has(word)) postings.set(word, new Map());
+      const posting = postings.get(word);
+      posting.set(productId, (posting.get(productId) || 0) + weight);
+    };
+    products.forEach(product => {
+      Text.tokenize(product.name).forEach(word => add(word, product.product_id, NAME_WEIGHT));
+      Text.tokenize(product.description).forEach(word => add(word, product.product_id, 1));
+    });
+
+    return {
+      products: new Map(products.map(product => [product.product_id, product])),
+      postings,
+    };
+  }
+
+  /**
+   * @param {object} options search options
+   * @param {string[]} options.terms lower case search words
+   * @param {boolean} options.allWords whether every word is required
+   * @param {number} options.limit page size
+   * @param {number} options.offset number of results skipped
+   * @returns {object} count and rows ordered by relevance
+   * @memberof MemoryEngine
+   */
+  async search({ terms, allWords, limit, offset }) {
+    const { products, postings } = await this.getIndex();
+
+    const scores = new Map();
+    const matchedTerms = new Map();
+    terms.forEach(term => {
+      const posting = postings.get(term);
+      if (!posting) return;
+      const idf = Math.log(1 + products.size / posting.size);
+      posting.forEach((frequency, productId) => {
+        scores.set(productId, (scores.get(productId) || 0) + frequency * idf);
+        matchedTerms.set(productId, (matchedTerms.get(productId) || 0) + 1);
+      });
+    });
+
+    const uniqueTerms = new Set(terms).size;
+    const ranked = [...scores.entries()]
+      .filter(([productId]) => !allWords || matchedTerms.get(productId) === uniqueTerms)
+      .sort(([idA, scoreA], [idB, scoreB]) => scoreB - scoreA || idA - idB);
+
+    return {
+      count: ranked.length,
+      rows: ranked
+        .slice(offset, offset + limit)
+        .map(([productId, relevance]) => ({ ...products.get(productId), relevance })),
+    };
+  }
+}
+
+export default MemoryEngine;
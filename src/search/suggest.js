@@ -0,0 +1,272 @@
+import { Product, Category, SearchSynonym } from '../database/models';
+import Text from './text';
+
+/**
+ * Levenshtein distance between two words
+ *
+ * @param {string} a first word
+ * @param {string} b second word
+ * @returns {number} number of single character edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * @param {string} word misspelt word
+ * @returns {number} largest edit distance accepted for a correction
+ */
+const maxDistance = word => (word.length <= 4 ? 1 : 2);
+
+/**
+ * Suggest index completes partial product and category names. Every word of a name is kept in a
+ * sorted vocabulary, so the entries of a prefix are found with a binary search. The index is
+ * rebuilt lazily after any product, category or synonym change. Concurrent suggestions share one
+ * build, and a build started before a change is not kept.
+ *
+ * @class SuggestIndex
+ */
+class SuggestIndex {
+  constructor() {
+    this.index = null;
+    this.building = null;
+    this.generation = 0;
+    this.invalidate = this.invalidate.bind(this);
+    [Product, Category, SearchSynonym].forEach(model =>
+      [
+        'afterCreate',
+        'afterUpdate',
+        'afterDestroy',
+        'afterBulkCreate',
+        'afterBulkUpdate',
+        'afterBulkDestroy',
+      ].forEach(hook => model.addHook(hook, 'suggestIndex', this.invalidate))
+    );
+  }
+
+  /**
+   * drop the index so the next suggestion rebuilds it
+   *
+   * @returns {void}
+   * @memberof SuggestIndex
+   */
+  invalidate() {
+    this.generation += 1;
+    this.index = null;
+    this.building = null;
+  }
+
+  /**
+   * @returns {Promise<object>} the index, built once for every suggestion waiting on it
+   * @memberof SuggestIndex
+   */
+  getIndex() {
+    if (this.index) return Promise.resolve(this.index);
+    if (!this.building) {
+      const { generation } = this;
+      // a name changed since the build started when the generation moved on
+      const isCurrent = () => generation === this.generation;
+      this.building = SuggestIndex.build().then(
+        index => {
+          if (isCurrent()) {
+            this.index = index;
+            this.building = null;
+          }
+          return index;
+        },
+        buildError => {
+          if (isCurrent()) this.building = null;
+          throw buildError;
+        }
+      );
+    }
+    return this.building;
+  }
+
+  /**
+   * build the entries, the sorted vocabulary with the entries of every word, and the synonyms
+   *
+   * @static
+   * @returns {object} entries, vocabulary, postings and synonyms
+   * @memberof SuggestIndex
+   */
+  static async build() {
+    const [products, categories, synonymRows] = await Promise.all([
+      Product.findAll({ attributes: ['product_id', 'name'], raw: true }),
+      Category.findAll({ attributes: ['category_id', 'name'], raw: true }),
+      SearchSynonym.findAll(),
+    ]);
+
+    const entries = [
+      ...categories.map(category => ({
+        type: 'category',
+        id: category.category_id,
+        name: category.name,
+      })),
+      ...products.map(product => ({ type: 'product', id: product.product_id, name: product.name })),
+    ];
+
+    const postings = new Map();
+    entries.forEach((entry, position) =>
+      Text.tokenize(entry.name).forEach(word => {
+        if (!postings.has(word)) postings.set(word, new Set());
+        postings.get(word).add(position);
+      })
+    );
+
+    // a term and its synonyms suggest each other
+    const synonyms = new Map();
+    const link = (from, to) => {
+      if (from === to) return;
+      if (!synonyms.has(from)) synonyms.set(from, new Set());
+      synonyms.get(from).add(to);
+    };
+    synonymRows.forEach(row => {
+      const words = [row.term, ...row.getSynonymList()].map(word => word.toLowerCase());
+      words.forEach(from => words.forEach(to => link(from, to)));
+    });
+
+    return { entries, vocabulary: [...postings.keys()].sort(), postings, synonyms };
+  }
+
+  /**
+   * @static
+   * @param {object} index result of build
+   * @param {string} prefix start of a word
+   * @returns {string[]} vocabulary words starting with the prefix
+   * @memberof SuggestIndex
+   */
+  static wordsStartingWith({ vocabulary }, prefix) {
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (vocabulary[middle] < prefix) low = middle + 1;
+      else high = middle;
+    }
+
+    const words = [];
+    for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(prefix); i += 1) {
+      words.push(vocabulary[i]);
+    }
+    return words;
+  }
+
+  /**
+   * positions of the entries with a word starting with the term or, for a whole word, one of its
+   * synonyms
+   *
+   * @static
+   * @param {object} index result of build
+   * @param {string} term searched word or prefix
+   * @returns {Set} entry positions
+   * @memberof SuggestIndex
+   */
+  static entriesMatching(index, term) {
+    const { postings, synonyms } = index;
+    const variants = [term];
+    if (synonyms.has(term)) variants.push(...synonyms.get(term));
+
+    const positions = new Set();
+    variants.forEach((variant, i) => {
+      // synonyms are whole words, only the typed term is a prefix
+      const words = i === 0 ? SuggestIndex.wordsStartingWith(index, variant) : [variant];
+      words.forEach(word =>
+        (postings.get(word) || []).forEach(position => positions.add(position))
+      );
+    });
+    return positions;
+  }
+
+  /**
+   * entries with a word matching every term, names starting with the query first
+   *
+   * @static
+   * @param {object} index result of build
+   * @param {string[]} terms lower case words of the query
+   * @param {number} limit maximum number of completions
+   * @returns {object[]} type, id and name of the completions
+   * @memberof SuggestIndex
+   */
+  static complete(index, terms, limit) {
+    const [first, ...others] = terms.map(term => SuggestIndex.entriesMatching(index, term));
+    const positions = [...first].filter(position => others.every(set => set.has(position)));
+
+    const query = terms.join(' ');
+    const rank = entry =>
+      Text.tokenize(entry.name)
+        .join(' ')
+        .startsWith(query)
+        ? 0
+        : 1;
+    return positions
+      .map(position => index.entries[position])
+      .sort(
+        (a, b) => rank(a) - rank(b) || a.name.length - b.name.length || a.name.localeCompare(b.name)
+      )
+      .slice(0, limit)
+      .map(({ type, id, name }) => ({ type, id, name }));
+  }
+
+  /**
+   * @static
+   * @param {object} index result of build
+   * @param {string} term word without completions
+   * @param {boolean} isPrefix whether the word may still be typed further
+   * @returns {string|null} closest vocabulary word, compared with prefixes of the same length
+   * @memberof SuggestIndex
+   */
+  static correct(index, term, isPrefix) {
+    let best = null;
+    let bestDistance = maxDistance(term) + 1;
+    index.vocabulary.forEach(word => {
+      const candidate = isPrefix ? word.slice(0, term.length) : word;
+      const distance = editDistance(term, candidate);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * suggest completions of a partial query, with a correction when nothing matches
+   *
+   * @param {string} queryString typed text
+   * @param {number} limit maximum number of completions
+   * @returns {object} completions and didYouMean
+   * @memberof SuggestIndex
+   */
+  async suggest(queryString, limit) {
+    const index = await this.getIndex();
+
+    const terms = Text.tokenize(queryString);
+    if (!terms.length) return { completions: [], didYouMean: null };
+
+    const completions = SuggestIndex.complete(index, terms, limit);
+    if (completions.length) return { completions, didYouMean: null };
+
+    const corrected = terms.map((term, i) => {
+      if (SuggestIndex.entriesMatching(index, term).size) return term;
+      return SuggestIndex.correct(index, term, i === terms.length - 1) || term;
+    });
+    if (corrected.every((term, i) => term === terms[i])) return { completions, didYouMean: null };
+
+    return {
+      completions: SuggestIndex.complete(index, corrected, limit),
+      didYouMean: corrected.join(' '),
+    };
+  }
+}
+
+export default SuggestIndex;
@@ -0,0 +1,55 @@
+/**
+ * Text helpers shared by the search engines
+ *
+ * - tokenize - splits a text into lower case words
+ * - highlight - builds a snippet of a text around the first matched word, marking every match
+ */
+const WORD_SEPARATOR = /[^a-z0-9À-ɏ]+/;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * @param {string} text text to split
+ * @returns {string[]} lower case words
+ */
+const tokenize = text =>
+  String(text || '')
+    .toLowerCase()
+    .split(WORD_SEPARATOR)
+    .filter(Boolean);
+
+const escapeHtml = text =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * build a snippet around the first word starting with one of the terms, wrapping matches in <mark>
+ *
+ * @param {string} text text to highlight
+ * @param {string[]} terms lower case search terms
+ * @returns {string|null} html snippet, null when no term matches
+ */
+const highlight = (text, terms) => {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(`(^|[^a-z0-9À-ɏ])(${terms.map(escapeRegExp).join('|')})`, 'i');
+  const match = pattern.exec(text);
+  if (!match) return null;
+
+  const matchStart = match.index + match[1].length;
+  const start = Math.max(0, matchStart - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matchStart + SNIPPET_RADIUS);
+  const snippet = escapeHtml(text.slice(start, end)).replace(
+    new RegExp(pattern.source, 'gi'),
+    (found, before, term) => `${before}<mark>${term}</mark>`
+  );
+  return `${start > 0 ? '...' : ''}${snippet}${end < text.length ? '...' : ''}`;
+};
+
+export default {
+  tokenize,
+  highlight,
+};
@@ -0,0 +1,72 @@
+import httpClient from '../helpers/http';
+
+/**
+ * Facebook provider verifies a Facebook user access token with the Graph API. The token must have
+ * been issued for our app, so the provider is only usable with an app id and secret.
+ *
+ * @class FacebookProvider
+ */
+class FacebookProvider {
+  /**
+   * @param {object} options provider options
+   * @param {string} options.baseUrl Graph API url, a local stub server can be used instead
+   * @param {string} options.appId Facebook app id
+   * @param {string} options.appSecret Facebook app secret
+   */
+  constructor({ baseUrl, appId, appSecret }) {
+    this.name = 'facebook';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.appId = appId;
+    this.appSecret = appSecret;
+  }
+
+  /**
+   * @returns {boolean} whether the app id and secret are set
+   * @memberof FacebookProvider
+   */
+  isConfigured() {
+    return !!this.appId && !!this.appSecret;
+  }
+
+  /**
+   * @param {string} accessToken Facebook user access token
+   * @returns {boolean} whether the token was issued for our app
+   * @memberof FacebookProvider
+   */
+  async isIssuedForApp(accessToken) {
+    if (!this.isConfigured()) return false;
+
+    const appToken = encodeURIComponent(`${this.appId}|${this.appSecret}`);
+    const { status, body } = await httpClient.getJson(
+      `${this.baseUrl}/debug_token?input_token=${encodeURIComponent(
+        accessToken
+      )}&access_token=${appToken}`
+    );
+    return (
+      status === 200 &&
+      !!body &&
+      !!body.data &&
+      body.data.is_valid === true &&
+      String(body.data.app_id) === String(this.appId)
+    );
+  }
+
+  /**
+   * @param {string} accessToken Facebook user access token
+   * @returns {object|null} profile with id, email, name and emailVerified, null when the token is not valid
+   * @memberof FacebookProvider
+   */
+  async getProfile(accessToken) {
+    if (!(await this.isIssuedForApp(accessToken))) return null;
+
+    const { status, body } = await httpClient.getJson(
+      `${this.baseUrl}/me?fields=id,name,email&access_token=${encodeURIComponent(accessToken)}`
+    );
+    if (status !== 200 || !body || !body.id) return null;
+
+    // the Graph API doesn't say whether the email was confirmed, the customer verifies it with us
+    return { id: String(body.id), email: body.email, name: body.name, emailVerified: false };
+  }
+}
+
+export default FacebookProvider;
@@ -0,0 +1,75 @@
+import httpClient from '../helpers/http';
+
+/**
+ * GitHub provider verifies a GitHub OAuth access token by reading the user and their
+ * primary verified email from the REST API. The token must have been issued for our OAuth app,
+ * so the provider is only usable with a client id and secret.
+ *
+ * @class GithubProvider
+ */
+class GithubProvider {
+  /**
+   * @param {object} options provider options
+   * @param {string} options.baseUrl REST API url, a local stub server can be used instead
+   * @param {string} options.clientId GitHub OAuth app client id
+   * @param {string} options.clientSecret GitHub OAuth app client secret
+   */
+  constructor({ baseUrl, clientId, clientSecret }) {
+    this.name = 'github';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+  }
+
+  /**
+   * @returns {boolean} whether the client id and secret are set
+   * @memberof GithubProvider
+   */
+  isConfigured() {
+    return !!this.clientId && !!this.clientSecret;
+  }
+
+  /**
+   * @param {string} accessToken GitHub OAuth access token
+   * @returns {boolean} whether the token was issued for our OAuth app
+   * @memberof GithubProvider
+   */
+  async isIssuedForApp(accessToken) {
+    if (!this.isConfigured()) return false;
+
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    const { status } = await httpClient.postJson(
+      `${this.baseUrl}/applications/${encodeURIComponent(this.clientId)}/token`,
+      { access_token: accessToken },
+      { Authorization: `Basic ${credentials}` }
+    );
+    return status === 200;
+  }
+
+  /**
+   * @param {string} accessToken GitHub OAuth access token
+   * @returns {object|null} profile with id, email, name and emailVerified, null when the token is not valid
+   * @memberof GithubProvider
+   */
+  async getProfile(accessToken) {
+    if (!(await this.isIssuedForApp(accessToken))) return null;
+
+    const headers = { Authorization: `token ${accessToken}` };
+    const user = await httpClient.getJson(`${this.baseUrl}/user`, headers);
+    if (user.status !== 200 || !user.body || !user.body.id) return null;
+
+    const emails = await httpClient.getJson(`${this.baseUrl}/user/emails`, headers);
+    const primary = Array.isArray(emails.body)
+      ? emails.body.find(email => email.primary && email.verified)
+      : undefined;
+
+    return {
+      id: String(user.body.id),
+      email: primary ? primary.email : user.body.email,
+      name: user.body.name || user.body.login,
+      emailVerified: !!primary,
+    };
+  }
+}
+
+export default GithubProvider;
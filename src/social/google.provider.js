@@ -0,0 +1,52 @@
+import httpClient from '../helpers/http';
+
+/**
+ * Google provider verifies a Google ID token with the tokeninfo endpoint. The token audience must
+ * be our client id, so the provider is only usable with a client id.
+ *
+ * @class GoogleProvider
+ */
+class GoogleProvider {
+  /**
+   * @param {object} options provider options
+   * @param {string} options.baseUrl tokeninfo API url, a local stub server can be used instead
+   * @param {string} options.clientId Google OAuth client id
+   */
+  constructor({ baseUrl, clientId }) {
+    this.name = 'google';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.clientId = clientId;
+  }
+
+  /**
+   * @returns {boolean} whether the client id is set
+   * @memberof GoogleProvider
+   */
+  isConfigured() {
+    return !!this.clientId;
+  }
+
+  /**
+   * @param {string} idToken Google ID token
+   * @returns {object|null} profile with id, email, name and emailVerified, null when the token is not valid
+   * @memberof GoogleProvider
+   */
+  async getProfile(idToken) {
+    if (!this.isConfigured()) return null;
+
+    const { status, body } = await httpClient.getJson(
+      `${this.baseUrl}/tokeninfo?id_token=${encodeURIComponent(idToken)}`
+    );
+    if (status !== 200 || !body || !body.sub) return null;
+    if (body.aud !== this.clientId) return null;
+
+    return {
+      id: String(body.sub),
+      email: body.email,
+      name: body.name || body.email,
+      emailVerified: body.email_verified === true || body.email_verified === 'true',
+    };
+  }
+}
+
+export default GoogleProvider;
@@ -0,0 +1,61 @@
+/**
+ * Social login providers, each one turns a provider token into a verified profile
+ * ({ id, email, name, emailVerified }) through its getProfile(token) method. Providers refuse
+ * every token until their app credentials are set, see isConfigured().
+ *
+ * The API urls are configurable so a local stub server can stand in for the providers:
+ * FACEBOOK_GRAPH_URL, GOOGLE_TOKENINFO_URL and GITHUB_API_URL.
+ *
+ * - get - returns the provider registered under a name
+ * - register - registers a provider, replacing the one with the same name
+ */
+import FacebookProvider from './facebook.provider';
+import GoogleProvider from './google.provider';
+import GithubProvider from './github.provider';
+
+const providers = {
+  facebook: new FacebookProvider({
+    baseUrl: process.env.FACEBOOK_GRAPH_URL || 'https://graph.facebook.com',
+    appId: process.env.FACEBOOK_APP_ID,
+    appSecret: process.env.FACEBOOK_APP_SECRET,
+  }),
+  google: new GoogleProvider({
+    baseUrl: process.env.GOOGLE_TOKENINFO_URL || 'https://oauth2.googleapis.com',
+    clientId: process.env.GOOGLE_CLIENT_ID,
+  }),
+  github: new GithubProvider({
+    baseUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+  }),
+};
+
+/**
+ * @class SocialLogin
+ */
+class SocialLogin {
+  /**
+   * @static
+   * @param {string} name provider name
+   * @returns {object|undefined} the provider, undefined when it is unknown or not configured
+   * @memberof SocialLogin
+   */
+  static get(name) {
+    if (!Object.prototype.hasOwnProperty.call(providers, name)) return undefined;
+    const provider = providers[name];
+    return !provider.isConfigured || provider.isConfigured() ? provider : undefined;
+  }
+
+  /**
+   * @static
+   * @param {string} name provider name
+   * @param {object} provider object with a getProfile(token) and an optional isConfigured() method
+   * @returns {void}
+   * @memberof SocialLogin
+   */
+  static register(name, provider) {
+    providers[name] = provider;
+  }
+}
+
+export default SocialLogin;
@@ -0,0 +1,84 @@
+import Token from '../helpers/token';
+import AuthMiddleware from '../middlewares/auth.middleware';
+import { Session, Customer } from '../database/models';
+import { mockResponse, sentBody } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  Session: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  CustomerToken: {},
+}));
+
+const customer = { customer_id: 7, email: 'jane@example.com', role: 'customer' };
+const accessToken = Token.signAccessToken(customer, { session_id: 3 });
+let session;
+
+const authenticate = async headers => {
+  const req = { headers };
+  const res = mockResponse();
+  const next = jest.fn();
+  await AuthMiddleware.verifyToken(req, res, next);
+  return { req, res, next, body: sentBody(res) };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  session = { session_id: 3, customer_id: 7, revoked: false, isActive: () => !session.revoked };
+  Session.findByPk.mockImplementation(async id => (id === 3 ? session : null));
+  Customer.findByPk.mockResolvedValue(customer);
+});
+
+describe('AuthMiddleware.verifyToken', () => {
+  it.each([
+    ['USER-KEY', { 'user-key': `Bearer ${accessToken}` }],
+    ['USER-KEY without Bearer', { 'user-key': accessToken }],
+    ['Authorization', { authorization: `Bearer ${accessToken}` }],
+  ])('attaches the customer of a token sent in %s', async (header, headers) => {
+    const { req, next } = await authenticate(headers);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.customer).toBe(customer);
+    expect(req.customer_id).toBe(7);
+    expect(req.session_id).toBe(3);
+  });
+
+  it('answers 401 AUT_01 without a token', async () => {
+    const { res, next, body } = await authenticate({});
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(body.error).toMatchObject({ code: 'AUT_01', field: 'USER-KEY' });
+  });
+
+  it('answers 401 AUT_02 for a forged token', async () => {
+    const { res, body } = await authenticate({ 'user-key': `${accessToken.slice(0, -2)}xx` });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(body.error.code).toBe('AUT_02');
+    expect(Session.findByPk).not.toHaveBeenCalled();
+  });
+
+  it('answers 401 AUT_02 once the session is revoked', async () => {
+    session.revoked = true;
+
+    const { res, next, body } = await authenticate({ 'user-key': accessToken });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(body.error.code).toBe('AUT_02');
+  });
+
+  it('answers 401 AUT_02 when the session belongs to another customer', async () => {
+    session.customer_id = 8;
+
+    const { body } = await authenticate({ 'user-key': accessToken });
+    expect(body.error.code).toBe('AUT_02');
+  });
+
+  it('answers 401 AUT_02 when the customer no longer exists', async () => {
+    Customer.findByPk.mockResolvedValue(null);
+
+    const { body } = await authenticate({ 'user-key': accessToken });
+    expect(body.error.code).toBe('AUT_02');
+  });
+});
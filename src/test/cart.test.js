@@ -0,0 +1,339 @@
+import request from 'supertest';
+import { Op } from 'sequelize';
+import shoppingCartRoute from '../routes/api/shoppingCart.route';
+import { ShoppingCart, Product, AttributeValue } from '../database/models';
+import Cart from '../helpers/cart';
+import { appWith } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  ShoppingCart: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    findOrCreate: jest.fn(),
+    update: jest.fn(),
+  },
+  Product: { findByPk: jest.fn() },
+  AttributeValue: { findAll: jest.fn() },
+  Attribute: {},
+}));
+
+const app = appWith('/', shoppingCartRoute);
+const cartId = 'a'.repeat(32);
+
+/**
+ * a shopping_cart row with its product
+ *
+ * @param {object} values item_id, product_id, quantity, buy_now and the product prices
+ * @returns {object} the row
+ */
+const line = ({ price, discountedPrice = '0.00', ...values }) => ({
+  cart_id: cartId,
+  attributes: 'LG, White',
+  added_on: '2019-05-01T10:00:00.000Z',
+  modified_on: '2019-05-02T10:00:00.000Z',
+  ...values,
+  Product: {
+    name: `Product ${values.product_id}`,
+    image: `product-${values.product_id}.gif`,
+    thumbnail: `product-${values.product_id}-thumbnail.gif`,
+    price,
+    discounted_price: discountedPrice,
+  },
+});
+
+const get = path =>
+  request(app)
+    .get(path)
+    .set('cart-token', Cart.signToken(cartId));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  ShoppingCart.findAll.mockResolvedValue([
+    line({ item_id: 1, product_id: 1, quantity: 2, buy_now: 1, price: '20.00' }),
+    line({
+      item_id: 2,
+      product_id: 2,
+      quantity: 3,
+      buy_now: 1,
+      price: '16.95',
+      discountedPrice: '15.99',
+    }),
+    line({ item_id: 3, product_id: 3, quantity: 1, buy_now: 0, price: '14.99' }),
+  ]);
+});
+
+describe('Cart.unitPrice', () => {
+  it('is the discounted price unless it is zero', () => {
+    expect(Cart.unitPrice({ price: '16.95', discounted_price: '15.99' })).toBe(15.99);
+    expect(Cart.unitPrice({ price: '16.95', discounted_price: '0.00' })).toBe(16.95);
+  });
+});
+
+describe('GET /shoppingcart/:cart_id', () => {
+  it('answers every line of the cart with its product and subtotal', async () => {
+    const res = await get(`/shoppingcart/${cartId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.cart_id).toBe(cartId);
+    expect(res.body.items).toHaveLength(3);
+    expect(res.body.items[1]).toEqual({
+      item_id: 2,
+      cart_id: cartId,
+      product_id: 2,
+      name: 'Product 2',
+      image: 'product-2.gif',
+      thumbnail: 'product-2-thumbnail.gif',
+      attributes: 'LG, White',
+      price: 16.95,
+      discounted_price: 15.99,
+      unit_price: 15.99,
+      quantity: 3,
+      subtotal: 47.97,
+      buy_now: true,
+      added_on: '2019-05-01T10:00:00.000Z',
+      modified_on: '2019-05-02T10:00:00.000Z',
+    });
+    expect(ShoppingCart.findAll).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { cart_id: cartId }, order: [['item_id', 'ASC']] })
+    );
+  });
+
+  it('splits the totals into buy-now and saved lines', async () => {
+    const res = await get(`/shoppingcart/${cartId}`);
+
+    expect(res.body.totals).toEqual({
+      buy_now: { item_count: 2, quantity: 5, total_amount: 87.97 },
+      saved: { item_count: 1, quantity: 1, total_amount: 14.99 },
+    });
+    expect(res.body.total_amount).toBe(87.97);
+  });
+
+  it('expires the cart a number of days after the latest change of a line', async () => {
+    const res = await get(`/shoppingcart/${cartId}`);
+
+    expect(new Date(res.body.expires_on)).toEqual(
+      new Date(Date.parse('2019-05-02T10:00:00.000Z') + Cart.EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+    );
+  });
+
+  it('answers an empty cart with zero totals', async () => {
+    ShoppingCart.findAll.mockResolvedValue([]);
+
+    const res = await get(`/shoppingcart/${cartId}`);
+    expect(res.body.items).toEqual([]);
+    expect(res.body.totals.buy_now).toEqual({ item_count: 0, quantity: 0, total_amount: 0 });
+  });
+});
+
+describe('GET /shoppingcart/totalAmount/:cart_id', () => {
+  it('answers the total amount of the buy-now lines', async () => {
+    const res = await get(`/shoppingcart/totalAmount/${cartId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ total_amount: 87.97 });
+  });
+});
+
+describe('save for later and move to cart', () => {
+  /**
+   * @param {object} values values of the cart item
+   * @returns {object} cart item found by findByPk, with a jest.fn update
+   */
+  const item = values => ({
+    item_id: 1,
+    cart_id: cartId,
+    ...values,
+    update: jest.fn(async function update(changes) {
+      Object.assign(this, changes);
+    }),
+  });
+
+  it('saves a line for later with a quantity of 1 and answers the cart', async () => {
+    const saved = item({ quantity: 2, buy_now: true });
+    ShoppingCart.findByPk.mockResolvedValue(saved);
+
+    const res = await get('/shoppingcart/saveForLater/1');
+    expect(res.status).toBe(200);
+    expect(saved.update).toHaveBeenCalledWith({ buy_now: false, quantity: 1 });
+    expect(res.body.cart_id).toBe(cartId);
+  });
+
+  it('moves a saved line back to the buy-now items', async () => {
+    const saved = item({ quantity: 1, buy_now: false });
+    ShoppingCart.findByPk.mockResolvedValue(saved);
+
+    const res = await get('/shoppingcart/moveToCart/1');
+    expect(res.status).toBe(200);
+    expect(saved.update).toHaveBeenCalledWith({ buy_now: true, added_on: expect.any(Date) });
+  });
+
+  it.each([['saveForLater'], ['moveToCart']])(
+    'answers 404 CRT_01 to %s an unknown item',
+    async path => {
+      ShoppingCart.findByPk.mockResolvedValue(null);
+
+      const res = await get(`/shoppingcart/${path}/9`);
+      expect(res.status).toBe(404);
+      expect(res.body.error).toMatchObject({ code: 'CRT_01', field: 'item_id' });
+    }
+  );
+
+  it('answers the saved lines of a cart', async () => {
+    const res = await get(`/shoppingcart/getSaved/${cartId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(saved => saved.item_id)).toEqual([3]);
+  });
+});
+
+describe('POST /shoppingcart/add', () => {
+  // Size is attribute 1 and Color attribute 2, like in the dump
+  const attributeValues = [
+    { attribute_id: 1, value: 'LG', attribute_type: { name: 'Size' } },
+    { attribute_id: 1, value: 'S', attribute_type: { name: 'Size' } },
+    { attribute_id: 2, value: 'White', attribute_type: { name: 'Color' } },
+  ];
+  const add = body =>
+    request(app)
+      .post('/shoppingcart/add')
+      .set('cart-token', Cart.signToken(body.cart_id))
+      .send(body);
+
+  beforeEach(() => {
+    Product.findByPk.mockResolvedValue({ product_id: 1 });
+    AttributeValue.findAll.mockResolvedValue(attributeValues);
+  });
+
+  it('adds a new line with the attributes ordered by attribute and answers the cart', async () => {
+    ShoppingCart.findOrCreate.mockResolvedValue([{ item_id: 4 }, true]);
+
+    const res = await add({
+      cart_id: cartId,
+      product_id: 1,
+      attributes: 'color: white, Size: lg',
+      quantity: 2,
+    });
+    expect(res.status).toBe(201);
+    expect(ShoppingCart.findOrCreate).toHaveBeenCalledWith({
+      where: { cart_id: cartId, product_id: 1, attributes: 'LG, White' },
+      defaults: { quantity: 2 },
+    });
+    expect(ShoppingCart.update).not.toHaveBeenCalled();
+    expect(res.body.totals.buy_now.item_count).toBe(2);
+  });
+
+  it('increases the quantity of the same line in one update capped at the maximum', async () => {
+    const item = { item_id: 1, reload: jest.fn() };
+    item.reload.mockResolvedValue(item);
+    ShoppingCart.findOrCreate.mockResolvedValue([item, false]);
+    ShoppingCart.update.mockResolvedValue([1]);
+
+    const res = await add({ cart_id: cartId, product_id: 1, attributes: 'LG, White', quantity: 3 });
+    expect(res.status).toBe(201);
+    const [values, { where }] = ShoppingCart.update.mock.calls[0];
+    expect(values).toMatchObject({ buy_now: true, added_on: expect.any(Date) });
+    expect(values.quantity.val).toBe('quantity + 3');
+    expect(where).toEqual({ item_id: 1, quantity: { [Op.lte]: Cart.MAX_QUANTITY - 3 } });
+  });
+
+  it('answers 400 CRT_03 when the line would go over the maximum', async () => {
+    ShoppingCart.findOrCreate.mockResolvedValue([{ item_id: 1 }, false]);
+    ShoppingCart.update.mockResolvedValue([0]);
+
+    const res = await add({ cart_id: cartId, product_id: 1, attributes: 'LG, White', quantity: 3 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'CRT_03', field: 'quantity' });
+  });
+
+  it('answers 404 PRD_01 for an unknown product', async () => {
+    Product.findByPk.mockResolvedValue(null);
+
+    const res = await add({ cart_id: cartId, product_id: 9 });
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatchObject({ code: 'PRD_01', field: 'product_id' });
+  });
+
+  it.each([['LG, Red'], ['LG, S'], ['Color: LG'], [['LG']]])(
+    'answers 400 CRT_04 for the attributes %j',
+    async attributes => {
+      const res = await add({ cart_id: cartId, product_id: 1, attributes });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatchObject({ code: 'CRT_04', field: 'attributes' });
+      expect(ShoppingCart.findOrCreate).not.toHaveBeenCalled();
+    }
+  );
+
+  it('answers 400 CRT_04 for attributes longer than the unique key of a line', async () => {
+    AttributeValue.findAll.mockResolvedValue(
+      ['a', 'b', 'c'].map((letter, index) => ({
+        attribute_id: index + 1,
+        value: letter.repeat(100),
+        attribute_type: { name: letter },
+      }))
+    );
+
+    const res = await add({
+      cart_id: cartId,
+      product_id: 1,
+      attributes: ['a', 'b', 'c'].map(letter => letter.repeat(100)).join(','),
+    });
+    expect(res.body.error.code).toBe('CRT_04');
+  });
+
+  it.each([[{ cart_id: 'a'.repeat(33) }, 'CRT_05'], [{ cart_id: cartId, quantity: 0 }, 'CRT_03']])(
+    'answers 400 for %j',
+    async (body, code) => {
+      const res = await add({ product_id: 1, ...body });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe(code);
+      expect(Product.findByPk).not.toHaveBeenCalled();
+    }
+  );
+});
+
+describe('cart ids and tokens', () => {
+  afterEach(() => {
+    delete process.env.LEGACY_UNSIGNED_CARTS;
+  });
+
+  it('hands out a random 32 character cart id with its token and expiry', async () => {
+    const res = await request(app).get('/shoppingcart/generateUniqueId');
+    const other = await request(app).get('/shoppingcart/generateUniqueId');
+
+    expect(res.body.cart_id).toMatch(/^[0-9a-f]{32}$/);
+    expect(other.body.cart_id).not.toBe(res.body.cart_id);
+    expect(Cart.verifyToken(res.body.cart_id, res.body.cart_token)).toBe(true);
+    expect(res.body.expires_after_days).toBe(Cart.EXPIRES_DAYS);
+    expect(new Date(res.body.expires_on).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it.each([[undefined], [Cart.signToken('b'.repeat(32))]])(
+    'answers 403 CRT_06 by default for the cart token %s',
+    async token => {
+      const req = request(app).get(`/shoppingcart/${cartId}`);
+      const res = await (token ? req.set('cart-token', token) : req);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toMatchObject({ code: 'CRT_06', field: 'cart-token' });
+      expect(ShoppingCart.findAll).not.toHaveBeenCalled();
+    }
+  );
+
+  it('checks the token against the cart of an item', async () => {
+    ShoppingCart.findByPk.mockResolvedValue({ cart_id: 'b'.repeat(32) });
+
+    const res = await get('/shoppingcart/saveForLater/1');
+    expect(res.status).toBe(403);
+    expect(ShoppingCart.findByPk).toHaveBeenCalledWith('1', { attributes: ['cart_id'] });
+  });
+
+  it('accepts a bare cart id with LEGACY_UNSIGNED_CARTS=true', async () => {
+    process.env.LEGACY_UNSIGNED_CARTS = 'true';
+
+    const res = await request(app).get(`/shoppingcart/${cartId}`);
+    expect(res.status).toBe(200);
+  });
+});
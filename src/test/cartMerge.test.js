@@ -0,0 +1,164 @@
+import log from 'fancy-log';
+import CustomerController from '../controllers/customer.controller';
+import { sequelize, Customer, ShoppingCart, CustomerCart } from '../database/models';
+import Cart from '../helpers/cart';
+import Token from '../helpers/token';
+import { mockResponse, sentBody } from './helpers';
+
+jest.mock('fancy-log');
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { transaction: jest.fn() },
+  Customer: { findOne: jest.fn() },
+  ShoppingCart: { findAll: jest.fn() },
+  CustomerCart: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    findOrCreate: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+const guestCartId = 'g'.repeat(32);
+const customerCartId = 'c'.repeat(32);
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+/**
+ * @param {object} values values of the cart line
+ * @returns {object} shopping cart instance with jest.fn update and destroy
+ */
+const line = values => ({
+  attributes: 'LG, White',
+  buy_now: true,
+  ...values,
+  update: jest.fn(),
+  destroy: jest.fn(),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sequelize.transaction.mockImplementation(callback => callback(transaction));
+  CustomerCart.findByPk.mockResolvedValue({ customer_id: 7, cart_id: customerCartId });
+  CustomerCart.findOne.mockResolvedValue(null);
+});
+
+describe('Cart.attachGuestCart', () => {
+  it('sums the quantities of the same line up to the maximum and moves the other lines', async () => {
+    const guestLines = [
+      line({ item_id: 1, product_id: 1, quantity: 60, buy_now: false }),
+      line({ item_id: 2, product_id: 2, quantity: 1 }),
+    ];
+    const customerLine = line({ item_id: 3, product_id: 1, quantity: 50, buy_now: false });
+    ShoppingCart.findAll.mockImplementation(async ({ where }) =>
+      where.cart_id === guestCartId ? guestLines : [customerLine]
+    );
+
+    expect(await Cart.attachGuestCart(7, guestCartId)).toBe(customerCartId);
+    expect(customerLine.update).toHaveBeenCalledWith(
+      { quantity: Cart.MAX_QUANTITY, buy_now: false, added_on: expect.any(Date) },
+      { transaction }
+    );
+    expect(guestLines[0].destroy).toHaveBeenCalledWith({ transaction });
+    expect(guestLines[1].update).toHaveBeenCalledWith({ cart_id: customerCartId }, { transaction });
+  });
+
+  it('locks the carts and both carts lines in one transaction', async () => {
+    ShoppingCart.findAll.mockResolvedValue([]);
+
+    await Cart.attachGuestCart(7, guestCartId);
+    expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+    expect(CustomerCart.findByPk).toHaveBeenCalledWith(7, { transaction, lock: 'UPDATE' });
+    ShoppingCart.findAll.mock.calls.forEach(([options]) =>
+      expect(options).toMatchObject({ transaction, lock: 'UPDATE' })
+    );
+  });
+
+  it('makes the guest cart the cart of a customer who has none', async () => {
+    CustomerCart.findByPk.mockResolvedValue(null);
+
+    expect(await Cart.attachGuestCart(7, guestCartId)).toBe(guestCartId);
+    expect(CustomerCart.create).toHaveBeenCalledWith(
+      { customer_id: 7, cart_id: guestCartId },
+      { transaction }
+    );
+  });
+
+  it('leaves a cart of another customer alone', async () => {
+    CustomerCart.findOne.mockResolvedValue({ customer_id: 8, cart_id: guestCartId });
+    CustomerCart.findOrCreate.mockResolvedValue([{ customer_id: 7, cart_id: customerCartId }]);
+
+    expect(await Cart.attachGuestCart(7, guestCartId)).toBe(customerCartId);
+    expect(ShoppingCart.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('CustomerController.login with a guest cart', () => {
+  const customer = {
+    customer_id: 7,
+    email: 'jane@example.com',
+    validatePassword: async password => password === 'secret',
+    getSafeDataValues: () => ({ customer_id: 7 }),
+  };
+
+  const login = async body => {
+    const req = { body: { email: customer.email, password: 'secret', ...body }, ip: '::1' };
+    const res = mockResponse();
+    const next = jest.fn();
+    await CustomerController.login(req, res, next);
+    return { res, next, body: sentBody(res) };
+  };
+
+  beforeEach(() => {
+    Customer.findOne.mockResolvedValue(customer);
+    ShoppingCart.findAll.mockResolvedValue([]);
+    jest.spyOn(Token, 'createSession').mockResolvedValue({ accessToken: 'Bearer token' });
+  });
+
+  it('merges the guest cart before the session is created', async () => {
+    const { res, body } = await login({
+      cart_id: guestCartId,
+      cart_token: Cart.signToken(guestCartId),
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(body.cart).toEqual({
+      cart_id: customerCartId,
+      cart_token: Cart.signToken(customerCartId),
+    });
+    expect(sequelize.transaction.mock.invocationCallOrder[0]).toBeLessThan(
+      Token.createSession.mock.invocationCallOrder[0]
+    );
+  });
+
+  it.each([['g'.repeat(33)], [''], [42]])(
+    'answers 400 CRT_05 for the cart_id %j without logging in',
+    async cartId => {
+      const { res, body } = await login({ cart_id: cartId });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(body.error).toMatchObject({ code: 'CRT_05', field: 'cart_id' });
+      expect(Token.createSession).not.toHaveBeenCalled();
+    }
+  );
+
+  it('logs in without the cart when the merge fails', async () => {
+    sequelize.transaction.mockRejectedValue(new Error('Deadlock found'));
+
+    const { res, body, next } = await login({
+      cart_id: guestCartId,
+      cart_token: Cart.signToken(guestCartId),
+    });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(body.accessToken).toBe('Bearer token');
+    expect(body).not.toHaveProperty('cart');
+    expect(log.error).toHaveBeenCalled();
+  });
+
+  it('leaves a guest cart without its cart token alone', async () => {
+    const { body } = await login({ cart_id: guestCartId });
+
+    expect(body).not.toHaveProperty('cart');
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+});
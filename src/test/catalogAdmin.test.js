@@ -0,0 +1,248 @@
+import request from 'supertest';
+import { Op } from 'sequelize';
+import adminRoute from '../routes/api/admin.route';
+import attributeRoute from '../routes/api/attribute.route';
+import * as models from '../database/models';
+import { appWith, accessTokenOf } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  Session: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  Product: { findByPk: jest.fn() },
+  Department: { create: jest.fn(), findByPk: jest.fn() },
+  Category: { create: jest.fn(), findByPk: jest.fn(), count: jest.fn() },
+  Attribute: { create: jest.fn(), findByPk: jest.fn() },
+  AttributeValue: { create: jest.fn(), findByPk: jest.fn(), count: jest.fn(), findAll: jest.fn() },
+  ProductCategory: { count: jest.fn() },
+  ProductAttribute: { count: jest.fn(), findAll: jest.fn() },
+}));
+
+const {
+  Product,
+  Department,
+  Category,
+  Attribute,
+  AttributeValue,
+  ProductCategory,
+  ProductAttribute,
+} = models;
+const app = appWith('/admin', adminRoute);
+
+/**
+ * a record found by findByPk, with jest.fn update and destroy
+ *
+ * @param {object} values values of the record
+ * @returns {object} the record
+ */
+const record = values => ({
+  ...values,
+  update: jest.fn(async function update(changes) {
+    Object.assign(this, changes);
+  }),
+  destroy: jest.fn(),
+});
+
+const send = (method, path, body = {}) =>
+  request(app)
+    [method](`/admin${path}`)
+    .set('USER-KEY', accessTokenOf('catalog_manager', models))
+    .send(body);
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('departments', () => {
+  it('creates a department', async () => {
+    Department.create.mockImplementation(async values => ({ department_id: 4, ...values }));
+
+    const res = await send('post', '/departments', { name: 'Hats', description: 'On heads' });
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ department_id: 4, name: 'Hats', description: 'On heads' });
+  });
+
+  it('answers 400 DEP_04 without a name', async () => {
+    const res = await send('post', '/departments', { description: 'On heads' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'DEP_04', field: 'name' });
+    expect(Department.create).not.toHaveBeenCalled();
+  });
+
+  it('updates a department', async () => {
+    const department = record({ department_id: 1, name: 'Regional' });
+    Department.findByPk.mockResolvedValue(department);
+
+    const res = await send('put', '/departments/1', { name: 'Local' });
+    expect(res.status).toBe(200);
+    expect(department.update).toHaveBeenCalledWith({ name: 'Local', description: undefined });
+  });
+
+  it('answers 404 DEP_02 for an unknown department', async () => {
+    Department.findByPk.mockResolvedValue(null);
+
+    const res = await send('put', '/departments/9', { name: 'Local' });
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatchObject({ code: 'DEP_02', field: 'department_id' });
+  });
+
+  it('refuses with 409 DEP_03 to delete a department with categories', async () => {
+    const department = record({ department_id: 1 });
+    Department.findByPk.mockResolvedValue(department);
+    Category.count.mockResolvedValue(3);
+
+    const res = await send('delete', '/departments/1');
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('DEP_03');
+    expect(Category.count).toHaveBeenCalledWith({ where: { department_id: '1' } });
+    expect(department.destroy).not.toHaveBeenCalled();
+  });
+
+  it('deletes a department without categories', async () => {
+    const department = record({ department_id: 1 });
+    Department.findByPk.mockResolvedValue(department);
+    Category.count.mockResolvedValue(0);
+
+    const res = await send('delete', '/departments/1');
+    expect(res.body).toEqual({ department_id: 1, deleted: true });
+    expect(department.destroy).toHaveBeenCalled();
+  });
+});
+
+describe('categories', () => {
+  it('creates a category in a department', async () => {
+    Department.findByPk.mockResolvedValue(record({ department_id: 1 }));
+    Category.create.mockImplementation(async values => ({ category_id: 8, ...values }));
+
+    const res = await send('post', '/categories', { department_id: 1, name: 'Berets' });
+    expect(res.status).toBe(201);
+    expect(Category.create).toHaveBeenCalledWith({
+      department_id: 1,
+      name: 'Berets',
+      description: undefined,
+    });
+  });
+
+  it('answers 404 DEP_02 for a category of an unknown department', async () => {
+    Department.findByPk.mockResolvedValue(null);
+
+    const res = await send('post', '/categories', { department_id: 9, name: 'Berets' });
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('DEP_02');
+    expect(Category.create).not.toHaveBeenCalled();
+  });
+
+  it('answers 400 CAT_04 without a department', async () => {
+    const res = await send('post', '/categories', { name: 'Berets' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'CAT_04', field: 'department_id' });
+  });
+
+  it('refuses with 409 CAT_03 to delete a category with products', async () => {
+    const category = record({ category_id: 8 });
+    Category.findByPk.mockResolvedValue(category);
+    ProductCategory.count.mockResolvedValue(1);
+
+    const res = await send('delete', '/categories/8');
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('CAT_03');
+    expect(category.destroy).not.toHaveBeenCalled();
+  });
+});
+
+describe('attributes and values', () => {
+  it('creates an attribute', async () => {
+    Attribute.create.mockImplementation(async values => ({ attribute_id: 3, ...values }));
+
+    const res = await send('post', '/attributes', { name: 'Material' });
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ attribute_id: 3, name: 'Material' });
+  });
+
+  it('refuses with 409 ATR_04 to delete an attribute with values', async () => {
+    const attribute = record({ attribute_id: 1 });
+    Attribute.findByPk.mockResolvedValue(attribute);
+    AttributeValue.count.mockResolvedValue(2);
+
+    const res = await send('delete', '/attributes/1');
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('ATR_04');
+    expect(attribute.destroy).not.toHaveBeenCalled();
+  });
+
+  it('adds a value to an attribute', async () => {
+    Attribute.findByPk.mockResolvedValue(record({ attribute_id: 1 }));
+    AttributeValue.create.mockImplementation(async values => ({
+      attribute_value_id: 20,
+      ...values,
+    }));
+
+    const res = await send('post', '/attributes/1/values', { value: 'Wool' });
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ attribute_value_id: 20, attribute_id: '1', value: 'Wool' });
+  });
+
+  it('answers 404 ATR_01 for a value of an unknown attribute', async () => {
+    Attribute.findByPk.mockResolvedValue(null);
+
+    const res = await send('post', '/attributes/9/values', { value: 'Wool' });
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('ATR_01');
+  });
+
+  it('answers 400 ATR_06 for a value longer than 100 characters', async () => {
+    const res = await send('put', '/attributes/values/20', { value: 'x'.repeat(101) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'ATR_06', field: 'value' });
+  });
+
+  it('refuses with 409 ATR_05 to delete a value assigned to products', async () => {
+    const attributeValue = record({ attribute_value_id: 20 });
+    AttributeValue.findByPk.mockResolvedValue(attributeValue);
+    ProductAttribute.count.mockResolvedValue(1);
+
+    const res = await send('delete', '/attributes/values/20');
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('ATR_05');
+    expect(attributeValue.destroy).not.toHaveBeenCalled();
+  });
+
+  it('deletes a value no product has', async () => {
+    const attributeValue = record({ attribute_value_id: 20 });
+    AttributeValue.findByPk.mockResolvedValue(attributeValue);
+    ProductAttribute.count.mockResolvedValue(0);
+
+    const res = await send('delete', '/attributes/values/20');
+    expect(res.body).toEqual({ attribute_value_id: 20, deleted: true });
+  });
+});
+
+describe('GET /attributes/notAssigned/:product_id', () => {
+  const publicApp = appWith('/', attributeRoute);
+
+  it('lists the attribute values the product does not have', async () => {
+    Product.findByPk.mockResolvedValue({ product_id: 5 });
+    ProductAttribute.findAll.mockResolvedValue([{ attribute_value_id: 1 }]);
+    AttributeValue.findAll.mockResolvedValue([
+      { attribute_value_id: 6, value: 'Red', attribute_type: { name: 'Color' } },
+    ]);
+
+    const res = await request(publicApp).get('/attributes/notAssigned/5');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([
+      { attribute_name: 'Color', attribute_value_id: 6, attribute_value: 'Red' },
+    ]);
+    expect(AttributeValue.findAll.mock.calls[0][0].where).toEqual({
+      attribute_value_id: { [Op.notIn]: [1] },
+    });
+  });
+
+  it('answers 404 PRD_01 for an unknown product', async () => {
+    Product.findByPk.mockResolvedValue(null);
+
+    const res = await request(publicApp).get('/attributes/notAssigned/5');
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('PRD_01');
+  });
+});
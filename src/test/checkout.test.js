@@ -0,0 +1,181 @@
+import request from 'supertest';
+import shoppingCartRoute from '../routes/api/shoppingCart.route';
+import Checkout from '../helpers/checkout';
+import Cart from '../helpers/cart';
+import * as models from '../database/models';
+import { appWith, accessTokenOf } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { transaction: jest.fn() },
+  Order: { create: jest.fn() },
+  OrderDetail: { bulkCreate: jest.fn() },
+  ShoppingCart: { findAll: jest.fn(), destroy: jest.fn(), update: jest.fn() },
+  CustomerCart: { findOne: jest.fn() },
+  Shipping: { findByPk: jest.fn() },
+  Tax: { findByPk: jest.fn() },
+  Audit: { create: jest.fn() },
+  Product: {},
+  Session: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+}));
+
+const { sequelize, Order, OrderDetail, ShoppingCart, CustomerCart, Shipping, Tax, Audit } = models;
+const order = { customerId: 5, cartId: 'cart1', shippingId: 2, taxId: 1 };
+let transactions;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  transactions = [];
+  // runs the callback like a managed transaction: committed when it resolves, rolled back when it
+  // throws
+  sequelize.transaction.mockImplementation(async callback => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' }, state: 'open' };
+    transactions.push(transaction);
+    try {
+      const result = await callback(transaction);
+      transaction.state = 'committed';
+      return result;
+    } catch (error) {
+      transaction.state = 'rolled back';
+      throw error;
+    }
+  });
+  CustomerCart.findOne.mockResolvedValue({ customer_id: 5, cart_id: 'cart1' });
+  Shipping.findByPk.mockResolvedValue({ shipping_id: 2, shipping_cost: '10.00' });
+  Tax.findByPk.mockResolvedValue({ tax_id: 1, tax_percentage: '8.50' });
+  ShoppingCart.findAll.mockResolvedValue([
+    {
+      item_id: 11,
+      cart_id: 'cart1',
+      product_id: 1,
+      attributes: 'LG, White',
+      quantity: 2,
+      buy_now: true,
+      Product: { name: 'Beret', price: '20.00', discounted_price: '0.00' },
+    },
+    {
+      item_id: 12,
+      cart_id: 'cart1',
+      product_id: 2,
+      attributes: 'S, Red',
+      quantity: 1,
+      buy_now: false,
+      Product: { name: 'Scarf', price: '15.00', discounted_price: '0.00' },
+    },
+  ]);
+  Order.create.mockResolvedValue({ order_id: 40 });
+  OrderDetail.bulkCreate.mockResolvedValue([]);
+  Audit.create.mockResolvedValue({});
+  ShoppingCart.destroy.mockResolvedValue(1);
+});
+
+describe('Checkout.createOrder', () => {
+  it('writes the order, its lines and the cart change in one transaction', async () => {
+    const result = await Checkout.createOrder(order);
+
+    expect(result.amounts).toEqual({
+      subtotal: 40,
+      tax_amount: 3.4,
+      shipping_cost: 10,
+      total_amount: 53.4,
+    });
+    expect(transactions).toHaveLength(1);
+    const [transaction] = transactions;
+    expect(transaction.state).toBe('committed');
+    expect(ShoppingCart.findAll.mock.calls[0][0]).toMatchObject({ transaction, lock: 'UPDATE' });
+    expect(Order.create.mock.calls[0][1]).toEqual({ transaction });
+    expect(OrderDetail.bulkCreate.mock.calls[0][1]).toEqual({ transaction });
+    expect(Audit.create.mock.calls[0][1]).toEqual({ transaction });
+    // only the buy-now line leaves the cart, the saved line is marked as changed
+    expect(ShoppingCart.destroy).toHaveBeenCalledWith({ where: { item_id: [11] }, transaction });
+    expect(ShoppingCart.update).toHaveBeenCalledWith(
+      { modified_on: expect.any(Date) },
+      { transaction, where: { cart_id: 'cart1' } }
+    );
+  });
+
+  it('rolls back and keeps the cart when writing the order lines fails', async () => {
+    OrderDetail.bulkCreate.mockRejectedValue(new Error('Deadlock found'));
+
+    await expect(Checkout.createOrder(order)).rejects.toThrow('Deadlock found');
+    expect(transactions[0].state).toBe('rolled back');
+    expect(Order.create).toHaveBeenCalled();
+    expect(Audit.create).not.toHaveBeenCalled();
+    expect(ShoppingCart.destroy).not.toHaveBeenCalled();
+  });
+
+  it('rolls back the order when the cart lines can not be removed', async () => {
+    ShoppingCart.destroy.mockRejectedValue(new Error('Lock wait timeout exceeded'));
+
+    await expect(Checkout.createOrder(order)).rejects.toThrow('Lock wait timeout exceeded');
+    expect(transactions[0].state).toBe('rolled back');
+  });
+
+  it('refuses a cart the customer does not own before opening a transaction', async () => {
+    CustomerCart.findOne.mockResolvedValue(null);
+
+    const result = await Checkout.createOrder(order);
+    expect(result.error).toMatchObject({ status: 403, code: 'CRT_06' });
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('Checkout.createOrder checks', () => {
+  it.each([[''], ['c'.repeat(33)], [12]])('answers 400 CRT_05 for the cart_id %j', async cartId => {
+    const result = await Checkout.createOrder({ ...order, cartId });
+
+    expect(result.error).toMatchObject({ status: 400, code: 'CRT_05', field: 'cart_id' });
+    expect(CustomerCart.findOne).not.toHaveBeenCalled();
+  });
+
+  it('orders from a guest cart whose cart token is sent', async () => {
+    CustomerCart.findOne.mockResolvedValue(null);
+
+    const result = await Checkout.createOrder({ ...order, cartToken: Cart.signToken('cart1') });
+    expect(result.order).toEqual({ order_id: 40 });
+    expect(CustomerCart.findOne).not.toHaveBeenCalled();
+  });
+
+  it.each([['shippingId', 'SHP_01', Shipping], ['taxId', 'TAX_01', Tax]])(
+    'answers 404 for an unknown %s',
+    async (option, code, model) => {
+      model.findByPk.mockResolvedValue(null);
+
+      const result = await Checkout.createOrder({ ...order, [option]: 9 });
+      expect(result.error).toMatchObject({ status: 404, code });
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    }
+  );
+
+  it('answers 400 ORD_03 for a cart without buy-now lines and orders nothing', async () => {
+    ShoppingCart.findAll.mockResolvedValue([]);
+
+    const result = await Checkout.createOrder(order);
+    expect(result.error).toMatchObject({ status: 400, code: 'ORD_03', field: 'cart_id' });
+    expect(Order.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /orders', () => {
+  const app = appWith('/', shoppingCartRoute);
+
+  it("orders from the customer's own cart without a cart token", async () => {
+    const res = await request(app)
+      .post('/orders')
+      .set('USER-KEY', accessTokenOf('customer', models))
+      .send({ cart_id: 'cart1', shipping_id: 2, tax_id: 1 });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({
+      order_id: 40,
+      subtotal: 40,
+      tax_amount: 3.4,
+      shipping_cost: 10,
+      total_amount: 53.4,
+    });
+    expect(CustomerCart.findOne).toHaveBeenCalledWith({
+      where: { customer_id: 3, cart_id: 'cart1' },
+    });
+  });
+});
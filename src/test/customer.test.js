@@ -0,0 +1,70 @@
+import CustomerController from '../controllers/customer.controller';
+import { Customer } from '../database/models';
+import { mockResponse, sentBody, bcryptStub, customerModel } from './helpers';
+
+jest.mock('bcrypt', () => require('./helpers').bcryptStub); // eslint-disable-line global-require
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  Customer: { findByPk: jest.fn(), update: jest.fn() },
+}));
+
+const CustomerModel = customerModel();
+let stored;
+
+const call = async (method, body = {}) => {
+  const req = { body, customer_id: 7, customer: stored };
+  const res = mockResponse();
+  const next = jest.fn();
+  await CustomerController[method](req, res, next);
+  return { res, next, body: sentBody(res) };
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  stored = new CustomerModel({
+    customer_id: 7,
+    name: 'Jane',
+    email: 'jane@example.com',
+    password: await bcryptStub.hash('secret'),
+    credit_card: '4242424242424242',
+  });
+  Customer.findByPk.mockImplementation(async () => stored);
+  Customer.update.mockResolvedValue([1]);
+});
+
+describe('customer responses', () => {
+  it.each([
+    ['getCustomerById', 'customer'],
+    ['updateCustomerAddress', 'customerData'],
+    ['updateCreditCard', 'customerData'],
+    ['updateCustomerDetails', 'customerData'],
+  ])('%s leaves out the password hash and masks the credit card', async (method, key) => {
+    const { res, body } = await call(method, { name: 'Jane' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(body[key].customer_id).toBe(7);
+    expect(body[key]).not.toHaveProperty('password');
+    expect(body[key].credit_card).toBe('XXXXXXXX4242');
+    expect(JSON.stringify(body)).not.toContain('hashed:');
+  });
+
+  it('updates the customer of the access token only', async () => {
+    await call('updateCreditCard', { credit_card: '5555555555554444', customer_id: 8 });
+
+    expect(Customer.update).toHaveBeenCalledWith(
+      { credit_card: '5555555555554444' },
+      { where: { customer_id: 7 } }
+    );
+  });
+
+  it.each([['updateCustomerAddress', 'CUS_01'], ['updateCreditCard', 'CUS_02']])(
+    '%s answers 404 %s when nothing was updated',
+    async (method, code) => {
+      Customer.update.mockResolvedValue([0]);
+
+      const { res, body } = await call(method);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(body.error.code).toBe(code);
+    }
+  );
+});
@@ -0,0 +1,208 @@
+import request from 'supertest';
+import productRoute from '../routes/api/product.route';
+import { AttributeValue, sequelize } from '../database/models';
+import ProductFilter from '../search/filter';
+import Facets from '../search/facets';
+import { appWith } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { query: jest.fn() },
+  AttributeValue: { findAll: jest.fn() },
+}));
+
+const app = appWith('/', productRoute);
+// Color has the values 1 (Red) and 2 (Blue), Size has 5 (XL)
+const attributeValues = [
+  { attribute_value_id: 1, attribute_id: 2 },
+  { attribute_value_id: 2, attribute_id: 2 },
+  { attribute_value_id: 5, attribute_id: 1 },
+];
+
+/**
+ * answer the facet and product queries by what they select
+ *
+ * @param {object} answers rows of the attribute, category, price, count and product queries
+ * @returns {void}
+ */
+const answer = answers =>
+  sequelize.query.mockImplementation(async sql => {
+    if (sql.includes('FROM     product_attribute')) {
+      return sql.includes(':facet') ? answers.ownAttribute || [] : answers.attributes || [];
+    }
+    if (sql.includes('FROM     product_category')) return answers.categories || [];
+    if (sql.includes('AS price')) return answers.prices || [];
+    if (sql.includes('count(*)')) return [{ count: answers.count || 0 }];
+    return answers.products || [];
+  });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  AttributeValue.findAll.mockImplementation(async ({ where }) =>
+    attributeValues.filter(value => where.attribute_value_id.includes(value.attribute_value_id))
+  );
+  answer({});
+});
+
+describe('ProductFilter.parse', () => {
+  it('reads every filter of the query', () => {
+    const query = {
+      attribute_value_ids: ['1,2', '5', '1'],
+      min_price: '10',
+      max_price: '15.5',
+      on_sale: 'true',
+      category_id: '3',
+      department_id: '1',
+    };
+
+    expect(ProductFilter.parse(query)).toEqual({
+      filters: {
+        attributeValueIds: [1, 2, 5],
+        minPrice: 10,
+        maxPrice: 15.5,
+        onSale: true,
+        categoryId: 3,
+        departmentId: 1,
+      },
+    });
+  });
+
+  it.each([
+    [{ attribute_value_ids: '1,red' }, 'attribute_value_ids'],
+    [{ min_price: '-1' }, 'min_price'],
+    [{ max_price: '' }, 'max_price'],
+    [{ min_price: '20', max_price: '10' }, 'min_price'],
+    [{ category_id: '1.5' }, 'category_id'],
+  ])('refuses %j with PRD_09', (query, field) => {
+    expect(ProductFilter.parse(query).error).toMatchObject({ code: 'PRD_09', field });
+  });
+});
+
+describe('ProductFilter.conditions', () => {
+  it('matches any value of an attribute and every filtered attribute', async () => {
+    const { filters } = ProductFilter.parse({ attribute_value_ids: '1,2,5', on_sale: 'on' });
+    const conditions = await ProductFilter.conditions(filters);
+
+    expect(conditions.map(({ dimension, replacements }) => [dimension, replacements])).toEqual([
+      ['attribute_2', { attribute_2: [1, 2] }],
+      ['attribute_1', { attribute_1: [5] }],
+      ['on_sale', {}],
+    ]);
+  });
+
+  it('groups unknown attribute values so they match nothing', async () => {
+    const conditions = await ProductFilter.conditions({ attributeValueIds: [99], onSale: false });
+
+    expect(conditions[0].replacements).toEqual({ attribute_0: [99] });
+  });
+
+  it('compares the discounted price when there is one', async () => {
+    const conditions = await ProductFilter.conditions({
+      attributeValueIds: [],
+      minPrice: 10,
+      maxPrice: 15,
+    });
+
+    expect(conditions.map(condition => condition.sql)).toEqual([
+      `${ProductFilter.EFFECTIVE_PRICE} >= :min_price`,
+      `${ProductFilter.EFFECTIVE_PRICE} <= :max_price`,
+    ]);
+  });
+
+  it('leaves a dimension out of the WHERE clause of its facet', async () => {
+    const conditions = await ProductFilter.conditions({
+      attributeValueIds: [],
+      minPrice: 10,
+      categoryId: 3,
+    });
+
+    expect(ProductFilter.where(conditions, 'category')).toEqual({
+      sql: `(${ProductFilter.EFFECTIVE_PRICE} >= :min_price)`,
+      replacements: { min_price: 10 },
+    });
+    expect(ProductFilter.where([]).sql).toBe('1 = 1');
+  });
+});
+
+describe('Facets.count', () => {
+  it('counts a filtered attribute without its own filter', async () => {
+    const conditions = await ProductFilter.conditions({ attributeValueIds: [1] });
+    answer({
+      attributes: [
+        { attribute_id: 1, name: 'Size', attribute_value_id: 5, value: 'XL', count: '2' },
+        { attribute_id: 2, name: 'Color', attribute_value_id: 1, value: 'Red', count: '2' },
+      ],
+      ownAttribute: [
+        { attribute_id: 2, name: 'Color', attribute_value_id: 1, value: 'Red', count: '2' },
+        { attribute_id: 2, name: 'Color', attribute_value_id: 2, value: 'Blue', count: '4' },
+      ],
+    });
+
+    const { attributes } = await Facets.count(conditions);
+    expect(attributes).toEqual([
+      { attribute_id: 1, name: 'Size', values: [{ attribute_value_id: 5, value: 'XL', count: 2 }] },
+      {
+        attribute_id: 2,
+        name: 'Color',
+        values: [
+          { attribute_value_id: 1, value: 'Red', count: 2 },
+          { attribute_value_id: 2, value: 'Blue', count: 4 },
+        ],
+      },
+    ]);
+    const ownQuery = sequelize.query.mock.calls.find(([sql]) => sql.includes(':facet'));
+    expect(ownQuery[0]).toMatch(/WHERE {4}1 = 1 AND a.attribute_id = :facet/);
+  });
+
+  it('counts products per price bucket', async () => {
+    answer({
+      prices: [
+        { price: '9.99', count: '3' },
+        { price: '14.95', count: '2' },
+        { price: '15.00', count: '1' },
+        { price: '21.00', count: '1' },
+      ],
+    });
+
+    const { price } = await Facets.count([]);
+    expect(price).toEqual([
+      { min: 0, max: 10, count: 3 },
+      { min: 10, max: 15, count: 2 },
+      { min: 15, max: 20, count: 1 },
+      { min: 20, max: null, count: 1 },
+    ]);
+  });
+});
+
+describe('GET /products', () => {
+  it('answers the filtered page with its facets', async () => {
+    answer({
+      count: 1,
+      products: [{ product_id: 4, name: 'Beret', description: 'A wool beret' }],
+      categories: [{ category_id: 3, name: 'Hats', department_id: 1, count: '1' }],
+    });
+
+    const res = await request(app).get('/products?attribute_value_ids=5&min_price=10&limit=5');
+    expect(res.status).toBe(200);
+    expect(res.body.rows).toEqual([{ product_id: 4, name: 'Beret', description: 'A wool beret' }]);
+    expect(res.body.paginationMeta.totalRecords).toBe(1);
+    expect(res.body.facets.categories).toEqual([
+      { category_id: 3, name: 'Hats', department_id: 1, count: 1 },
+    ]);
+    const productQuery = sequelize.query.mock.calls.find(([sql]) => sql.includes('LIMIT'));
+    expect(productQuery[1].replacements).toEqual({
+      attribute_1: [5],
+      min_price: 10,
+      limit: 5,
+      offset: 0,
+    });
+  });
+
+  it('answers 400 PRD_09 for an invalid filter', async () => {
+    const res = await request(app).get('/products?max_price=cheap');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'PRD_09', field: 'max_price' });
+    expect(sequelize.query).not.toHaveBeenCalled();
+  });
+});
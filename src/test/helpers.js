@@ -0,0 +1,87 @@
+/**
+ * Shared test helpers. Tests replace the models with jest mocks, so nothing here needs a database.
+ *
+ * - mockResponse - an express response whose status and json calls can be asserted on
+ * - appWith - an express app serving a router the way src/index.js does, for supertest
+ * - accessTokenOf - the access token of an active session of a customer with a role
+ * - bcryptStub - stands in for bcrypt, whose native binding is not built for the tests
+ * - customerModel - the Customer model built on a stub sequelize, with the real instance methods
+ */
+import express from 'express';
+import bodyParser from 'body-parser';
+import expressValidator from 'express-validator';
+import { DataTypes } from 'sequelize';
+
+/**
+ * @returns {object} express response with jest.fn status, json, set and send
+ */
+export const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * @returns {object} the body of the first json response
+ */
+export const sentBody = res => (res.json.mock.calls.length ? res.json.mock.calls[0][0] : undefined);
+
+/**
+ * @param {string} path path the router is mounted on
+ * @param {object} router express router
+ * @returns {object} express app with the json body parser and the validator
+ */
+export const appWith = (path, router) => {
+  const app = express();
+  app.use(bodyParser.json());
+  app.use(expressValidator());
+  app.use(path, router);
+  return app;
+};
+
+/**
+ * sign an access token and let the mocked Session and Customer models find its session and
+ * customer
+ *
+ * @param {string} role role of the customer
+ * @param {object} models the mocked models, with Session.findByPk and Customer.findByPk
+ * @returns {string} the access token
+ */
+export const accessTokenOf = (role, { Session, Customer }) => {
+  const customer = { customer_id: 3, email: `${role}@example.com`, role };
+  Customer.findByPk.mockResolvedValue(customer);
+  Session.findByPk.mockResolvedValue({ customer_id: 3, isActive: () => true });
+  // required here so the test has mocked the models the token helper loads
+  // eslint-disable-next-line global-require
+  const Token = require('../helpers/token').default;
+  return Token.signAccessToken(customer, { session_id: 1 });
+};
+
+export const bcryptStub = {
+  hash: async value => `hashed:${value}`,
+  compare: async (value, hash) => hash === `hashed:${value}`,
+};
+
+/**
+ * the Customer model with its real prototype methods, needs bcrypt mocked with bcryptStub
+ *
+ * @returns {function} the Customer model, whose instances take their values as constructor argument
+ */
+export const customerModel = () => {
+  const define = () => {
+    function Customer(values) {
+      this.dataValues = { ...values };
+      Object.assign(this, values);
+    }
+    Customer.beforeCreate = () => {};
+    Customer.beforeUpdate = () => {};
+    return Customer;
+  };
+  // required here so a test mocks bcrypt before the model module loads
+  // eslint-disable-next-line global-require
+  const defineCustomer = require('../database/models/customer');
+  return defineCustomer({ define }, DataTypes);
+};
@@ -0,0 +1,183 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import request from 'supertest';
+import { UniqueConstraintError, Op } from 'sequelize';
+import Idempotency from '../idempotency';
+import DatabaseStore from '../idempotency/database.store';
+import IdempotencyMiddleware from '../middlewares/idempotency.middleware';
+
+jest.mock('../database/models', () => ({
+  IdempotencyKey: {},
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+}));
+
+/**
+ * In-memory store with the get, reserve, complete and release methods of the database and redis
+ * stores
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  async reserve(key, fingerprint) {
+    if (this.records.has(key)) return false;
+    this.records.set(key, { fingerprint });
+    return true;
+  }
+
+  async complete(key, status, body) {
+    Object.assign(this.records.get(key), { status, body });
+  }
+
+  async release(key) {
+    this.records.delete(key);
+  }
+}
+
+let handler;
+const app = express();
+app.use(bodyParser.json());
+app.post(
+  '/orders/:order_id/pay',
+  (req, res, next) => {
+    req.customer_id = Number(req.get('Customer') || 1);
+    next();
+  },
+  IdempotencyMiddleware.idempotent,
+  (req, res) => handler(req, res)
+);
+
+const pay = (key, body = { amount: 10 }, customer = 1) =>
+  request(app)
+    .post('/orders/1/pay')
+    .set('Idempotency-Key', key)
+    .set('Customer', String(customer))
+    .send(body);
+
+beforeEach(() => {
+  Idempotency.setStore(new MemoryStore());
+  let calls = 0;
+  handler = jest.fn((req, res) => {
+    calls += 1;
+    res.status(201).json({ charge: calls });
+  });
+});
+
+describe('IdempotencyMiddleware.idempotent', () => {
+  it('replays the stored response of a retried request without running it again', async () => {
+    const first = await pay('key-1');
+    const retry = await pay('key-1');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses the same key with a different body with 409 IDM_02', async () => {
+    await pay('key-1');
+    const res = await pay('key-1', { amount: 20 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('IDM_02');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a retry while the first request is in progress with 409 IDM_03', async () => {
+    let finish;
+    let started;
+    const running = new Promise(resolve => {
+      started = resolve;
+    });
+    handler = jest.fn((req, res) => {
+      finish = () => res.status(201).json({ charge: 1 });
+      started();
+    });
+
+    const first = pay('key-1').then(res => res);
+    await running;
+    const retry = await pay('key-1');
+    finish();
+
+    expect(retry.status).toBe(409);
+    expect(retry.body.error.code).toBe('IDM_03');
+    expect((await first).status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('replays a 5xx response instead of running the request again', async () => {
+    handler = jest.fn((req, res) => res.status(502).json({ error: { code: 'PAY_04' } }));
+
+    await pay('key-1');
+    const retry = await pay('key-1');
+    expect(retry.status).toBe(502);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the keys of different customers apart', async () => {
+    await pay('key-1', { amount: 10 }, 1);
+    const other = await pay('key-1', { amount: 10 }, 2);
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses an empty key with 400 IDM_01', async () => {
+    const res = await pay('');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('IDM_01');
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe('DatabaseStore', () => {
+  let model;
+  let store;
+
+  beforeEach(() => {
+    model = { findOne: jest.fn(), create: jest.fn(), update: jest.fn(), destroy: jest.fn() };
+    store = new DatabaseStore(model);
+  });
+
+  it('claims a key once its expired record is deleted', async () => {
+    expect(await store.reserve('hash', 'fingerprint', 1000)).toBe(true);
+    expect(model.destroy).toHaveBeenCalledWith({
+      where: { key_hash: 'hash', expires_on: { [Op.lte]: expect.any(Date) } },
+    });
+    expect(model.create).toHaveBeenCalledWith({
+      key_hash: 'hash',
+      fingerprint: 'fingerprint',
+      expires_on: expect.any(Date),
+    });
+  });
+
+  it('does not claim a key another request holds', async () => {
+    model.create.mockRejectedValue(new UniqueConstraintError({}));
+
+    expect(await store.reserve('hash', 'fingerprint', 1000)).toBe(false);
+  });
+
+  it('reads the stored response of a record that has not expired', async () => {
+    model.findOne.mockResolvedValue({
+      fingerprint: 'fingerprint',
+      status_code: 201,
+      response: '{"charge":1}',
+    });
+
+    expect(await store.get('hash')).toEqual({
+      fingerprint: 'fingerprint',
+      status: 201,
+      body: { charge: 1 },
+    });
+    expect(model.findOne.mock.calls[0][0].where.expires_on).toEqual({ [Op.gt]: expect.any(Date) });
+  });
+});
@@ -0,0 +1,142 @@
+import Sequelize from 'sequelize';
+import { ShoppingCart, CustomerCart } from '../database/models';
+import CartCleanup from '../jobs/cartCleanup';
+import JobRunner from '../jobs/runner';
+import Mailer from '../mailer';
+import defineShoppingCart from '../database/models/shoppingCart';
+
+jest.mock('fancy-log');
+jest.mock('../mailer');
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  ShoppingCart: { findAll: jest.fn(), count: jest.fn(), destroy: jest.fn() },
+  CustomerCart: { findAll: jest.fn(), update: jest.fn(), destroy: jest.fn() },
+  Customer: {},
+}));
+
+const HOUR_MS = 60 * 60 * 1000;
+const customer = { customer_id: 7, name: 'Jane', email: 'jane@example.com' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  ShoppingCart.findAll.mockResolvedValue([
+    { cart_id: 'a', last_change: '2019-05-01T10:00:00.000Z' },
+    { cart_id: 'b', last_change: '2019-05-02T10:00:00.000Z' },
+  ]);
+});
+
+describe('ShoppingCart model', () => {
+  it('sets modified_on on every write of a line', () => {
+    const sequelize = new Sequelize('tshirtshop', 'user', 'password', { dialect: 'mysql' });
+    const ShoppingCartModel = defineShoppingCart(sequelize, Sequelize.DataTypes);
+
+    expect(ShoppingCartModel.rawAttributes).toHaveProperty('modified_on');
+    expect(ShoppingCartModel.options).toMatchObject({ createdAt: false, updatedAt: 'modified_on' });
+  });
+});
+
+describe('CartCleanup', () => {
+  it('finds the carts whose lines were all modified before a date', async () => {
+    const before = new Date('2019-05-03T00:00:00.000Z');
+
+    const carts = await CartCleanup.findIdleCarts(before);
+    expect(carts[0]).toEqual({ cart_id: 'a', last_change: new Date('2019-05-01T10:00:00.000Z') });
+    const { attributes, group, having } = ShoppingCart.findAll.mock.calls[0][0];
+    expect(attributes[1][0].args[0].col).toBe('modified_on');
+    expect(group).toEqual(['cart_id']);
+    expect(having.attribute.args[0].col).toBe('modified_on');
+    expect(having).toMatchObject({ comparator: Sequelize.Op.lte, logic: before });
+  });
+
+  it('purges the lines and customer links of old carts', async () => {
+    expect(await CartCleanup.purgeOldCarts(30)).toBe(2);
+    expect(ShoppingCart.destroy).toHaveBeenCalledWith({ where: { cart_id: ['a', 'b'] } });
+    expect(CustomerCart.destroy).toHaveBeenCalledWith({ where: { cart_id: ['a', 'b'] } });
+  });
+
+  it('reminds the owners of idle carts not reminded since their last change', async () => {
+    CustomerCart.findAll.mockResolvedValue([
+      { customer_id: 7, cart_id: 'a', reminded_on: null, Customer: customer },
+      { customer_id: 8, cart_id: 'b', reminded_on: new Date('2019-05-03'), Customer: customer },
+      { customer_id: 9, cart_id: 'b', reminded_on: null, Customer: null },
+    ]);
+
+    expect(await CartCleanup.findCartsToRemind(24)).toEqual([
+      {
+        customer_id: 7,
+        cart_id: 'a',
+        reminded_on: null,
+        Customer: customer,
+        last_change: new Date('2019-05-01T10:00:00.000Z'),
+      },
+    ]);
+  });
+
+  it('sends a reminder only when this instance claimed it', async () => {
+    CustomerCart.findAll.mockResolvedValue([
+      { customer_id: 7, cart_id: 'a', reminded_on: null, Customer: customer },
+    ]);
+    ShoppingCart.count.mockResolvedValue(3);
+    CustomerCart.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+
+    expect(await CartCleanup.sendReminders(24)).toBe(1);
+    expect(await CartCleanup.sendReminders(24)).toBe(0);
+    expect(Mailer.sendQuietly).toHaveBeenCalledTimes(1);
+    expect(Mailer.sendQuietly).toHaveBeenCalledWith('jane@example.com', 'cartReminder', {
+      name: 'Jane',
+      itemCount: 3,
+      expiresOn: new Date(Date.parse('2019-05-01T10:00:00.000Z') + 30 * 24 * HOUR_MS),
+    });
+  });
+});
+
+describe('JobRunner', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  /**
+   * let an interval fire, then let the run it started finish
+   *
+   * @returns {void}
+   */
+  const tick = async () => {
+    jest.advanceTimersByTime(1000);
+    await Promise.resolve();
+    await Promise.resolve();
+  };
+
+  it('runs every job at its interval until stopped', async () => {
+    const task = jest.fn();
+    const runner = new JobRunner().register('job', 1000, task);
+
+    runner.start();
+    runner.start();
+    await tick();
+    await tick();
+    expect(task).toHaveBeenCalledTimes(2);
+
+    runner.stop();
+    await tick();
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips a run while the previous one is going and survives a failure', async () => {
+    let fail;
+    const task = jest.fn().mockImplementationOnce(
+      () =>
+        new Promise((resolve, reject) => {
+          fail = reject;
+        })
+    );
+    const runner = new JobRunner().register('job', 1000, task);
+
+    const first = runner.run('job');
+    expect(await runner.run('job')).toBeUndefined();
+    expect(task).toHaveBeenCalledTimes(1);
+
+    fail(new Error('Lost connection'));
+    expect(await first).toBeUndefined();
+    await runner.run('job');
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,128 @@
+import request from 'supertest';
+import productRoute from '../routes/api/product.route';
+import { Product, Category } from '../database/models';
+import Listing from '../helpers/listing';
+import { appWith } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  Product: { findAndCountAll: jest.fn() },
+  Category: { findAndCountAll: jest.fn() },
+}));
+
+const app = appWith('/', productRoute);
+const sortable = ['product_id', 'name', 'price'];
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('Listing.parse', () => {
+  it('defaults to the first page of 20 ordered by the first sortable field', () => {
+    expect(Listing.parse({}, { sortable })).toEqual({
+      page: 1,
+      limit: 20,
+      offset: 0,
+      descriptionLength: 200,
+      order: [['product_id', 'ASC']],
+    });
+  });
+
+  it('reads page, limit, description_length and order', () => {
+    const query = { page: '3', limit: '10', description_length: '15', order: 'price,desc' };
+
+    expect(Listing.parse(query, { sortable })).toEqual({
+      page: 3,
+      limit: 10,
+      offset: 20,
+      descriptionLength: 15,
+      order: [['price', 'DESC']],
+    });
+  });
+
+  it('falls back on invalid numbers and caps the limit at 100', () => {
+    const listing = Listing.parse(
+      { page: '-2', limit: '1000', description_length: 'x' },
+      { sortable }
+    );
+
+    expect(listing).toMatchObject({ page: 1, limit: 100, descriptionLength: 200 });
+  });
+
+  it.each([['name'], ['name,up'], ['name;DROP TABLE,ASC']])(
+    'refuses the order %s with PAG_01',
+    order => {
+      expect(Listing.parse({ order }, { sortable }).error).toMatchObject({
+        code: 'PAG_01',
+        field: 'order',
+      });
+    }
+  );
+
+  it('refuses to order by a field that is not sortable with PAG_02', () => {
+    expect(Listing.parse({ order: 'description,ASC' }, { sortable }).error.code).toBe('PAG_02');
+  });
+});
+
+describe('Listing.truncate', () => {
+  it('cuts a longer text and appends ...', () => {
+    expect(Listing.truncate('A wool beret', 6)).toBe('A wool...');
+    expect(Listing.truncate('A beret', 7)).toBe('A beret');
+    expect(Listing.truncate(null, 7)).toBeNull();
+  });
+});
+
+describe('Listing.paginationMeta', () => {
+  it('counts the pages of the records', () => {
+    expect(Listing.paginationMeta({ page: 2, limit: 20 }, 41)).toEqual({
+      currentPage: 2,
+      currentPageSize: 20,
+      totalPages: 3,
+      totalRecords: 41,
+    });
+  });
+});
+
+describe('product and category lists', () => {
+  it('pages the products of a category and truncates their descriptions', async () => {
+    Product.findAndCountAll.mockResolvedValue({
+      count: 12,
+      rows: [{ product_id: 7, name: 'Beret', description: 'A wool beret' }],
+    });
+
+    const res = await request(app).get(
+      '/products/inCategory/2?page=2&limit=5&description_length=6&order=name,DESC'
+    );
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      paginationMeta: { currentPage: 2, currentPageSize: 5, totalPages: 3, totalRecords: 12 },
+      rows: [{ product_id: 7, name: 'Beret', description: 'A wool...' }],
+    });
+    expect(Product.findAndCountAll).toHaveBeenCalledWith(
+      expect.objectContaining({ order: [['name', 'DESC']], limit: 5, offset: 5, distinct: true })
+    );
+  });
+
+  it('answers 400 PAG_02 without querying for an order field that is not sortable', async () => {
+    const res = await request(app).get('/products/inDepartment/1?order=description,ASC');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ status: 400, code: 'PAG_02', field: 'order' });
+    expect(Product.findAndCountAll).not.toHaveBeenCalled();
+  });
+
+  it('pages the categories', async () => {
+    Category.findAndCountAll.mockResolvedValue({ count: 7, rows: [{ category_id: 1 }] });
+
+    const res = await request(app).get('/categories?limit=5&order=name,ASC');
+    expect(res.body.paginationMeta).toEqual({
+      currentPage: 1,
+      currentPageSize: 5,
+      totalPages: 2,
+      totalRecords: 7,
+    });
+    expect(Category.findAndCountAll).toHaveBeenCalledWith({
+      order: [['name', 'ASC']],
+      limit: 5,
+      offset: 0,
+    });
+  });
+});
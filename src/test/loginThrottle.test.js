@@ -0,0 +1,100 @@
+let LoginThrottle;
+let now;
+
+const MINUTE = 60 * 1000;
+// every email, ip address and pair of both failing takes an entry
+const names = count => Array.from({ length: count }, (_, i) => `user${i}@example.com`);
+const failTimes = (times, email, ip) => {
+  for (let i = 0; i < times; i += 1) LoginThrottle.recordFailure(email, ip);
+};
+
+beforeEach(() => {
+  process.env.LOGIN_MAX_EMAIL_ATTEMPTS = '3';
+  process.env.LOGIN_MAX_IP_ATTEMPTS = '5';
+  process.env.LOGIN_LOCKOUT_MINUTES = '15';
+  process.env.LOGIN_THROTTLE_MAX_ENTRIES = '20';
+  now = 1000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.resetModules();
+  // a fresh module for every test, the attempts are module state
+  LoginThrottle = require('../helpers/loginThrottle').default; // eslint-disable-line global-require
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('LoginThrottle', () => {
+  it('locks an email out once it reaches its limit', () => {
+    failTimes(2, 'Jane@example.com', '10.0.0.1');
+    expect(LoginThrottle.isLocked('jane@example.com', '10.0.0.2')).toBe(0);
+
+    LoginThrottle.recordFailure('jane@example.com', '10.0.0.2');
+    expect(LoginThrottle.isLocked('JANE@example.com', '10.0.0.3')).toBe(15 * 60);
+    expect(LoginThrottle.isLocked('john@example.com', '10.0.0.3')).toBe(0);
+  });
+
+  it('locks an ip address out once it reaches its limit', () => {
+    ['a', 'b', 'c', 'd', 'e'].forEach(name => failTimes(1, `${name}@example.com`, '10.0.0.1'));
+
+    expect(LoginThrottle.isLocked('f@example.com', '10.0.0.1')).toBe(15 * 60);
+    expect(LoginThrottle.isLocked('f@example.com', '10.0.0.2')).toBe(0);
+  });
+
+  it('lifts the lockout once it expires', () => {
+    failTimes(3, 'jane@example.com', '10.0.0.1');
+
+    now += 10 * MINUTE;
+    expect(LoginThrottle.isLocked('jane@example.com', '10.0.0.1')).toBe(5 * 60);
+
+    now += 5 * MINUTE;
+    expect(LoginThrottle.isLocked('jane@example.com', '10.0.0.1')).toBe(0);
+    LoginThrottle.recordFailure('jane@example.com', '10.0.0.1');
+    expect(LoginThrottle.isLocked('jane@example.com', '10.0.0.1')).toBe(0);
+  });
+
+  it('forgets failures older than the lockout window', () => {
+    failTimes(2, 'jane@example.com', '10.0.0.1');
+
+    now += 15 * MINUTE;
+    LoginThrottle.recordFailure('jane@example.com', '10.0.0.1');
+    expect(LoginThrottle.isLocked('jane@example.com', '10.0.0.1')).toBe(0);
+  });
+
+  it('clears the email and its attempts on the ip address on reset', () => {
+    failTimes(2, 'jane@example.com', '10.0.0.1');
+    ['a', 'b'].forEach(name => failTimes(1, `${name}@example.com`, '10.0.0.1'));
+
+    LoginThrottle.reset('jane@example.com', '10.0.0.1');
+    failTimes(2, 'jane@example.com', '10.0.0.1');
+    expect(LoginThrottle.isLocked('jane@example.com', '10.0.0.1')).toBe(0);
+
+    LoginThrottle.recordFailure('c@example.com', '10.0.0.1');
+    expect(LoginThrottle.isLocked('d@example.com', '10.0.0.1')).toBe(15 * 60);
+  });
+
+  it('keeps an ip address locked by attempts at other emails after a reset', () => {
+    ['a', 'b', 'c', 'd', 'e'].forEach(name => failTimes(1, `${name}@example.com`, '10.0.0.1'));
+
+    LoginThrottle.reset('jane@example.com', '10.0.0.1');
+    expect(LoginThrottle.isLocked('jane@example.com', '10.0.0.1')).toBe(15 * 60);
+  });
+
+  it('drops the oldest entries beyond the maximum', () => {
+    failTimes(3, 'jane@example.com', '10.0.0.1');
+    names(9).forEach(email => failTimes(1, email, '10.0.0.2'));
+
+    expect(LoginThrottle.isLocked('jane@example.com', '10.0.0.3')).toBe(0);
+  });
+
+  it('sweeps expired entries before dropping live ones', () => {
+    failTimes(1, 'jane@example.com', '10.0.0.1');
+    now += MINUTE;
+    failTimes(1, 'old@example.com', '10.0.0.9');
+    now += 13 * MINUTE;
+    failTimes(2, 'jane@example.com', '10.0.0.1');
+
+    now += 3 * MINUTE;
+    names(8).forEach(email => failTimes(1, email, '10.0.0.2'));
+
+    expect(LoginThrottle.isLocked('jane@example.com', '10.0.0.3')).toBe(12 * 60);
+  });
+});
@@ -0,0 +1,34 @@
+import Mailer from '../mailer';
+import LocalTransport from '../mailer/local.transport';
+
+let transport;
+
+beforeEach(() => {
+  transport = new LocalTransport({ keep: true });
+  Mailer.setTransport(transport);
+});
+
+describe('Mailer', () => {
+  it('escapes the customer name in the html of a message', async () => {
+    await Mailer.send('jane@example.com', 'emailVerification', {
+      name: '<img src=x onerror="alert(1)">',
+      token: 'abc',
+    });
+
+    const [message] = transport.messages;
+    expect(message.to).toBe('jane@example.com');
+    expect(message.html).not.toContain('<img');
+    expect(message.html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+  });
+
+  it('logs a failed delivery instead of failing the request', async () => {
+    Mailer.setTransport({ send: () => Promise.reject(new Error('SendGrid is down')) });
+
+    await expect(
+      Mailer.sendQuietly('jane@example.com', 'passwordReset', { name: 'Jane', token: 'abc' })
+    ).resolves.toBeNull();
+    await expect(
+      Mailer.send('jane@example.com', 'passwordReset', { name: 'Jane', token: 'abc' })
+    ).rejects.toThrow('SendGrid is down');
+  });
+});
@@ -0,0 +1,154 @@
+import request from 'supertest';
+import shoppingCartRoute from '../routes/api/shoppingCart.route';
+import * as models from '../database/models';
+import { appWith, accessTokenOf } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  Session: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  Order: { findByPk: jest.fn() },
+  OrderDetail: {},
+  Shipping: {},
+  Tax: {},
+}));
+
+const { Order } = models;
+const app = appWith('/', shoppingCartRoute);
+const values = {
+  order_id: 12,
+  customer_id: 3,
+  total_amount: '59.72',
+  created_on: '2019-05-01T10:00:00.000Z',
+  shipped_on: null,
+  status: 1,
+  orderItems: [
+    { item_id: 1, product_id: 2, attributes: 'LG, Red', quantity: 2, unit_cost: '14.99' },
+    { item_id: 2, product_id: 9, attributes: 'S, Blue', quantity: 1, unit_cost: '5.00' },
+  ],
+  Shipping: { shipping_type: 'Next Day Delivery ($20)', shipping_cost: '20.00' },
+  Tax: { tax_type: 'Sales Tax at 8.5%', tax_percentage: '8.50' },
+};
+
+/**
+ * an order found by findByPk
+ *
+ * @param {object} changes values that differ from the default order
+ * @returns {object} the order, with its plain values from get
+ */
+const orderOf = (changes = {}) => {
+  const order = { ...values, ...changes };
+  return { ...order, get: () => order };
+};
+
+const get = (path, role = 'customer') =>
+  request(app)
+    .get(path)
+    .set('USER-KEY', accessTokenOf(role, models));
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('GET /orders/:order_id', () => {
+  it('answers the order with its items, shipping, tax and totals', async () => {
+    Order.findByPk.mockResolvedValue(orderOf());
+
+    const res = await get('/orders/12');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      order_id: 12,
+      customer_id: 3,
+      total_amount: 59.72,
+      created_on: '2019-05-01T10:00:00.000Z',
+      shipped_on: null,
+      status: 1,
+      status_name: 'paid',
+      shipping_type: 'Next Day Delivery ($20)',
+      shipping_cost: 20,
+      tax_type: 'Sales Tax at 8.5%',
+      tax_percentage: 8.5,
+      orderItems: [
+        { ...values.orderItems[0], unit_cost: 14.99, subtotal: 29.98 },
+        { ...values.orderItems[1], unit_cost: 5, subtotal: 5 },
+      ],
+      subtotal: 34.98,
+      tax_amount: 2.97,
+      grand_total: 57.95,
+    });
+    expect(Order.findByPk).toHaveBeenCalledWith(
+      '12',
+      expect.objectContaining({
+        include: expect.arrayContaining([expect.objectContaining({ as: 'orderItems' })]),
+      })
+    );
+  });
+
+  it('answers an order without shipping or tax with their amounts at 0', async () => {
+    Order.findByPk.mockResolvedValue(orderOf({ Shipping: null, Tax: null }));
+
+    const res = await get('/orders/12');
+    expect(res.body).toMatchObject({
+      shipping_type: null,
+      shipping_cost: 0,
+      tax_type: null,
+      tax_percentage: null,
+      tax_amount: 0,
+      grand_total: 34.98,
+    });
+  });
+
+  it("answers 403 AUT_07 for another customer's order", async () => {
+    Order.findByPk.mockResolvedValue(orderOf({ customer_id: 4 }));
+
+    const res = await get('/orders/12');
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatchObject({ code: 'AUT_07', field: 'order_id' });
+  });
+
+  it("lets an order manager read another customer's order", async () => {
+    Order.findByPk.mockResolvedValue(orderOf({ customer_id: 4 }));
+
+    const res = await get('/orders/12', 'order_manager');
+    expect(res.status).toBe(200);
+    expect(res.body.customer_id).toBe(4);
+  });
+
+  it('answers 404 ORD_02 for an unknown order', async () => {
+    Order.findByPk.mockResolvedValue(null);
+
+    const res = await get('/orders/99');
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatchObject({ code: 'ORD_02', field: 'order_id' });
+  });
+
+  it('answers 401 without an access token', async () => {
+    const res = await request(app).get('/orders/12');
+
+    expect(res.status).toBe(401);
+    expect(Order.findByPk).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /orders/shortDetail/:order_id', () => {
+  it('answers the summary of the order with the name of its customer', async () => {
+    Order.findByPk.mockResolvedValue(orderOf({ Customer: { name: 'Ada' } }));
+
+    const res = await get('/orders/shortDetail/12');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      order_id: 12,
+      total_amount: 59.72,
+      created_on: '2019-05-01T10:00:00.000Z',
+      shipped_on: null,
+      status: 1,
+      status_name: 'paid',
+      name: 'Ada',
+    });
+  });
+
+  it("answers 403 AUT_07 for the summary of another customer's order", async () => {
+    Order.findByPk.mockResolvedValue(orderOf({ customer_id: 4 }));
+
+    const res = await get('/orders/shortDetail/12');
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,131 @@
+import request from 'supertest';
+import { Op } from 'sequelize';
+import shoppingCartRoute from '../routes/api/shoppingCart.route';
+import * as models from '../database/models';
+import OrderHistory from '../helpers/orderHistory';
+import { appWith, accessTokenOf } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  Session: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  Order: { findAndCountAll: jest.fn() },
+  Shipping: {},
+}));
+
+const { Order } = models;
+const app = appWith('/', shoppingCartRoute);
+const row = {
+  order_id: 12,
+  total_amount: '53.40',
+  created_on: new Date('2019-05-01T10:00:00.000Z'),
+  shipped_on: null,
+  status: 1,
+  item_count: 2,
+  quantity: '3',
+  Shipping: { shipping_type: 'Next Day Delivery ($20)', shipping_cost: '20.00' },
+};
+
+const get = path =>
+  request(app)
+    .get(path)
+    .set('USER-KEY', accessTokenOf('customer', models));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Order.findAndCountAll.mockResolvedValue({ count: 21, rows: [{ get: () => row }] });
+});
+
+describe('OrderHistory.parseFilters', () => {
+  it('reads a list of statuses and a creation date range', () => {
+    expect(
+      OrderHistory.parseFilters({ status: 'paid, 7', from: '2019-05-01', to: '2019-05-31' })
+    ).toEqual({
+      where: {
+        status: [1, 7],
+        created_on: {
+          [Op.gte]: new Date('2019-05-01T00:00:00.000Z'),
+          [Op.lte]: new Date('2019-05-31T23:59:59.999Z'),
+        },
+      },
+    });
+    expect(OrderHistory.parseFilters({})).toEqual({ where: {} });
+  });
+
+  it.each([[{ status: 'paid,lost' }, 'ORD_04', 'status'], [{ to: 'May' }, 'ORD_06', 'to']])(
+    'refuses %j',
+    (query, code, field) => {
+      expect(OrderHistory.parseFilters(query).error).toMatchObject({ code, field });
+    }
+  );
+});
+
+describe('OrderHistory.toCsv', () => {
+  it('writes a header line and quotes the cells that need it', () => {
+    const csv = OrderHistory.toCsv([
+      { order_id: 12, created_on: row.created_on, shipping_type: 'Next Day, by air', quantity: 3 },
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'order_id,created_on,status_name,total_amount,shipping_type,item_count,quantity,shipped_on',
+      '12,2019-05-01T10:00:00.000Z,,,"Next Day, by air",,3,',
+    ]);
+  });
+});
+
+describe('GET /orders/inCustomer', () => {
+  it("answers a page of the caller's orders with their status, shipping and item counts", async () => {
+    const res = await get('/orders/inCustomer?page=2&limit=10&status=paid');
+
+    expect(res.status).toBe(200);
+    expect(res.body.paginationMeta).toEqual({
+      currentPage: 2,
+      currentPageSize: 10,
+      totalPages: 3,
+      totalRecords: 21,
+    });
+    expect(res.body.rows).toEqual([
+      {
+        order_id: 12,
+        total_amount: 53.4,
+        created_on: '2019-05-01T10:00:00.000Z',
+        shipped_on: null,
+        status: 1,
+        status_name: 'paid',
+        item_count: 2,
+        quantity: 3,
+        shipping_type: 'Next Day Delivery ($20)',
+        shipping_cost: 20,
+      },
+    ]);
+    expect(Order.findAndCountAll).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { status: [1], customer_id: 3 },
+        order: [['created_on', 'DESC']],
+        limit: 10,
+        offset: 10,
+      })
+    );
+  });
+
+  it('exports every order of the caller as CSV', async () => {
+    const res = await get('/orders/inCustomer?format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="orders.csv"');
+    expect(res.text.split('\r\n')[1]).toBe(
+      '12,2019-05-01T10:00:00.000Z,paid,53.4,Next Day Delivery ($20),2,3,'
+    );
+    expect(Order.findAndCountAll.mock.calls[0][0]).toMatchObject({ where: { customer_id: 3 } });
+    expect(Order.findAndCountAll.mock.calls[0][0].limit).toBeUndefined();
+  });
+
+  it('answers 400 ORD_06 for an invalid date without querying', async () => {
+    const res = await get('/orders/inCustomer?from=yesterday');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'ORD_06', field: 'from' });
+    expect(Order.findAndCountAll).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,170 @@
+import request from 'supertest';
+import adminRoute from '../routes/api/admin.route';
+import shoppingCartRoute from '../routes/api/shoppingCart.route';
+import * as models from '../database/models';
+import OrderStatus from '../helpers/orderStatus';
+import { appWith, accessTokenOf } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { transaction: jest.fn() },
+  Session: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  Order: { findByPk: jest.fn() },
+  Audit: { create: jest.fn(), findAll: jest.fn() },
+}));
+
+const { sequelize, Order, Audit } = models;
+const { STATUS } = OrderStatus;
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+/**
+ * @param {object} values values of the order
+ * @returns {object} order instance with a jest.fn update
+ */
+const orderOf = values => ({
+  order_id: 12,
+  customer_id: 3,
+  shipped_on: null,
+  ...values,
+  update: jest.fn(async function update(changes) {
+    Object.assign(this, changes);
+  }),
+  get() {
+    return { order_id: this.order_id, status: this.status, shipped_on: this.shipped_on };
+  },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sequelize.transaction.mockImplementation(callback => callback(transaction));
+});
+
+describe('OrderStatus', () => {
+  it('reads a status name or value', () => {
+    expect(OrderStatus.parse('Shipped')).toBe(STATUS.shipped);
+    expect(OrderStatus.parse('1')).toBe(STATUS.paid);
+    expect(OrderStatus.parse(5)).toBeUndefined();
+    expect(OrderStatus.parse('lost')).toBeUndefined();
+    expect(OrderStatus.nameOf(8)).toBe('delivered');
+  });
+
+  it.each([
+    ['placed', 'paid', true],
+    ['placed', 'shipped', false],
+    ['processing', 'shipped', true],
+    ['shipped', 'cancelled', false],
+    ['refunded', 'placed', false],
+  ])('from %s to %s is allowed: %s', (from, to, allowed) => {
+    expect(OrderStatus.canTransition(STATUS[from], STATUS[to])).toBe(allowed);
+  });
+
+  it('sets shipped_on when an order ships and audits the change', async () => {
+    const order = orderOf({ status: STATUS.processing });
+
+    const result = await OrderStatus.transition(order, STATUS.shipped, { transaction });
+    expect(result).toEqual({ order });
+    expect(order.update).toHaveBeenCalledWith(
+      { status: STATUS.shipped, shipped_on: expect.any(Date) },
+      { transaction }
+    );
+    expect(Audit.create).toHaveBeenCalledWith(
+      {
+        order_id: 12,
+        code: OrderStatus.STATUS_AUDIT_CODE + STATUS.shipped,
+        message: 'Order status changed from processing to shipped',
+      },
+      { transaction }
+    );
+  });
+
+  it('answers 409 ORD_05 for a transition that is not allowed and changes nothing', async () => {
+    const order = orderOf({ status: STATUS.shipped });
+
+    const result = await OrderStatus.transition(order, STATUS.cancelled);
+    expect(result.error).toMatchObject({ status: 409, code: 'ORD_05', field: 'status' });
+    expect(result.error.message).toMatch(/shipped -> cancelled$/);
+    expect(order.update).not.toHaveBeenCalled();
+    expect(Audit.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /admin/orders/:order_id/status', () => {
+  const app = appWith('/admin', adminRoute);
+  const put = (body, role = 'order_manager') =>
+    request(app)
+      .put('/admin/orders/12/status')
+      .set('USER-KEY', accessTokenOf(role, models))
+      .send(body);
+
+  it('moves a locked order to the status and answers it with its status name', async () => {
+    const order = orderOf({ status: STATUS.paid });
+    Order.findByPk.mockResolvedValue(order);
+
+    const res = await put({ status: 'processing', comments: 'Packing' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ order_id: 12, status: 2, status_name: 'processing' });
+    expect(Order.findByPk).toHaveBeenCalledWith('12', { transaction, lock: 'UPDATE' });
+    expect(order.update).toHaveBeenCalledWith(
+      { status: STATUS.processing, comments: 'Packing' },
+      { transaction }
+    );
+  });
+
+  it.each([[{ status: 'lost' }, 400, 'ORD_04'], [{ status: 'delivered' }, 409, 'ORD_05']])(
+    'answers %j with %i',
+    async (body, status, code) => {
+      Order.findByPk.mockResolvedValue(orderOf({ status: STATUS.paid }));
+
+      const res = await put(body);
+      expect(res.status).toBe(status);
+      expect(res.body.error.code).toBe(code);
+    }
+  );
+
+  it('answers 404 ORD_02 for an unknown order', async () => {
+    Order.findByPk.mockResolvedValue(null);
+
+    const res = await put({ status: 'paid' });
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatchObject({ code: 'ORD_02', field: 'order_id' });
+  });
+
+  it('is refused to customers', async () => {
+    const res = await put({ status: 'paid' }, 'customer');
+
+    expect(res.status).toBe(403);
+    expect(Order.findByPk).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /orders/:order_id/audit', () => {
+  const app = appWith('/', shoppingCartRoute);
+  const get = role =>
+    request(app)
+      .get('/orders/12/audit')
+      .set('USER-KEY', accessTokenOf(role, models));
+
+  beforeEach(() => {
+    Audit.findAll.mockResolvedValue([{ audit_id: 1, order_id: 12, code: 20000 }]);
+  });
+
+  it('answers the audit trail of an order of the caller, oldest first', async () => {
+    Order.findByPk.mockResolvedValue(orderOf({ status: STATUS.placed }));
+
+    const res = await get('customer');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ audit_id: 1, order_id: 12, code: 20000 }]);
+    expect(Audit.findAll).toHaveBeenCalledWith({
+      where: { order_id: 12 },
+      order: [['created_on', 'ASC'], ['audit_id', 'ASC']],
+    });
+  });
+
+  it("answers 403 AUT_07 for another customer's order, unless the caller manages orders", async () => {
+    Order.findByPk.mockResolvedValue(orderOf({ status: STATUS.placed, customer_id: 8 }));
+
+    expect((await get('customer')).status).toBe(403);
+    expect((await get('order_manager')).status).toBe(200);
+  });
+});
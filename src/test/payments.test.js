@@ -0,0 +1,216 @@
+import stripe from 'stripe';
+import Payments from '../payments';
+import ShoppingCartController from '../controllers/shoppingCart.controller';
+import { sequelize, Order, OrderDetail, Audit } from '../database/models';
+import { mockResponse, sentBody } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { transaction: jest.fn() },
+  Order: { findByPk: jest.fn() },
+  OrderDetail: { findAll: jest.fn() },
+  Audit: { create: jest.fn() },
+}));
+
+let stripeClient;
+
+const orderRow = values => {
+  const order = {
+    order_id: 40,
+    customer_id: 5,
+    total_amount: '53.40',
+    status: 0,
+    reference: null,
+    auth_code: null,
+    ...values,
+    update: jest.fn(async changes => Object.assign(order, changes)),
+  };
+  return order;
+};
+
+const pay = async (stripeToken = 'tok_visa') => {
+  const req = {
+    body: { order_id: 40, stripeToken },
+    params: {},
+    customer: { customer_id: 5, email: 'jane@example.com', role: 'customer' },
+    customer_id: 5,
+  };
+  const res = mockResponse();
+  const next = jest.fn();
+  await ShoppingCartController.processStripePayment(req, res, next);
+  return { res, next, body: sentBody(res) };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  stripeClient = {
+    charges: {
+      create: jest.fn(async params => ({
+        id: 'ch_1',
+        amount: params.amount,
+        currency: params.currency,
+        status: 'succeeded',
+        refunded: false,
+      })),
+      retrieve: jest.fn(),
+    },
+    refunds: { create: jest.fn(async () => ({ id: 're_1' })) },
+  };
+  Payments.setClient(stripeClient);
+  sequelize.transaction.mockImplementation(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+  OrderDetail.findAll.mockResolvedValue([{ item_id: 1, quantity: 2, product_name: 'Beret' }]);
+  Audit.create.mockResolvedValue({});
+});
+
+describe('Payments.charge', () => {
+  it('sends the amount in minor units with the idempotency key', async () => {
+    await Payments.charge({ source: 'tok_visa', amount: 53.4, idempotencyKey: 'charge-40-abc' });
+
+    expect(stripeClient.charges.create).toHaveBeenCalledWith(
+      expect.objectContaining({ source: 'tok_visa', amount: 5340, currency: 'usd' }),
+      { idempotency_key: 'charge-40-abc' }
+    );
+    expect(stripeClient.charges.retrieve).not.toHaveBeenCalled();
+  });
+
+  it('fetches a replayed charge again to get its refunds', async () => {
+    const replayed = { id: 'ch_1', lastResponse: { headers: { 'idempotent-replayed': 'true' } } };
+    stripeClient.charges.create.mockResolvedValue(replayed);
+    stripeClient.charges.retrieve.mockResolvedValue({ id: 'ch_1', refunded: true });
+
+    const charge = await Payments.charge({ source: 'tok_visa', amount: 10, idempotencyKey: 'k' });
+    expect(stripeClient.charges.retrieve).toHaveBeenCalledWith('ch_1');
+    expect(charge.refunded).toBe(true);
+  });
+});
+
+describe('ShoppingCartController.processStripePayment', () => {
+  it('answers 400 PAY_07 without a card token', async () => {
+    const { res, body } = await pay('');
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(body.error).toMatchObject({ code: 'PAY_07', field: 'stripeToken' });
+    expect(Order.findByPk).not.toHaveBeenCalled();
+  });
+
+  it('sends one idempotency key per order and token and stores the payment', async () => {
+    Order.findByPk.mockImplementation(async () => orderRow());
+
+    const { res, body } = await pay();
+    await pay();
+
+    expect(Order.findByPk.mock.calls[0][0]).toBe(40);
+
+    const [first, second] = stripeClient.charges.create.mock.calls;
+    expect(first[1].idempotency_key).toMatch(/^charge-40-[0-9a-f]{24}$/);
+    expect(second[1]).toEqual(first[1]);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(body).toEqual({
+      order_id: 40,
+      status: 1,
+      status_name: 'paid',
+      auth_code: 'ch_1',
+      reference: 'ch_1',
+      amount: 53.4,
+      currency: 'usd',
+      message: 'succeeded',
+    });
+    expect(stripeClient.refunds.create).not.toHaveBeenCalled();
+  });
+
+  it('answers a declined card with 402 PAY_05 without touching the order', async () => {
+    Order.findByPk.mockImplementation(async () => orderRow());
+    stripeClient.charges.create.mockRejectedValue(
+      new stripe.errors.StripeCardError({ message: 'Your card was declined.' })
+    );
+
+    const { res, body } = await pay();
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(body.error).toMatchObject({ code: 'PAY_05', field: 'stripeToken' });
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+
+  it('answers 502 PAY_04 when Stripe can not be reached', async () => {
+    Order.findByPk.mockImplementation(async () => orderRow());
+    stripeClient.charges.create.mockRejectedValue(
+      new stripe.errors.StripeConnectionError({ message: 'socket hang up' })
+    );
+
+    const { res, body } = await pay();
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(body.error.code).toBe('PAY_04');
+  });
+
+  it('refunds the charge when another payment was stored first', async () => {
+    Order.findByPk
+      .mockResolvedValueOnce(orderRow())
+      .mockResolvedValueOnce(orderRow({ status: 1, reference: 'ch_other' }));
+
+    const { res, body } = await pay();
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(body.error.code).toBe('PAY_06');
+    expect(stripeClient.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ charge: 'ch_1' }),
+      { idempotency_key: 'refund-charge-ch_1' }
+    );
+  });
+
+  it('refunds the charge when storing the payment fails', async () => {
+    Order.findByPk.mockImplementation(async () => orderRow());
+    Audit.create.mockRejectedValue(new Error('Lock wait timeout exceeded'));
+
+    const { next } = await pay();
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Lock wait timeout exceeded' })
+    );
+    expect(stripeClient.refunds.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks for a new token when the replayed charge was refunded', async () => {
+    Order.findByPk.mockImplementation(async () => orderRow());
+    stripeClient.charges.create.mockResolvedValue({
+      id: 'ch_1',
+      lastResponse: { headers: { 'idempotent-replayed': 'true' } },
+    });
+    stripeClient.charges.retrieve.mockResolvedValue({ id: 'ch_1', refunded: true });
+
+    const { res, body } = await pay();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(body.error).toMatchObject({ code: 'PAY_03', field: 'stripeToken' });
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('Payments.mapError', () => {
+  it.each([
+    ['StripeCardError', 402, 'PAY_05'],
+    ['StripeInvalidRequestError', 400, 'PAY_03'],
+    ['StripeAPIError', 502, 'PAY_04'],
+    ['StripeConnectionError', 502, 'PAY_04'],
+    ['StripeAuthenticationError', 502, 'PAY_04'],
+    ['StripeRateLimitError', 502, 'PAY_04'],
+  ])('maps a %s to %i %s', (type, status, code) => {
+    const mapped = Payments.mapError(new stripe.errors[type]({ message: 'Stripe says no' }));
+    expect(mapped).toMatchObject({ status, code });
+  });
+
+  it('keeps the message and param of the errors a client can fix', () => {
+    const declined = new stripe.errors.StripeCardError({ message: 'Your card was declined.' });
+    expect(Payments.mapError(declined)).toEqual({
+      status: 402,
+      code: 'PAY_05',
+      message: 'Your card was declined.',
+      field: 'stripeToken',
+    });
+    const invalid = new stripe.errors.StripeInvalidRequestError({
+      message: 'Bad',
+      param: 'amount',
+    });
+    expect(Payments.mapError(invalid).field).toBe('amount');
+  });
+
+  it('leaves other errors alone', () => {
+    expect(Payments.mapError(new Error('ECONNREFUSED'))).toBeNull();
+    expect(Payments.mapError(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,282 @@
+import request from 'supertest';
+import adminRoute from '../routes/api/admin.route';
+import * as models from '../database/models';
+import { appWith, accessTokenOf } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { transaction: jest.fn() },
+  Session: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  Product: { create: jest.fn(), findByPk: jest.fn(), destroy: jest.fn() },
+  Category: { findByPk: jest.fn() },
+  AttributeValue: { findByPk: jest.fn() },
+  ProductCategory: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findOrCreate: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn(),
+    destroy: jest.fn(),
+  },
+  ProductAttribute: { findOrCreate: jest.fn(), destroy: jest.fn() },
+  ShoppingCart: { destroy: jest.fn() },
+}));
+
+const {
+  sequelize,
+  Product,
+  Category,
+  AttributeValue,
+  ProductCategory,
+  ProductAttribute,
+  ShoppingCart,
+} = models;
+const app = appWith('/admin', adminRoute);
+const transaction = { id: 'transaction' };
+let product;
+
+const send = (method, path, body = {}) =>
+  request(app)
+    [method](`/admin${path}`)
+    .set('USER-KEY', accessTokenOf('catalog_manager', models))
+    .send(body);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sequelize.transaction.mockImplementation(callback => callback(transaction));
+  product = {
+    product_id: 5,
+    name: 'Beret',
+    price: '10.00',
+    discounted_price: '0.00',
+    update: jest.fn(async function update(changes) {
+      Object.assign(this, changes);
+      return this;
+    }),
+    getCategories: jest.fn(async () => [{ category_id: 2 }]),
+    getAttributes: jest.fn(async () => [{ attribute_value_id: 9 }]),
+  };
+  Product.findByPk.mockImplementation(async id => (Number(id) === 5 ? product : null));
+  Product.create.mockImplementation(async values => ({ product_id: 6, ...values }));
+  Category.findByPk.mockImplementation(async id => (Number(id) < 10 ? { category_id: id } : null));
+});
+
+describe('POST /admin/products', () => {
+  it('creates the product in its category in one transaction', async () => {
+    const res = await send('post', '/products', {
+      name: 'Beret',
+      description: 'A hat',
+      price: 10,
+      discounted_price: 8,
+      category_id: 2,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ product_id: 6, name: 'Beret', discounted_price: 8 });
+    expect(Product.create).toHaveBeenCalledWith(expect.any(Object), { transaction });
+    expect(ProductCategory.create).toHaveBeenCalledWith(
+      { product_id: 6, category_id: 2 },
+      { transaction }
+    );
+  });
+
+  it.each([
+    ['without a name', { description: 'A hat', price: 10, category_id: 2 }, 'name'],
+    [
+      'with a price of 0',
+      { name: 'Beret', description: 'A hat', price: 0, category_id: 2 },
+      'price',
+    ],
+    [
+      'with a discounted price above the price',
+      { name: 'Beret', description: 'A hat', price: 10, discounted_price: 12, category_id: 2 },
+      'discounted_price',
+    ],
+  ])('answers 400 PRD_04 %s', async (name, body, field) => {
+    const res = await send('post', '/products', body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'PRD_04', field });
+    expect(Product.create).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 CAT_01 for an unknown category', async () => {
+    const res = await send('post', '/products', {
+      name: 'Beret',
+      description: 'A hat',
+      price: 10,
+      category_id: 12,
+    });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('CAT_01');
+    expect(Product.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /admin/products/:product_id', () => {
+  it('updates only the fields of the request', async () => {
+    const res = await send('put', '/products/5', { price: 12 });
+
+    expect(res.status).toBe(200);
+    expect(product.update).toHaveBeenCalledWith({ price: 12 });
+  });
+
+  it('answers 400 PRD_04 when the discounted price would be above the price', async () => {
+    product.discounted_price = '9.00';
+
+    const res = await send('put', '/products/5', { price: 8 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'PRD_04', field: 'discounted_price' });
+    expect(product.update).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 PRD_01 for an unknown product', async () => {
+    const res = await send('put', '/products/6', { price: 12 });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('PRD_01');
+  });
+});
+
+describe('DELETE /admin/products/:product_id', () => {
+  it('deletes the product with its links and cart lines', async () => {
+    const res = await send('delete', '/products/5');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ product_id: 5, deleted: true });
+    [ProductAttribute, ProductCategory, ShoppingCart, Product].forEach(model =>
+      expect(model.destroy).toHaveBeenCalledWith({ where: { product_id: 5 }, transaction })
+    );
+  });
+});
+
+describe('product display and images', () => {
+  it('sets the display option', async () => {
+    const res = await send('put', '/products/5/display', { display: 3 });
+
+    expect(res.status).toBe(200);
+    expect(product.update).toHaveBeenCalledWith({ display: 3 });
+  });
+
+  it('answers 400 PRD_04 for an unknown display option', async () => {
+    const res = await send('put', '/products/5/display', { display: 4 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'PRD_04', field: 'display' });
+  });
+
+  it('sets the images of the request and clears the empty ones', async () => {
+    const res = await send('put', '/products/5/images', { image: 'beret.gif', thumbnail: '' });
+
+    expect(res.status).toBe(200);
+    expect(product.update).toHaveBeenCalledWith({ image: 'beret.gif', thumbnail: null });
+  });
+
+  it('answers 400 PRD_04 without any image', async () => {
+    const res = await send('put', '/products/5/images', {});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('PRD_04');
+  });
+});
+
+describe('product categories', () => {
+  it('adds the product to a category', async () => {
+    ProductCategory.findOrCreate.mockResolvedValue([{}, true]);
+
+    const res = await send('post', '/products/5/categories', { category_id: 3 });
+    expect(res.status).toBe(201);
+    expect(ProductCategory.findOrCreate).toHaveBeenCalledWith({
+      where: { product_id: 5, category_id: 3 },
+    });
+  });
+
+  it('answers 409 PRD_05 when the product is already in the category', async () => {
+    ProductCategory.findOrCreate.mockResolvedValue([{}, false]);
+
+    const res = await send('post', '/products/5/categories', { category_id: 2 });
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('PRD_05');
+  });
+
+  it('moves the product to another category', async () => {
+    ProductCategory.findOne.mockResolvedValue({ product_id: 5, category_id: 2 });
+    ProductCategory.count.mockResolvedValue(0);
+
+    const res = await send('put', '/products/5/categories/2', { target_category_id: 3 });
+    expect(res.status).toBe(200);
+    expect(ProductCategory.update).toHaveBeenCalledWith(
+      { category_id: 3 },
+      { where: { product_id: 5, category_id: '2' } }
+    );
+  });
+
+  it('answers 404 PRD_06 when moving the product out of a category it is not in', async () => {
+    ProductCategory.findOne.mockResolvedValue(null);
+
+    const res = await send('put', '/products/5/categories/4', { target_category_id: 3 });
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('PRD_06');
+    expect(ProductCategory.update).not.toHaveBeenCalled();
+  });
+
+  it('removes the product from one of its categories', async () => {
+    ProductCategory.findOne.mockResolvedValue({ product_id: 5, category_id: 2 });
+    ProductCategory.count.mockResolvedValue(2);
+
+    const res = await send('delete', '/products/5/categories/2');
+    expect(res.body).toEqual({ product_id: 5, deleted: false });
+    expect(ProductCategory.destroy).toHaveBeenCalledWith({
+      where: { product_id: 5, category_id: '2' },
+    });
+    expect(Product.destroy).not.toHaveBeenCalled();
+  });
+
+  it('deletes the product removed from its last category', async () => {
+    ProductCategory.findOne.mockResolvedValue({ product_id: 5, category_id: 2 });
+    ProductCategory.count.mockResolvedValue(1);
+
+    const res = await send('delete', '/products/5/categories/2');
+    expect(res.body).toEqual({ product_id: 5, deleted: true });
+    expect(Product.destroy).toHaveBeenCalledWith({ where: { product_id: 5 }, transaction });
+  });
+});
+
+describe('product attribute values', () => {
+  it('assigns an attribute value', async () => {
+    AttributeValue.findByPk.mockResolvedValue({ attribute_value_id: 9 });
+    ProductAttribute.findOrCreate.mockResolvedValue([{}, true]);
+
+    const res = await send('post', '/products/5/attributes', { attribute_value_id: 9 });
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual([{ attribute_value_id: 9 }]);
+  });
+
+  it('answers 404 ATR_03 for an unknown attribute value', async () => {
+    AttributeValue.findByPk.mockResolvedValue(null);
+
+    const res = await send('post', '/products/5/attributes', { attribute_value_id: 99 });
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('ATR_03');
+    expect(ProductAttribute.findOrCreate).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 PRD_07 for a value the product already has', async () => {
+    AttributeValue.findByPk.mockResolvedValue({ attribute_value_id: 9 });
+    ProductAttribute.findOrCreate.mockResolvedValue([{}, false]);
+
+    const res = await send('post', '/products/5/attributes', { attribute_value_id: 9 });
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('PRD_07');
+  });
+
+  it('answers 404 PRD_08 when removing a value the product does not have', async () => {
+    ProductAttribute.destroy.mockResolvedValue(0);
+
+    const res = await send('delete', '/products/5/attributes/9');
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('PRD_08');
+  });
+});
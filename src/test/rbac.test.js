@@ -0,0 +1,88 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import request from 'supertest';
+import adminRoute from '../routes/api/admin.route';
+import Token from '../helpers/token';
+import AuthMiddleware from '../middlewares/auth.middleware';
+import { sequelize, Session, Customer, Order, Product, Refund } from '../database/models';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { transaction: jest.fn() },
+  Session: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn(), findAndCountAll: jest.fn() },
+  Order: { findByPk: jest.fn() },
+  Product: { create: jest.fn() },
+  Refund: { findAll: jest.fn(), bulkCreate: jest.fn() },
+}));
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/admin', adminRoute);
+
+/**
+ * an access token of an active session of a customer with the role
+ *
+ * @param {string} role role of the customer
+ * @returns {string} the access token
+ */
+const tokenOf = role => {
+  const customer = { customer_id: 3, email: `${role}@example.com`, role };
+  Customer.findByPk.mockResolvedValue(customer);
+  Session.findByPk.mockResolvedValue({ customer_id: 3, isActive: () => true });
+  return Token.signAccessToken(customer, { session_id: 1 });
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('admin routes', () => {
+  it('refuse requests without an access token', async () => {
+    const res = await request(app).get('/admin/customers');
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('AUT_01');
+  });
+
+  it.each([
+    ['customer', 'get', '/admin/customers'],
+    ['customer', 'post', '/admin/products'],
+    ['customer', 'post', '/admin/orders/1/refunds'],
+    ['catalog_manager', 'post', '/admin/orders/1/refunds'],
+    ['catalog_manager', 'put', '/admin/customers/4/role'],
+    ['order_manager', 'post', '/admin/products'],
+    ['order_manager', 'get', '/admin/customers'],
+  ])('refuse a %s with 403 on %s %s', async (role, method, path) => {
+    const res = await request(app)
+      [method](path)
+      .set('USER-KEY', tokenOf(role))
+      .send({ name: 'Beret', description: 'A hat', price: 10 });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('AUT_07');
+    expect(Order.findByPk).not.toHaveBeenCalled();
+    expect(Product.create).not.toHaveBeenCalled();
+    expect(Refund.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it('let an order_manager through to the refund of an order', async () => {
+    sequelize.transaction.mockImplementation(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+    Order.findByPk.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/admin/orders/1/refunds')
+      .set('USER-KEY', tokenOf('order_manager'));
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('ORD_02');
+  });
+});
+
+describe('AuthMiddleware.requirePermission', () => {
+  it('lets through the roles granted the permission', () => {
+    const middleware = AuthMiddleware.requirePermission('orders:manage');
+    ['order_manager', 'admin'].forEach(role => {
+      const next = jest.fn();
+      middleware({ customer: { role } }, {}, next);
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
@@ -0,0 +1,299 @@
+import request from 'supertest';
+import stripe from 'stripe';
+import Refunds from '../helpers/refunds';
+import Payments from '../payments';
+import adminRoute from '../routes/api/admin.route';
+import shoppingCartRoute from '../routes/api/shoppingCart.route';
+import * as models from '../database/models';
+import { appWith, accessTokenOf } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { transaction: jest.fn() },
+  Session: { findByPk: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  Order: { findByPk: jest.fn() },
+  Refund: { findAll: jest.fn(), bulkCreate: jest.fn(), update: jest.fn() },
+  OrderDetail: { findAll: jest.fn() },
+  Tax: { findByPk: jest.fn() },
+  Audit: { create: jest.fn() },
+}));
+
+const { sequelize, Order, Refund, OrderDetail, Tax, Audit } = models;
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+let refunds;
+let order;
+let createRefund;
+let committed;
+
+/**
+ * a refund row kept in refunds, with set and destroy
+ *
+ * @param {object} values values of the row
+ * @returns {object} the row
+ */
+const refundRow = values => {
+  const row = {
+    reference: null,
+    ...values,
+    refund_id: refunds.length + 1,
+    set: jest.fn((field, value) => Object.assign(row, { [field]: value })),
+    destroy: jest.fn(async () => {
+      refunds = refunds.filter(refund => refund !== row);
+    }),
+  };
+  refunds.push(row);
+  return row;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  refunds = [];
+  committed = false;
+  order = {
+    order_id: 9,
+    customer_id: 3,
+    total_amount: '100.00',
+    reference: 'ch_1',
+    status: 1,
+    tax_id: 1,
+    update: jest.fn(async changes => Object.assign(order, changes)),
+    get: () => ({ order_id: order.order_id, status: order.status }),
+  };
+  sequelize.transaction.mockImplementation(async callback => {
+    const result = await callback(transaction);
+    committed = true;
+    return result;
+  });
+  Order.findByPk.mockImplementation(async () => order);
+  Refund.findAll.mockImplementation(async ({ where }) =>
+    refunds.filter(refund => refund.order_id === where.order_id)
+  );
+  Refund.bulkCreate.mockImplementation(async rows => rows.map(refundRow));
+  Refund.update.mockImplementation(async (changes, { where }) => {
+    const row = refunds.find(
+      refund => refund.refund_id === where.refund_id && refund.reference === where.reference
+    );
+    if (row) Object.assign(row, changes);
+    return [row ? 1 : 0];
+  });
+  OrderDetail.findAll.mockResolvedValue([
+    { item_id: 21, quantity: 2, unit_cost: '10.00' },
+    { item_id: 22, quantity: 1, unit_cost: '50.00' },
+  ]);
+  Tax.findByPk.mockResolvedValue({ tax_id: 1, tax_percentage: '10.00' });
+  Audit.create.mockResolvedValue({});
+
+  createRefund = jest.fn(async params => {
+    expect(committed).toBe(true);
+    return { id: `re_${params.metadata.refund_id}` };
+  });
+  Payments.setClient({ refunds: { create: createRefund } });
+});
+
+describe('Refunds.issue', () => {
+  it('writes a pending refund of what is left in the transaction without calling Stripe', async () => {
+    refundRow({ order_id: 9, item_id: null, amount: '30.00', reference: 're_old' });
+
+    const result = await Refunds.issue(order, { reason: 'Order cancelled', transaction });
+
+    expect(result).toMatchObject({ refunded_amount: 70, remaining_amount: 0 });
+    expect(result.refunds).toEqual([expect.objectContaining({ amount: 70, reference: null })]);
+    expect(Refund.bulkCreate.mock.calls[0][1]).toEqual({ transaction });
+    expect(createRefund).not.toHaveBeenCalled();
+    expect(order.status).toBe(4);
+  });
+
+  it('counts pending refunds against what is left', async () => {
+    refundRow({ order_id: 9, item_id: null, amount: '30.00' });
+
+    const result = await Refunds.issue(order, { amount: 70.01, transaction });
+
+    expect(result.error).toMatchObject({ status: 409, code: 'PAY_02', field: 'amount' });
+    expect(result.error.message).toMatch(/70\.00 left/);
+    expect(Refund.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it('caps a line at its cost with tax, less what it already got', async () => {
+    refundRow({ order_id: 9, item_id: 21, amount: '20.00', reference: 're_old' });
+
+    const tooMuch = await Refunds.issue(order, {
+      items: [{ item_id: 21, amount: 5 }],
+      transaction,
+    });
+    expect(tooMuch.error).toMatchObject({ status: 409, code: 'PAY_02', field: 'items' });
+    expect(tooMuch.error.message).toMatch(/2\.00 left for item_id 21/);
+
+    const rest = await Refunds.issue(order, { items: [{ item_id: 21 }], transaction });
+    expect(rest).toMatchObject({ refunded_amount: 2, remaining_amount: 78 });
+    expect(rest.refunds).toEqual([expect.objectContaining({ item_id: 21, amount: 2 })]);
+    expect(order.status).toBe(1);
+  });
+
+  it('refuses unknown lines and unpaid orders', async () => {
+    const unknown = await Refunds.issue(order, { items: [{ item_id: 99 }], transaction });
+    expect(unknown.error).toMatchObject({ status: 400, code: 'PAY_03', field: 'items' });
+
+    order.reference = null;
+    const unpaid = await Refunds.issue(order, { transaction });
+    expect(unpaid.error).toMatchObject({ status: 409, code: 'PAY_01' });
+    expect(Refund.bulkCreate).not.toHaveBeenCalled();
+  });
+});
+
+describe('Refunds.settle', () => {
+  beforeEach(() => {
+    committed = true;
+  });
+
+  it('sends the pending refunds with a Stripe idempotency key per refund', async () => {
+    refundRow({ order_id: 9, item_id: null, amount: '30.00', reference: 're_old' });
+    refundRow({ order_id: 9, item_id: 21, amount: '22.00', reason: 'damaged' });
+
+    const result = await Refunds.settle(order);
+
+    expect(result.refunds.map(refund => refund.reference)).toEqual(['re_old', 're_2']);
+    expect(createRefund).toHaveBeenCalledTimes(1);
+    expect(createRefund.mock.calls[0][0]).toMatchObject({ charge: 'ch_1', amount: 2200 });
+    expect(createRefund.mock.calls[0][1]).toEqual({ idempotency_key: 'refund-2' });
+    expect(Refund.update).toHaveBeenCalledWith(
+      { reference: 're_2' },
+      { where: { refund_id: 2, reference: null } }
+    );
+    expect(Audit.create).toHaveBeenCalledWith(
+      { order_id: 9, code: 30000, message: 'Refunded 22.00 for item_id 21: damaged' },
+      {}
+    );
+  });
+
+  it('audits a refund once when another request stored its reference first', async () => {
+    refundRow({ order_id: 9, item_id: null, amount: '30.00' });
+    Refund.update.mockResolvedValueOnce([0]);
+
+    const result = await Refunds.settle(order);
+
+    expect(result.refunds[0].reference).toBe('re_1');
+    expect(Audit.create).not.toHaveBeenCalled();
+  });
+
+  it('drops the refund Stripe refused', async () => {
+    refundRow({ order_id: 9, item_id: null, amount: '10.00' });
+    createRefund.mockRejectedValue(
+      new stripe.errors.StripeInvalidRequestError({ message: 'Charge ch_1 is disputed.' })
+    );
+
+    const result = await Refunds.settle(order);
+
+    expect(result.error).toMatchObject({ status: 400, code: 'PAY_03' });
+    expect(refunds).toHaveLength(0);
+    expect(Audit.create).not.toHaveBeenCalled();
+  });
+
+  it('keeps a refund whose outcome is unknown and sends it again with the same key', async () => {
+    refundRow({ order_id: 9, item_id: null, amount: '10.00' });
+    createRefund.mockRejectedValueOnce(
+      new stripe.errors.StripeConnectionError({ message: 'socket hang up' })
+    );
+
+    const failed = await Refunds.settle(order);
+    expect(failed.error).toMatchObject({ status: 502, code: 'PAY_04' });
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0].reference).toBeNull();
+
+    await Refunds.settle(order);
+    expect(createRefund).toHaveBeenCalledTimes(2);
+    expect(createRefund.mock.calls[1][1]).toEqual({ idempotency_key: 'refund-1' });
+    expect(refunds[0].reference).toBe('re_1');
+  });
+});
+
+describe('POST /admin/orders/:order_id/refunds', () => {
+  const app = appWith('/admin', adminRoute);
+
+  it('calls Stripe once the refunds are committed and answers them settled', async () => {
+    const res = await request(app)
+      .post('/admin/orders/9/refunds')
+      .set('USER-KEY', accessTokenOf('order_manager', models))
+      .send({ items: [{ item_id: 22 }] });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      order_id: 9,
+      status_name: 'paid',
+      refunded_amount: 55,
+      remaining_amount: 45,
+      refunds: [{ refund_id: 1, item_id: 22, amount: 55, reference: 're_1' }],
+    });
+    expect(Order.findByPk).toHaveBeenCalledWith('9', { transaction, lock: 'UPDATE' });
+    expect(createRefund).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers the Stripe error of a refund after committing it', async () => {
+    createRefund.mockRejectedValue(
+      new stripe.errors.StripeConnectionError({ message: 'socket hang up' })
+    );
+
+    const res = await request(app)
+      .post('/admin/orders/9/refunds')
+      .set('USER-KEY', accessTokenOf('order_manager', models));
+
+    expect(res.status).toBe(502);
+    expect(res.body.error.code).toBe('PAY_04');
+    expect(order.status).toBe(4);
+    expect(refunds[0]).toMatchObject({ amount: 100, reference: null });
+  });
+});
+
+describe('POST /orders/:order_id/cancel', () => {
+  const app = appWith('/', shoppingCartRoute);
+  const cancel = () =>
+    request(app)
+      .post('/orders/9/cancel')
+      .set('USER-KEY', accessTokenOf('customer', models))
+      .send({ reason: 'too late' });
+
+  it('cancels a paid order, then refunds it in full through Stripe', async () => {
+    const res = await cancel();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ order_id: 9, status_name: 'refunded', refunded_amount: 100 });
+    expect(refunds[0]).toMatchObject({ amount: 100, reason: 'too late', reference: 're_1' });
+    expect(createRefund).toHaveBeenCalledTimes(1);
+  });
+
+  it('settles a refund left pending along with the one of the cancellation', async () => {
+    refundRow({ order_id: 9, item_id: null, amount: '30.00' });
+
+    const res = await cancel();
+
+    expect(res.body).toMatchObject({ status_name: 'refunded', refunded_amount: 70 });
+    expect(refunds.map(refund => refund.reference)).toEqual(['re_1', 're_2']);
+    expect(createRefund.mock.calls.map(([, options]) => options.idempotency_key)).toEqual([
+      'refund-1',
+      'refund-2',
+    ]);
+  });
+
+  it('keeps the cancellation when Stripe refuses its refund', async () => {
+    createRefund.mockRejectedValue(
+      new stripe.errors.StripeInvalidRequestError({ message: 'Charge ch_1 is disputed.' })
+    );
+
+    const res = await cancel();
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('PAY_03');
+    expect(order.status).toBe(4);
+    expect(refunds).toHaveLength(0);
+  });
+
+  it('cancels an unpaid order without Stripe', async () => {
+    order.reference = null;
+
+    const res = await cancel();
+
+    expect(res.body).toMatchObject({ status_name: 'cancelled', refunded_amount: 0 });
+    expect(Refund.findAll).not.toHaveBeenCalled();
+    expect(createRefund).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,158 @@
+import request from 'supertest';
+import productRoute from '../routes/api/product.route';
+import { Product } from '../database/models';
+import FullTextEngine from '../search/fulltext.engine';
+import MemoryEngine from '../search/memory.engine';
+import Text from '../search/text';
+import { appWith } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { getDialect: () => 'sqlite' },
+  Product: { findAll: jest.fn(), addHook: jest.fn() },
+  Category: { addHook: jest.fn() },
+  SearchSynonym: { addHook: jest.fn() },
+}));
+
+const products = [
+  { product_id: 1, name: 'Arc de Triomphe', description: 'A stamp of the arch in Paris' },
+  { product_id: 2, name: 'Chartres Cathedral', description: 'The cathedral of Chartres' },
+  { product_id: 3, name: 'Paris Arch', description: 'Another arch, in Paris at night' },
+];
+const app = appWith('/', productRoute);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Product.findAll.mockResolvedValue(products);
+});
+
+describe('Text', () => {
+  it('splits a text into lower case words', () => {
+    expect(Text.tokenize("Arc de Triomphe, l'Étoile!")).toEqual([
+      'arc',
+      'de',
+      'triomphe',
+      'l',
+      'étoile',
+    ]);
+  });
+
+  it('marks the matched words of a snippet and escapes the html', () => {
+    expect(Text.highlight('<b>An arch</b> in Paris', ['arch', 'paris'])).toBe(
+      '&lt;b&gt;An <mark>arch</mark>&lt;/b&gt; in <mark>Paris</mark>'
+    );
+    expect(Text.highlight('A cathedral', ['arch'])).toBeNull();
+  });
+});
+
+describe('MemoryEngine', () => {
+  it('ranks names above descriptions and pages the results', async () => {
+    const engine = new MemoryEngine();
+
+    const { count, rows } = await engine.search({
+      terms: ['arch'],
+      allWords: false,
+      limit: 1,
+      offset: 0,
+    });
+    expect(count).toBe(2);
+    expect(rows.map(row => row.product_id)).toEqual([3]);
+  });
+
+  it('requires every word with allWords', async () => {
+    const engine = new MemoryEngine();
+    const search = allWords =>
+      engine.search({ terms: ['arch', 'night'], allWords, limit: 10, offset: 0 });
+
+    expect((await search(false)).count).toBe(2);
+    expect((await search(true)).rows.map(row => row.product_id)).toEqual([3]);
+  });
+
+  it('builds the index once for concurrent searches', async () => {
+    const engine = new MemoryEngine();
+    const options = { terms: ['paris'], allWords: false, limit: 10, offset: 0 };
+
+    await Promise.all([engine.search(options), engine.search(options)]);
+    expect(Product.findAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not keep an index whose build started before a product change', async () => {
+    const engine = new MemoryEngine();
+    const options = { terms: ['cathedral'], allWords: false, limit: 10, offset: 0 };
+
+    const first = engine.search(options);
+    engine.invalidate();
+    Product.findAll.mockResolvedValue(products.slice(0, 1));
+    await first;
+
+    expect((await engine.search(options)).count).toBe(0);
+    expect(Product.findAll).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('FullTextEngine', () => {
+  it('requires every word in boolean mode with allWords', async () => {
+    const db = { query: jest.fn() };
+    db.query.mockResolvedValueOnce([{ count: '1' }]).mockResolvedValueOnce([{ product_id: 3 }]);
+
+    const result = await new FullTextEngine(db).search({
+      terms: ['paris', 'arch'],
+      allWords: true,
+      limit: 20,
+      offset: 40,
+    });
+    expect(result).toEqual({ count: 1, rows: [{ product_id: 3 }] });
+    const [sql, { replacements }] = db.query.mock.calls[1];
+    expect(sql).toMatch(/AGAINST \(:against IN BOOLEAN MODE\)/);
+    expect(sql).toMatch(/ORDER BY relevance DESC/);
+    expect(replacements).toEqual({ against: '+paris +arch', limit: 20, offset: 40 });
+  });
+
+  it('ranks products matching any word in natural language mode', () => {
+    expect(FullTextEngine.against(['paris', 'arch'], false)).toEqual({
+      expression: 'MATCH (name, description) AGAINST (:against)',
+      value: 'paris arch',
+    });
+  });
+});
+
+describe('GET /products/search', () => {
+  it('answers the ranked results with their count, paginationMeta and highlights', async () => {
+    const res = await request(app).get(
+      '/products/search?query_string=Paris%20arch&all_words=off&limit=1&description_length=10'
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.paginationMeta).toEqual({
+      currentPage: 1,
+      currentPageSize: 1,
+      totalPages: 2,
+      totalRecords: 2,
+    });
+    expect(res.body.rows).toEqual([
+      expect.objectContaining({
+        product_id: 3,
+        description: 'Another ar...',
+        highlight: {
+          name: '<mark>Paris</mark> <mark>Arch</mark>',
+          description: 'Another <mark>arch</mark>, in <mark>Paris</mark> at night',
+        },
+      }),
+    ]);
+    expect(typeof res.body.rows[0].relevance).toBe('number');
+  });
+
+  it('answers an empty result for a query without words', async () => {
+    const res = await request(app).get('/products/search?query_string=%20!&all_words=on');
+
+    expect(res.body).toMatchObject({ count: 0, rows: [] });
+  });
+
+  it('answers 404 USR_10 without all_words', async () => {
+    const res = await request(app).get('/products/search?query_string=arch');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatchObject({ code: 'USR_10', field: 'all_words' });
+  });
+});
@@ -0,0 +1,143 @@
+import CustomerController from '../controllers/customer.controller';
+import { Customer, CustomerIdentity, Session, CustomerToken } from '../database/models';
+import httpClient from '../helpers/http';
+import Mailer from '../mailer';
+import LocalTransport from '../mailer/local.transport';
+import SocialLogin from '../social';
+import FacebookProvider from '../social/facebook.provider';
+import { mockResponse, sentBody, customerModel } from './helpers';
+
+jest.mock('bcrypt', () => require('./helpers').bcryptStub); // eslint-disable-line global-require
+jest.mock('../helpers/http', () => ({ getJson: jest.fn() }));
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  Customer: { findOrCreate: jest.fn() },
+  CustomerIdentity: { findOne: jest.fn(), create: jest.fn() },
+  Session: { create: jest.fn() },
+  CustomerToken: { update: jest.fn(), create: jest.fn() },
+}));
+
+const CustomerModel = customerModel();
+let transport;
+
+/**
+ * answer the Graph API calls of a valid token of the app for a Facebook user
+ *
+ * @param {object} user the user the /me call answers with
+ * @returns {void}
+ */
+const facebookUser = user =>
+  httpClient.getJson.mockImplementation(async url =>
+    url.includes('/debug_token')
+      ? { status: 200, body: { data: { is_valid: true, app_id: 'app' } } }
+      : { status: 200, body: user }
+  );
+
+const login = async provider => {
+  const req = {
+    params: { provider },
+    body: { access_token: 'provider-token' },
+    get: () => 'jest',
+    ip: '127.0.0.1',
+  };
+  const res = mockResponse();
+  const next = jest.fn();
+  await CustomerController.socialLogin(req, res, next);
+  return { res, next, body: sentBody(res) };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  transport = new LocalTransport({ keep: true });
+  Mailer.setTransport(transport);
+  SocialLogin.register(
+    'facebook',
+    new FacebookProvider({ baseUrl: 'http://graph.test', appId: 'app', appSecret: 'secret' })
+  );
+  CustomerIdentity.findOne.mockResolvedValue(null);
+  Customer.findOrCreate.mockImplementation(async ({ where, defaults }) => [
+    new CustomerModel({ customer_id: 7, ...where, ...defaults }),
+    true,
+  ]);
+  Session.create.mockImplementation(async values => ({ session_id: 1, ...values }));
+});
+
+describe('CustomerController.socialLogin', () => {
+  it('creates an unverified customer for a Facebook email and sends a verification email', async () => {
+    facebookUser({ id: 42, name: 'Jane', email: 'jane@example.com' });
+
+    const { res, body } = await login('facebook');
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(body.accessToken).toMatch(/^Bearer /);
+    expect(body.customer).toMatchObject({ email: 'jane@example.com', email_verified: false });
+    expect(body.customer).not.toHaveProperty('password');
+    expect(CustomerIdentity.create).toHaveBeenCalledWith({
+      customer_id: 7,
+      provider: 'facebook',
+      provider_user_id: '42',
+      email: 'jane@example.com',
+    });
+    expect(CustomerToken.create).toHaveBeenCalledWith(
+      expect.objectContaining({ customer_id: 7, type: 'email_verification' })
+    );
+    expect(transport.messages.map(message => message.to)).toEqual(['jane@example.com']);
+  });
+
+  it('creates a verified customer when the provider vouches for the email', async () => {
+    SocialLogin.register('vouching', {
+      getProfile: async () => ({ id: '5', email: 'john@example.com', emailVerified: true }),
+    });
+
+    const { body } = await login('vouching');
+
+    expect(body.customer).toMatchObject({ email: 'john@example.com', email_verified: true });
+    expect(transport.messages).toHaveLength(0);
+  });
+
+  it('refuses with 409 AUT_08 when a customer already uses the email', async () => {
+    facebookUser({ id: 42, name: 'Jane', email: 'jane@example.com' });
+    Customer.findOrCreate.mockResolvedValue([new CustomerModel({ customer_id: 3 }), false]);
+
+    const { res, body } = await login('facebook');
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(body.error.code).toBe('AUT_08');
+    expect(CustomerIdentity.create).not.toHaveBeenCalled();
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses with 400 AUT_06 when the provider shares no email', async () => {
+    facebookUser({ id: 42, name: 'Jane' });
+
+    const { res, body } = await login('facebook');
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(body.error.code).toBe('AUT_06');
+    expect(Customer.findOrCreate).not.toHaveBeenCalled();
+  });
+
+  it('logs a linked account in as its customer', async () => {
+    facebookUser({ id: 42, email: 'other@example.com' });
+    CustomerIdentity.findOne.mockResolvedValue({
+      Customer: new CustomerModel({ customer_id: 3, email: 'jane@example.com' }),
+    });
+
+    const { body } = await login('facebook');
+
+    expect(body.customer.customer_id).toBe(3);
+    expect(Customer.findOrCreate).not.toHaveBeenCalled();
+  });
+
+  it('refuses with 401 AUT_04 a token issued for another app', async () => {
+    httpClient.getJson.mockResolvedValue({
+      status: 200,
+      body: { data: { is_valid: true, app_id: 'other' } },
+    });
+
+    const { res, body } = await login('facebook');
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(body.error.code).toBe('AUT_04');
+  });
+});
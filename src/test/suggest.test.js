@@ -0,0 +1,103 @@
+import request from 'supertest';
+import productRoute from '../routes/api/product.route';
+import { Product, Category, SearchSynonym } from '../database/models';
+import SuggestIndex from '../search/suggest';
+import { appWith } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  sequelize: { getDialect: () => 'sqlite' },
+  Product: { findAll: jest.fn(), addHook: jest.fn() },
+  Category: { findAll: jest.fn(), addHook: jest.fn() },
+  SearchSynonym: { findAll: jest.fn(), addHook: jest.fn() },
+}));
+
+const products = [
+  { product_id: 1, name: 'Arc de Triomphe' },
+  { product_id: 2, name: 'Chartres Cathedral' },
+  { product_id: 3, name: 'Notre Dame' },
+];
+const synonym = (term, synonyms) => ({ term, getSynonymList: () => synonyms });
+const app = appWith('/', productRoute);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Product.findAll.mockResolvedValue(products);
+  Category.findAll.mockResolvedValue([{ category_id: 1, name: 'French' }]);
+  SearchSynonym.findAll.mockResolvedValue([synonym('church', ['cathedral'])]);
+});
+
+describe('SuggestIndex', () => {
+  it('completes the last word and matches the others', async () => {
+    const index = new SuggestIndex();
+
+    expect(await index.suggest('char', 10)).toEqual({
+      completions: [{ type: 'product', id: 2, name: 'Chartres Cathedral' }],
+      didYouMean: null,
+    });
+    expect((await index.suggest('cathedral cha', 10)).completions).toHaveLength(1);
+    expect((await index.suggest('fr', 10)).completions).toEqual([
+      { type: 'category', id: 1, name: 'French' },
+    ]);
+  });
+
+  it('suggests the names of a synonym', async () => {
+    const { completions } = await new SuggestIndex().suggest('church', 10);
+
+    expect(completions.map(completion => completion.id)).toEqual([2]);
+  });
+
+  it('corrects a misspelt word', async () => {
+    expect(await new SuggestIndex().suggest('notre damme', 10)).toEqual({
+      completions: [{ type: 'product', id: 3, name: 'Notre Dame' }],
+      didYouMean: 'notre dame',
+    });
+  });
+
+  it('builds the index once for concurrent suggestions', async () => {
+    const index = new SuggestIndex();
+
+    await Promise.all([index.suggest('arc', 10), index.suggest('notre', 10)]);
+    expect(Product.findAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not keep an index whose build started before a change', async () => {
+    const index = new SuggestIndex();
+
+    const first = index.suggest('arc', 10);
+    index.invalidate();
+    Product.findAll.mockResolvedValue([{ product_id: 4, name: 'Arch of Constantine' }]);
+    await first;
+
+    const { completions } = await index.suggest('arc', 10);
+    expect(completions.map(completion => completion.id)).toEqual([4]);
+  });
+
+  it('invalidates on every product, category and synonym change', () => {
+    const index = new SuggestIndex();
+
+    [Product, Category, SearchSynonym].forEach(model =>
+      expect(model.addHook).toHaveBeenCalledWith('afterUpdate', 'suggestIndex', index.invalidate)
+    );
+  });
+});
+
+describe('GET /products/suggest', () => {
+  it('answers the completions of q', async () => {
+    const res = await request(app).get('/products/suggest?q=arc&limit=5');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      query: 'arc',
+      completions: [{ type: 'product', id: 1, name: 'Arc de Triomphe' }],
+      didYouMean: null,
+    });
+  });
+
+  it.each([['', 'USR_10'], ['a'.repeat(51), 'USR_07']])('answers 400 for q=%s', async (q, code) => {
+    const res = await request(app).get(`/products/suggest?q=${q}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code, field: 'q' });
+  });
+});
@@ -0,0 +1,179 @@
+import { Op } from 'sequelize';
+import Token from '../helpers/token';
+import AuthMiddleware from '../middlewares/auth.middleware';
+import { Session, Customer } from '../database/models';
+import { mockResponse } from './helpers';
+
+jest.mock('../database/models', () => ({
+  Sequelize: require('sequelize'), // eslint-disable-line global-require
+  Session: { create: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  CustomerToken: {},
+}));
+
+const customer = { customer_id: 7, email: 'jane@example.com', role: 'customer' };
+const req = { get: () => 'jest', ip: '127.0.0.1' };
+let sessions;
+
+// the where clauses of Token only compare values or use Op.gt
+const matches = (row, where) =>
+  Object.keys(where).every(field =>
+    where[field] instanceof Date || where[field] === null || typeof where[field] !== 'object'
+      ? row[field] === where[field]
+      : row[field] > where[field][Op.gt]
+  );
+
+const authenticate = async accessToken => {
+  const res = mockResponse();
+  const next = jest.fn();
+  const request = { headers: { authorization: accessToken } };
+  await AuthMiddleware.verifyToken(request, res, next);
+  return { res, next, request };
+};
+
+beforeEach(() => {
+  sessions = [];
+  Session.create.mockImplementation(async values => {
+    const session = {
+      ...values,
+      session_id: sessions.length + 1,
+      revoked_on: null,
+      isActive() {
+        return !this.revoked_on && this.expires_on > new Date();
+      },
+      getCustomer: async () => customer,
+    };
+    sessions.push(session);
+    return session;
+  });
+  Session.findOne.mockImplementation(
+    async ({ where }) => sessions.find(session => matches(session, where)) || null
+  );
+  Session.findByPk.mockImplementation(
+    async id => sessions.find(session => session.session_id === id) || null
+  );
+  Session.update.mockImplementation(async (values, { where }) => {
+    const updated = sessions.filter(session => matches(session, where));
+    updated.forEach(session => Object.assign(session, values));
+    return [updated.length];
+  });
+  Customer.findByPk.mockResolvedValue(customer);
+});
+
+describe('Token.refreshSession', () => {
+  it('rotates the refresh token and refuses the exchanged one', async () => {
+    const { refreshToken } = await Token.createSession(customer, req);
+
+    const refreshed = await Token.refreshSession(refreshToken);
+    expect(refreshed.refreshToken).not.toBe(refreshToken);
+    expect(refreshed.accessToken).toMatch(/^Bearer /);
+    expect(sessions[0].refresh_token).toBe(Token.hash(refreshed.refreshToken));
+
+    expect(await Token.refreshSession(refreshToken)).toBeNull();
+    expect(await Token.refreshSession(refreshed.refreshToken)).not.toBeNull();
+  });
+
+  it('lets only one of two concurrent refreshes with the same token through', async () => {
+    const { refreshToken } = await Token.createSession(customer, req);
+
+    const results = await Promise.all([
+      Token.refreshSession(refreshToken),
+      Token.refreshSession(refreshToken),
+    ]);
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('refuses the refresh token of a revoked or expired session', async () => {
+    const first = await Token.createSession(customer, req);
+    const second = await Token.createSession(customer, req);
+
+    expect(await Token.revokeSession(1)).toBe(1);
+    expect(await Token.refreshSession(first.refreshToken)).toBeNull();
+
+    sessions[1].expires_on = new Date(Date.now() - 1000);
+    expect(await Token.refreshSession(second.refreshToken)).toBeNull();
+  });
+});
+
+describe('AuthMiddleware.verifyToken', () => {
+  it('attaches the customer of an active session', async () => {
+    const { accessToken } = await Token.createSession(customer, req);
+
+    const { next, request } = await authenticate(accessToken);
+    expect(next).toHaveBeenCalledWith();
+    expect(request.customer_id).toBe(7);
+    expect(request.session_id).toBe(1);
+  });
+
+  it('refuses access tokens of a revoked session', async () => {
+    const { accessToken } = await Token.createSession(customer, req);
+    await Token.revokeSession(1);
+
+    const { res, next } = await authenticate(accessToken);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].error.code).toBe('AUT_02');
+  });
+
+  it('refuses access tokens of every session once all are revoked', async () => {
+    const first = await Token.createSession(customer, req);
+    const second = await Token.createSession(customer, req);
+
+    expect(await Token.revokeAllSessions(7)).toBe(2);
+    expect((await authenticate(first.accessToken)).res.status).toHaveBeenCalledWith(401);
+    expect((await authenticate(second.accessToken)).res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('refuses a missing or forged access token', async () => {
+    const missing = await authenticate(undefined);
+    expect(missing.res.json.mock.calls[0][0].error.code).toBe('AUT_01');
+
+    const { accessToken } = await Token.createSession(customer, req);
+    const forged = await authenticate(`${accessToken.slice(0, -2)}xx`);
+    expect(forged.res.json.mock.calls[0][0].error.code).toBe('AUT_02');
+  });
+});
+
+describe('jwtSecret', () => {
+  const env = { ...process.env };
+  const load = variables => {
+    process.env = { ...env, JWT_KEYS: '', JWT_SECRET: '', JWT_ACTIVE_KID: '', ...variables };
+    jest.resetModules();
+    return require('../jwtSecret'); // eslint-disable-line global-require
+  };
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('signs with the first of JWT_KEYS or with JWT_ACTIVE_KID', () => {
+    expect(load({ JWT_KEYS: 'new:s3cr3t, old:0ld' })).toMatchObject({
+      activeKid: 'new',
+      secret: 's3cr3t',
+      keys: { new: 's3cr3t', old: '0ld' },
+    });
+    expect(load({ JWT_KEYS: 'new:s3cr3t,old:0ld', JWT_ACTIVE_KID: 'old' }).secret).toBe('0ld');
+  });
+
+  it('accepts a single JWT_SECRET as the default key', () => {
+    expect(load({ JWT_SECRET: 's3cr3t' })).toMatchObject({
+      activeKid: 'default',
+      secret: 's3cr3t',
+    });
+  });
+
+  it('refuses to load with a JWT_ACTIVE_KID that is none of the keys', () => {
+    expect(() => load({ JWT_KEYS: 'new:s3cr3t', JWT_ACTIVE_KID: 'neww' })).toThrow(
+      /JWT_ACTIVE_KID/
+    );
+  });
+
+  it('refuses to load a key without a secret', () => {
+    expect(() => load({ JWT_KEYS: 'new:s3cr3t,old' })).toThrow(/"old"/);
+  });
+
+  it('refuses to load without a key outside the tests', () => {
+    expect(() => load({ NODE_ENV: 'production' })).toThrow(/JWT_KEYS or JWT_SECRET/);
+    expect(load({ NODE_ENV: 'test' }).secret).toBe('test-secret');
+  });
+});